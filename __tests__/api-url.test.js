@@ -0,0 +1,98 @@
+const { UserManager } = require('../src/userManager')
+const { startMockServer } = require('./helpers/mock-server')
+const core = require('@actions/core')
+
+describe('UserManager - custom API URL', () => {
+  const token = 'test-token'
+  const ent = 'test-enterprise'
+  let server
+
+  beforeEach(async () => {
+    core.info = jest.fn()
+    core.error = jest.fn()
+
+    server = await startMockServer(request => {
+      const headers = { 'x-ratelimit-remaining': '4999' }
+
+      if (
+        request.url.startsWith(
+          '/api/v3/enterprises/test-enterprise/consumed-licenses'
+        )
+      ) {
+        return {
+          headers,
+          body: {
+            total_seats_consumed: 1,
+            total_seats_purchased: 10,
+            users: [{ github_com_login: 'joe' }]
+          }
+        }
+      }
+      if (
+        ['/api/graphql', '/custom/graphql', '/custom/gql'].includes(request.url)
+      ) {
+        return {
+          headers,
+          body: {
+            data: {
+              enterprise: {
+                organizations: {
+                  nodes: [{ login: 'org1', id: '1', url: 'https://ghes/org1' }],
+                  totalCount: 1,
+                  pageInfo: { hasNextPage: false, endCursor: null }
+                }
+              }
+            }
+          }
+        }
+      }
+    })
+  })
+
+  afterEach(async () => {
+    await server.close()
+    jest.clearAllMocks()
+  })
+
+  it('should send REST and GraphQL requests to the GitHub Enterprise Server API', async () => {
+    const userManager = new UserManager(token, {
+      apiUrl: `${server.url}/api/v3`
+    })
+
+    const users = await userManager.getConsumedLicenses(ent)
+    const orgs = await userManager.getAllOrganizationsInEnterprise(ent)
+
+    expect(users).toEqual([{ github_com_login: 'joe' }])
+    expect(orgs.map(o => o.login)).toEqual(['org1'])
+    expect(server.requests.map(r => r.url.split('?')[0])).toEqual([
+      '/api/v3/enterprises/test-enterprise/consumed-licenses',
+      '/api/graphql'
+    ])
+    expect(server.requests[0].headers.authorization).toEqual(`token ${token}`)
+  })
+
+  it('should send GraphQL requests to the custom GraphQL URL', async () => {
+    const userManager = new UserManager(token, {
+      apiUrl: `${server.url}/api/v3`,
+      graphqlUrl: `${server.url}/custom/graphql`
+    })
+
+    const orgs = await userManager.getAllOrganizationsInEnterprise(ent)
+
+    expect(orgs.map(o => o.login)).toEqual(['org1'])
+    expect(server.requests.map(r => r.url)).toContain('/custom/graphql')
+  })
+
+  it('should count requests to a custom GraphQL URL against the GraphQL rate limit', async () => {
+    const userManager = new UserManager(token, {
+      apiUrl: `${server.url}/api/v3`,
+      graphqlUrl: `${server.url}/custom/gql`
+    })
+
+    await userManager.getAllOrganizationsInEnterprise(ent)
+
+    expect(server.requests.map(r => r.url)).toEqual(['/custom/gql'])
+    expect(userManager.governor.remaining('graphql')).toEqual(4999)
+    expect(userManager.governor.remaining('core')).toBeUndefined()
+  })
+})
@@ -0,0 +1,277 @@
+const {
+  AuditScanStore,
+  parseAuditLogMode,
+  parseScanDays
+} = require('../src/auditScan')
+const { LastActivityProvider } = require('../src/lastActivityprovider')
+const { reset } = require('../src/fileTableclient')
+const core = require('@actions/core')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const tempCache = () => ({
+  file: path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), 'cache-')),
+    'cache.json'
+  )
+})
+
+describe('auditScan - parseAuditLogMode', () => {
+  it('should default to a search per user', () => {
+    expect(parseAuditLogMode('')).toEqual('per-user')
+    expect(parseAuditLogMode(undefined)).toEqual('per-user')
+    expect(parseAuditLogMode('scan')).toEqual('scan')
+  })
+
+  it('should fail on unsupported modes', () => {
+    expect(() => parseAuditLogMode('all')).toThrow(
+      "Invalid audit log mode 'all'. Supported modes: per-user, scan"
+    )
+  })
+})
+
+describe('auditScan - parseScanDays', () => {
+  it('should default to 90 days', () => {
+    expect(parseScanDays('')).toEqual(90)
+    expect(parseScanDays('30')).toEqual(30)
+  })
+
+  it('should fail on invalid values', () => {
+    expect(() => parseScanDays('0')).toThrow(
+      "Invalid audit log scan days '0'. It must be a positive integer."
+    )
+  })
+})
+
+describe('AuditScanStore', () => {
+  beforeEach(() => {
+    core.info = jest.fn()
+    reset()
+  })
+
+  it('should keep the progress of every enterprise', async () => {
+    const store = new AuditScanStore(tempCache())
+
+    expect(await store.get('ent1')).toBeNull()
+
+    await store.save('ent1', {
+      lastEventAt: '2024-03-06T10:00:00.000Z',
+      scannedAt: '2024-03-07T00:00:00.000Z'
+    })
+
+    expect(await store.get('ent1')).toEqual({
+      lastEventAt: '2024-03-06T10:00:00.000Z',
+      scannedAt: '2024-03-07T00:00:00.000Z'
+    })
+    expect(await store.get('ent2')).toBeNull()
+  })
+})
+
+describe('LastActivityProvider - audit log scan', () => {
+  let manager
+
+  beforeEach(() => {
+    core.info = jest.fn()
+    core.warning = jest.fn()
+    reset()
+    manager = {
+      scanAuditLog: jest.fn(async ent => ({
+        lastActivity:
+          ent === 'ent1'
+            ? new Map([['joe', new Date('2024-03-05T10:00:00Z')]])
+            : new Map([['ann', new Date('2024-03-04T10:00:00Z')]]),
+        latestEvent: new Date('2024-03-06T10:00:00Z')
+      })),
+      getLastActivityForUser: jest.fn()
+    }
+  })
+
+  const users = [
+    { github_com_login: 'joe', enterprise: 'ent1' },
+    { github_com_login: 'ann', enterprise: 'ent2' },
+    { github_com_login: 'bob', enterprise: 'ent1' }
+  ]
+
+  it('should update every cached user and read only new events next time', async () => {
+    const cache = tempCache()
+    const provider = new LastActivityProvider(
+      manager,
+      cache,
+      'ent1',
+      30,
+      { budget: 1, maxStaleDays: 3, rateLimitFloor: 100 },
+      { mode: 'scan', scanDays: 30, inactiveDays: 30 }
+    )
+    await provider.initialize(users)
+
+    await provider.refreshUserData()
+
+    expect(manager.getLastActivityForUser).not.toHaveBeenCalled()
+    expect(manager.scanAuditLog).toHaveBeenCalledTimes(2)
+    expect(
+      (await provider.getLastActivityDateForUser('joe')).lastActivityDate
+    ).toEqual(new Date('2024-03-05T10:00:00Z'))
+    expect(
+      (await provider.getLastActivityDateForUser('ann')).lastActivityDate
+    ).toEqual(new Date('2024-03-04T10:00:00Z'))
+    const bob = await provider.getLastActivityDateForUser('bob')
+    expect(bob.lastActivityDate).toBeNull()
+    expect(bob.lastChecked).not.toBeNull()
+
+    // the next run starts from the latest event read
+    const next = new LastActivityProvider(
+      manager,
+      cache,
+      'ent1',
+      30,
+      { budget: 1, maxStaleDays: 3, rateLimitFloor: 100 },
+      { mode: 'scan', scanDays: 30, inactiveDays: 30 }
+    )
+    await next.initialize(users)
+    manager.scanAuditLog.mockResolvedValue({
+      lastActivity: new Map(),
+      latestEvent: null
+    })
+
+    await next.refreshUserData()
+
+    expect(manager.scanAuditLog).toHaveBeenLastCalledWith(
+      'ent2',
+      new Date('2024-03-06T10:00:00Z'),
+      expect.any(Function)
+    )
+    // activity found by an earlier scan is kept
+    expect(
+      (await next.getLastActivityDateForUser('joe')).lastActivityDate
+    ).toEqual(new Date('2024-03-05T10:00:00Z'))
+  })
+
+  it('should keep the cached data of users in an enterprise that fails', async () => {
+    manager.scanAuditLog.mockImplementation(async ent => {
+      if (ent === 'ent2') {
+        throw new Error('Forbidden')
+      }
+      return { lastActivity: new Map(), latestEvent: null }
+    })
+    const provider = new LastActivityProvider(
+      manager,
+      tempCache(),
+      'ent1',
+      30,
+      undefined,
+      { mode: 'scan', scanDays: 30, inactiveDays: 30 }
+    )
+    await provider.initialize(users)
+
+    await provider.refreshUserData()
+
+    expect(core.warning).toHaveBeenCalledWith(
+      "Unable to scan the audit log of 'ent2': Forbidden"
+    )
+    expect(
+      (await provider.getLastActivityDateForUser('ann')).lastChecked
+    ).toBeNull()
+    expect(
+      (await provider.getLastActivityDateForUser('bob')).lastChecked
+    ).not.toBeNull()
+  })
+
+  it('should save the progress of a scan that fails', async () => {
+    const cache = tempCache()
+    const page = day =>
+      new Date(`2024-03-${String(day).padStart(2, '0')}T10:00:00Z`)
+    manager.scanAuditLog.mockImplementation(async (ent, since, onPage) => {
+      for (let day = 1; day <= 25; day++) {
+        await onPage(
+          new Map([[day <= 20 ? 'joe' : 'bob', page(day)]]),
+          page(day)
+        )
+      }
+      throw new Error('Server Error')
+    })
+    const provider = new LastActivityProvider(
+      manager,
+      cache,
+      'ent1',
+      30,
+      undefined,
+      { mode: 'scan', scanDays: 30, inactiveDays: 30 }
+    )
+    await provider.initialize([users[0], users[2]])
+
+    await provider.refreshUserData()
+    reset()
+
+    expect(await new AuditScanStore(cache).get('ent1')).toEqual({
+      lastEventAt: page(25).toISOString(),
+      scannedAt: expect.any(String)
+    })
+    // the users found are saved, but not marked as checked
+    const next = new LastActivityProvider(
+      manager,
+      cache,
+      'ent1',
+      30,
+      undefined,
+      { mode: 'scan', scanDays: 30, inactiveDays: 30 }
+    )
+    await next.initialize([users[0], users[2]])
+    expect(next.users.map(user => [user.rowKey, user.lastUpdated])).toEqual([
+      ['joe', null],
+      ['bob', null]
+    ])
+    expect(next.users.map(user => new Date(user.lastActivityDate))).toEqual([
+      page(20),
+      page(25)
+    ])
+  })
+
+  it('should leave users not found stale when the scan is shorter than the inactive days', async () => {
+    const provider = new LastActivityProvider(
+      manager,
+      tempCache(),
+      'ent1',
+      30,
+      undefined,
+      { mode: 'scan', scanDays: 30, inactiveDays: 90 }
+    )
+    await provider.initialize([users[0], users[2]])
+
+    await provider.refreshUserData()
+
+    expect(
+      (await provider.getLastActivityDateForUser('joe')).lastChecked
+    ).not.toBeNull()
+    expect(await provider.getLastActivityDateForUser('bob')).toEqual(
+      expect.objectContaining({ lastActivityDate: null, lastChecked: null })
+    )
+  })
+
+  it('should scan the window of days without cache', async () => {
+    const before = Date.now()
+    const provider = new LastActivityProvider(
+      manager,
+      undefined,
+      'ent1',
+      30,
+      undefined,
+      { mode: 'scan', scanDays: 30 }
+    )
+    await provider.initialize([users[0]])
+
+    await provider.refreshUserData()
+
+    const since = manager.scanAuditLog.mock.calls[0][1].getTime()
+    expect(since).toBeGreaterThanOrEqual(before - 30 * 86400000)
+    expect(since).toBeLessThanOrEqual(Date.now() - 30 * 86400000)
+    expect(await provider.getLastActivityDateForUser('joe')).toEqual({
+      lastActivityDate: new Date('2024-03-05T10:00:00Z'),
+      lastChecked: expect.any(Date),
+      failed: false
+    })
+    expect(
+      (await provider.getLastActivityDateForUser('eve')).lastActivityDate
+    ).toBeNull()
+  })
+})
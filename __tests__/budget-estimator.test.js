@@ -0,0 +1,141 @@
+const {
+  estimateApiCalls,
+  estimateWait,
+  estimateBudget
+} = require('../src/budgetEstimator')
+
+describe('budgetEstimator - estimateApiCalls', () => {
+  it('should estimate calls for a run without cache', () => {
+    const calls = estimateApiCalls(
+      { orgs: 150, users: 1000 },
+      false,
+      undefined,
+      'per-user'
+    )
+
+    expect(calls).toEqual({
+      // 10 pages of licenses + 10 pages of seats + 150 pages of owners + 1 check
+      rest: 171,
+      // 2 pages of orgs + 150 org details + 1000 users x 2 pages of orgs + 10 pages of 100 profiles
+      graphql: 2162,
+      auditLog: 1000,
+      auditCacheRuns: 0,
+      userCacheRuns: 0
+    })
+  })
+
+  it('should estimate a page of teams per organization with the teams crawl', () => {
+    const calls = estimateApiCalls({ orgs: 150, users: 1000 }, false)
+
+    // 2 pages of orgs + 150 org details + 150 orgs + 10 pages of 100 profiles
+    expect(calls.graphql).toEqual(312)
+  })
+
+  it('should cap profile and audit calls when the cache is used', () => {
+    const calls = estimateApiCalls({ orgs: 10, users: 40000 }, true)
+
+    expect(calls.rest).toEqual(800 + 10 + 1)
+    // 1 page of orgs + 10 org details + 10 orgs + all 400 pages of 100 profiles
+    expect(calls.graphql).toEqual(1 + 10 + 10 + 400)
+    expect(calls.auditLog).toEqual(1750)
+    expect(calls.auditCacheRuns).toEqual(23)
+    expect(calls.userCacheRuns).toEqual(1)
+  })
+
+  it('should use the configured refresh budgets', () => {
+    const calls = estimateApiCalls({ orgs: 10, users: 40000 }, true, {
+      audit: { budget: 500 },
+      user: { budget: 1000 }
+    })
+
+    expect(calls.rest).toEqual(800 + 10 + 1)
+    expect(calls.graphql).toEqual(1 + 10 + 10 + 10)
+    expect(calls.auditLog).toEqual(500)
+    expect(calls.auditCacheRuns).toEqual(80)
+    expect(calls.userCacheRuns).toEqual(40)
+  })
+
+  it('should estimate pages of the audit log in scan mode', () => {
+    const audit = { mode: 'scan', scanDays: 30 }
+
+    const first = estimateApiCalls(
+      [
+        { orgs: 1, users: 1000 },
+        { orgs: 1, users: 10 }
+      ],
+      true,
+      undefined,
+      undefined,
+      audit
+    )
+
+    // 5 events per user and day, 100 events per page
+    expect(first.auditLog).toEqual(1500 + 15)
+    expect(first.auditCacheRuns).toEqual(1)
+    expect(
+      estimateApiCalls(
+        { orgs: 1, users: 0 },
+        false,
+        undefined,
+        undefined,
+        audit
+      )
+    ).toEqual(expect.objectContaining({ auditLog: 1, auditCacheRuns: 0 }))
+  })
+})
+
+describe('budgetEstimator - estimateWait', () => {
+  const now = new Date('2025-05-01T10:00:00Z')
+  const reset = Math.floor(now.getTime() / 1000) + 600
+
+  it('should not wait when there are enough calls remaining', () => {
+    expect(
+      estimateWait(100, { limit: 5000, remaining: 100, reset }, now)
+    ).toEqual(0)
+  })
+
+  it('should wait for the reset and every additional hour', () => {
+    expect(
+      estimateWait(100, { limit: 5000, remaining: 10, reset }, now)
+    ).toEqual(600 * 1000)
+    expect(
+      estimateWait(12000, { limit: 5000, remaining: 1000, reset }, now)
+    ).toEqual(600 * 1000 + 2 * 60 * 60 * 1000)
+  })
+})
+
+describe('budgetEstimator - estimateBudget', () => {
+  const now = new Date('2025-05-01T10:00:00Z')
+  const reset = Math.floor(now.getTime() / 1000) + 3600
+  const rateLimits = {
+    core: { limit: 5000, remaining: 5000, reset },
+    graphql: { limit: 5000, remaining: 5000, reset }
+  }
+
+  it('should estimate duration and runs to warm the cache', () => {
+    const estimate = estimateBudget(
+      { orgs: 1, users: 4000 },
+      rateLimits,
+      true,
+      now
+    )
+
+    // graphql: 1 + 4000 calls fit, audit log default limit 1750 fits
+    expect(estimate.durationMs).toEqual(
+      (estimate.calls.rest + estimate.calls.graphql + 1750) * 500
+    )
+    expect(estimate.runs).toEqual(3)
+  })
+
+  it('should estimate number of runs without cache from the job limit', () => {
+    const estimate = estimateBudget(
+      { orgs: 1, users: 40000 },
+      rateLimits,
+      false,
+      now
+    )
+
+    expect(estimate.durationMs).toBeGreaterThan(6 * 60 * 60 * 1000)
+    expect(estimate.runs).toBeGreaterThan(1)
+  })
+})
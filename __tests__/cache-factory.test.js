@@ -0,0 +1,61 @@
+const {
+  toCacheConfig,
+  isCacheEnabled,
+  createTableClient
+} = require('../src/cacheFactory')
+const { StorageTableClient } = require('../src/storageTableclient')
+const { FileTableClient } = require('../src/fileTableclient')
+const { S3TableClient } = require('../src/s3Tableclient')
+const core = require('@actions/core')
+
+jest.mock('../src/storageTableclient')
+jest.mock('../src/s3Tableclient')
+
+describe('cacheFactory', () => {
+  beforeEach(() => {
+    core.info = jest.fn()
+  })
+
+  it('should treat a string as a Table Storage connection string', () => {
+    expect(toCacheConfig('conn')).toEqual({
+      connectionString: 'conn',
+      file: undefined
+    })
+    expect(isCacheEnabled('')).toBe(false)
+    expect(isCacheEnabled({ file: 'cache.json' })).toBe(true)
+    expect(isCacheEnabled({ s3: { bucket: '' } })).toBe(false)
+  })
+
+  it('should fail when both backends are configured', () => {
+    expect(() =>
+      toCacheConfig({ connectionString: 'conn', file: 'cache.json' })
+    ).toThrow(
+      'Use only one cache: a Table Storage connection string, a cache file or an S3 bucket.'
+    )
+  })
+
+  it('should create the client for the configured backend', () => {
+    expect(createTableClient('conn', 'userspublicdata')).toBeInstanceOf(
+      StorageTableClient
+    )
+    expect(StorageTableClient).toHaveBeenCalledWith('conn', 'userspublicdata')
+
+    const fileClient = createTableClient(
+      { file: 'cache.json' },
+      undefined,
+      'Audit Cache'
+    )
+    expect(fileClient).toBeInstanceOf(FileTableClient)
+    expect(fileClient.table).toEqual('usersaudit')
+    expect(core.info).toHaveBeenCalledWith(
+      'Using cache file cache.json for Audit Cache.'
+    )
+
+    expect(
+      createTableClient({ s3: { bucket: 'cache' } }, 'reporthistory', 'History')
+    ).toBeInstanceOf(S3TableClient)
+    expect(core.info).toHaveBeenCalledWith('Using S3 bucket cache for History.')
+
+    expect(createTableClient(undefined)).toBeUndefined()
+  })
+})
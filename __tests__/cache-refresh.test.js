@@ -0,0 +1,216 @@
+const {
+  DEFAULT_REFRESH_BUDGETS,
+  parseRefreshBudgets,
+  selectForRefresh,
+  getCacheStaleness
+} = require('../src/cacheRefresh')
+const { UserAccountProvider } = require('../src/userAccountprovider')
+const { reset } = require('../src/fileTableclient')
+const core = require('@actions/core')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('cacheRefresh - parseRefreshBudgets', () => {
+  it('should use the defaults for empty inputs', () => {
+    expect(
+      parseRefreshBudgets({ auditBudget: '', rateLimitFloor: '' })
+    ).toEqual(DEFAULT_REFRESH_BUDGETS)
+  })
+
+  it('should share the rate limit floor between the caches', () => {
+    const budgets = parseRefreshBudgets({
+      auditBudget: '500',
+      userMaxStaleDays: '7',
+      rateLimitFloor: '1000'
+    })
+
+    expect(budgets.audit).toEqual({
+      budget: 500,
+      maxStaleDays: 0,
+      rateLimitFloor: 1000
+    })
+    expect(budgets.user).toEqual({
+      budget: 50000,
+      maxStaleDays: 7,
+      rateLimitFloor: 1000
+    })
+  })
+
+  it('should fail on invalid values', () => {
+    expect(() => parseRefreshBudgets({ userBudget: '0' })).toThrow(
+      "Invalid user refresh budget '0'. It must be a positive integer."
+    )
+    expect(() => parseRefreshBudgets({ rateLimitFloor: 'x' })).toThrow(
+      "Invalid rate limit floor 'x'. It must be a non-negative integer."
+    )
+  })
+})
+
+describe('cacheRefresh - selectForRefresh', () => {
+  const now = new Date('2025-06-30T00:00:00Z')
+  const users = [
+    { rowKey: 'fresh', lastUpdated: '2025-06-29T00:00:00Z' },
+    { rowKey: 'old', lastUpdated: '2025-06-01T00:00:00Z' },
+    { rowKey: 'never', lastUpdated: null },
+    { rowKey: 'week', lastUpdated: '2025-06-22T00:00:00Z' }
+  ]
+
+  it('should pick the oldest entries within the budget', () => {
+    const selected = selectForRefresh(
+      users,
+      { budget: 3, maxStaleDays: 0 },
+      now
+    )
+
+    expect(selected.map(u => u.rowKey)).toEqual(['never', 'old', 'week'])
+  })
+
+  it('should skip entries within the staleness window', () => {
+    const selected = selectForRefresh(
+      users,
+      { budget: 10, maxStaleDays: 7 },
+      now
+    )
+
+    expect(selected.map(u => u.rowKey)).toEqual(['never', 'old', 'week'])
+    expect(
+      selectForRefresh(users, { budget: 10, maxStaleDays: 8 }, now).map(
+        u => u.rowKey
+      )
+    ).toEqual(['never', 'old'])
+  })
+})
+
+describe('cacheRefresh - getCacheStaleness', () => {
+  it('should report the oldest refreshed entry and entries never refreshed', () => {
+    expect(
+      getCacheStaleness(
+        [
+          { lastUpdated: '2025-06-01T00:00:00Z' },
+          { lastUpdated: '2025-06-20T00:00:00Z' },
+          { lastUpdated: null }
+        ],
+        new Date('2025-06-30T12:00:00Z')
+      )
+    ).toEqual({ oldestDays: 29, neverRefreshed: 1 })
+    expect(getCacheStaleness([{ lastUpdated: null }])).toEqual({
+      oldestDays: null,
+      neverRefreshed: 1
+    })
+  })
+})
+
+describe('cacheRefresh - UserAccountProvider', () => {
+  let manager
+  let provider
+
+  beforeEach(async () => {
+    core.info = jest.fn()
+    core.warning = jest.fn()
+    reset()
+    manager = {
+      getUser: jest.fn(),
+      getUsers: jest.fn(
+        async batch =>
+          new Map(
+            batch.map(login => [login, { login, id: 1, company: 'ACME' }])
+          )
+      )
+    }
+    provider = new UserAccountProvider(
+      manager,
+      {
+        file: path.join(
+          fs.mkdtempSync(path.join(os.tmpdir(), 'cache-')),
+          'cache.json'
+        )
+      },
+      30,
+      { budget: 1, maxStaleDays: 3, rateLimitFloor: 1000 }
+    )
+    await provider.initialize([
+      { github_com_login: 'joe' },
+      { github_com_login: 'ann' },
+      { github_com_login: 'bob' }
+    ])
+  })
+
+  it('should stop refreshing when the budget is used up', async () => {
+    provider.rateLimitRemaining = 5000
+
+    await provider.refreshUserData()
+    const joe = await provider.getUserData('joe')
+    const ann = await provider.getUserData('ann')
+    await provider.getUserData('bob')
+
+    expect(joe.company).toEqual('ACME')
+    expect(ann.company).toBeUndefined()
+    expect(manager.getUsers).toHaveBeenCalledWith(['joe'])
+    expect(manager.getUser).not.toHaveBeenCalled()
+    expect(core.warning).toHaveBeenCalledTimes(1)
+    expect(core.warning).toHaveBeenCalledWith(
+      'User Cache refresh budget of 1 reached. Using cached data for the remaining users.'
+    )
+    expect(provider.getStaleness()).toEqual({
+      oldestDays: 0,
+      neverRefreshed: 2
+    })
+  })
+
+  it('should refresh profiles in batches of 100', async () => {
+    const logins = Array.from({ length: 250 }, (_, i) => `user${i}`)
+    manager.getUsers.mockImplementation(
+      async batch =>
+        new Map(
+          batch
+            .filter(login => login !== 'user7')
+            .map(login => [login, { login, id: 1, company: 'ACME' }])
+        )
+    )
+    provider.refreshBudget = {
+      budget: 50000,
+      maxStaleDays: 3,
+      rateLimitFloor: 5
+    }
+    await provider.initialize(
+      logins.map(login => ({ github_com_login: login }))
+    )
+
+    await provider.refreshUserData()
+
+    expect(manager.getUsers).toHaveBeenCalledTimes(3)
+    expect(manager.getUsers.mock.calls.map(([batch]) => batch.length)).toEqual([
+      100, 100, 50
+    ])
+    expect(manager.getUser).not.toHaveBeenCalled()
+    // user7 was not found and is refreshed next time
+    expect(provider.refreshed).toEqual(249)
+    expect(provider.getStaleness().neverRefreshed).toEqual(1)
+  })
+
+  it('should serve stale profiles from the cache without looking them up', async () => {
+    provider.rateLimitRemaining = 5000
+
+    const joe = await provider.getUserData('joe')
+
+    expect(joe.login).toEqual('joe')
+    expect(joe.company).toBeUndefined()
+    expect(manager.getUser).not.toHaveBeenCalled()
+    expect(manager.getUsers).not.toHaveBeenCalled()
+  })
+
+  it('should keep the reserved rate limit for other automation', async () => {
+    provider.refreshBudget.budget = 5
+    // 900 GraphQL points left is below the floor of 1000
+    manager.governor = { remaining: jest.fn(() => 900) }
+
+    await provider.refreshUserData()
+
+    expect(manager.governor.remaining).toHaveBeenCalledWith('graphql')
+    expect(manager.getUsers).not.toHaveBeenCalled()
+    expect(core.warning).toHaveBeenCalledWith(
+      'Rate limit is low. Stopping User Cache refresh.'
+    )
+  })
+})
@@ -0,0 +1,167 @@
+const { syncCachedUsers, parseRetentionDays } = require('../src/cacheRetention')
+const { FileTableClient, reset } = require('../src/fileTableclient')
+const core = require('@actions/core')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('cacheRetention - syncCachedUsers', () => {
+  const now = new Date('2025-06-30T00:00:00Z')
+  let client
+
+  beforeEach(async () => {
+    core.info = jest.fn()
+    reset()
+    client = new FileTableClient(
+      path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cache-')), 'cache.json')
+    )
+    await client.bulkInsert(['joe', 'ann', 'bob'])
+    await client.upsertUser('ann', '2025-04-01T00:00:00Z')
+  })
+
+  it('should add missing users and tombstone departed users', async () => {
+    const result = await syncCachedUsers(
+      client,
+      ['joe', 'new'],
+      'ent1',
+      30,
+      'Audit Cache',
+      now
+    )
+
+    expect(result.users.map(u => u.rowKey).sort()).toEqual(['joe', 'new'])
+    expect(result.departed).toEqual(['ann', 'bob'])
+    expect(result.pruned).toEqual([])
+    // departed users keep their data until they are pruned
+    expect(await client.getUser('ann')).toMatchObject({
+      lastActivityDate: '2025-04-01T00:00:00Z',
+      departedAt: '2025-06-30T00:00:00.000Z'
+    })
+    expect(core.info).toHaveBeenCalledWith(
+      'Audit Cache: 2 departed users marked, 0 pruned after 30 days.'
+    )
+  })
+
+  it('should prune departed users after the retention period', async () => {
+    await syncCachedUsers(client, ['joe'], 'ent1', 30, 'Audit Cache', now)
+
+    const later = new Date('2025-07-29T00:00:00Z')
+    const early = await syncCachedUsers(
+      client,
+      ['joe'],
+      'ent1',
+      30,
+      'Audit Cache',
+      later
+    )
+    expect(early.pruned).toEqual([])
+
+    const result = await syncCachedUsers(
+      client,
+      ['joe'],
+      'ent1',
+      30,
+      'Audit Cache',
+      new Date('2025-07-30T00:00:00Z')
+    )
+    expect(result.pruned).toEqual(['ann', 'bob'])
+    expect((await client.getAll()).map(u => u.rowKey)).toEqual(['joe'])
+  })
+
+  it('should prune departed users right away without retention', async () => {
+    const result = await syncCachedUsers(
+      client,
+      ['joe'],
+      'ent1',
+      0,
+      'Audit Cache',
+      now
+    )
+
+    expect(result.pruned).toEqual(['ann', 'bob'])
+    expect((await client.getAll()).map(u => u.rowKey)).toEqual(['joe'])
+  })
+
+  it('should keep the data of returning users and clear their tombstone', async () => {
+    await syncCachedUsers(client, ['joe'], 'ent1', 30, 'Audit Cache', now)
+
+    const result = await syncCachedUsers(
+      client,
+      ['joe', 'ann'],
+      'ent1',
+      30,
+      'Audit Cache',
+      now
+    )
+
+    expect(result.users.map(u => u.rowKey).sort()).toEqual(['ann', 'joe'])
+    expect(await client.getUser('ann')).toMatchObject({
+      lastActivityDate: '2025-04-01T00:00:00Z',
+      departedAt: ''
+    })
+  })
+
+  it('should only tombstone and prune the users of its own scope', async () => {
+    await syncCachedUsers(client, ['joe', 'ann'], 'ent1', 0, 'Audit Cache', now)
+    await syncCachedUsers(client, ['bob'], 'org1', 0, 'Audit Cache', now)
+
+    const result = await syncCachedUsers(
+      client,
+      ['joe', 'ann'],
+      'ent1',
+      0,
+      'Audit Cache',
+      now
+    )
+
+    expect(result.departed).toEqual([])
+    expect(result.pruned).toEqual([])
+    expect((await client.getAll()).map(u => u.rowKey).sort()).toEqual([
+      'ann',
+      'bob',
+      'joe'
+    ])
+    expect((await client.getUser('bob')).scopes).toEqual('org1')
+  })
+
+  it('should keep users who left one scope but are still seen in another', async () => {
+    await syncCachedUsers(
+      client,
+      ['joe', 'ann', 'bob'],
+      'ent1',
+      0,
+      'Audit Cache',
+      now
+    )
+    await syncCachedUsers(client, ['ann'], 'org1', 0, 'Audit Cache', now)
+
+    const result = await syncCachedUsers(
+      client,
+      ['joe'],
+      'ent1',
+      0,
+      'Audit Cache',
+      now
+    )
+
+    expect(result.departed).toEqual(['bob'])
+    expect(result.pruned).toEqual(['bob'])
+    expect(await client.getUser('ann')).toMatchObject({
+      lastActivityDate: '2025-04-01T00:00:00Z',
+      scopes: 'org1'
+    })
+  })
+})
+
+describe('cacheRetention - parseRetentionDays', () => {
+  it('should default to 30 days and accept 0', () => {
+    expect(parseRetentionDays('')).toEqual(30)
+    expect(parseRetentionDays('0')).toEqual(0)
+  })
+
+  it('should fail on invalid values', () => {
+    expect(() => parseRetentionDays('-1')).toThrow(
+      "Invalid cache retention days '-1'. It must be a non-negative integer."
+    )
+  })
+})
@@ -0,0 +1,114 @@
+const { CheckpointStore } = require('../src/checkpoint')
+const { reset } = require('../src/fileTableclient')
+const core = require('@actions/core')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('CheckpointStore', () => {
+  let file
+  let store
+
+  beforeEach(() => {
+    core.info = jest.fn()
+    reset()
+    file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-')),
+      'checkpoint.json'
+    )
+    store = new CheckpointStore({ file })
+  })
+
+  const dataset = {
+    orgs: [{ login: 'b-org' }, { login: 'a-org' }],
+    users: [{ github_com_login: 'joe' }, { github_com_login: 'ann' }],
+    copilotSeats: new Map([['joe', { assignee: { login: 'joe' } }]])
+  }
+
+  it('should return null without a checkpoint', async () => {
+    expect(await store.load('ent1')).toBeNull()
+  })
+
+  it('should keep the fetched data in order and the completed rows', async () => {
+    await store.start('ent1', dataset, new Date('2024-03-01T00:00:00Z'))
+    await store.saveRows('ent1', [
+      {
+        login: 'joe',
+        entry: { github_com_login: 'joe' },
+        inactive: false,
+        auditFailed: false,
+        activity: {
+          lastActivityAudit: new Date('2024-02-01T00:00:00Z'),
+          lastActivityAuditChecked: null,
+          lastActivity: new Date('2024-02-01T00:00:00Z')
+        }
+      }
+    ])
+
+    // the checkpoint is on disk for the next run
+    reset()
+    const checkpoint = await new CheckpointStore({ file }).load('ent1')
+
+    expect(checkpoint.startedAt).toEqual('2024-03-01T00:00:00.000Z')
+    expect(checkpoint.orgs).toEqual(dataset.orgs)
+    expect(checkpoint.users).toEqual(dataset.users)
+    expect(checkpoint.copilotSeats).toEqual(dataset.copilotSeats)
+    expect(checkpoint.rows.get('joe')).toEqual({
+      login: 'joe',
+      entry: { github_com_login: 'joe' },
+      inactive: false,
+      auditFailed: false,
+      activity: {
+        lastActivityAudit: new Date('2024-02-01T00:00:00Z'),
+        lastActivityAuditChecked: null,
+        lastActivity: new Date('2024-02-01T00:00:00Z')
+      }
+    })
+    expect(await store.load('ent2')).toBeNull()
+  })
+
+  it('should replace the previous checkpoint of the scope', async () => {
+    await store.start('ent1', dataset)
+    await store.saveRows('ent1', [
+      {
+        login: 'joe',
+        entry: {},
+        inactive: false,
+        auditFailed: false,
+        activity: {}
+      }
+    ])
+
+    await store.start('ent1', { ...dataset, users: [dataset.users[1]] })
+
+    const checkpoint = await store.load('ent1')
+    expect(checkpoint.users).toEqual([{ github_com_login: 'ann' }])
+    expect(checkpoint.rows.size).toEqual(0)
+  })
+
+  it('should not resume a checkpoint saved with other report settings', async () => {
+    core.warning = jest.fn()
+    const settings = { columns: ['github_com_login:Login'], inactiveDays: 90 }
+    await new CheckpointStore({ file }, settings).start('ent1', dataset)
+
+    const same = await new CheckpointStore({ file }, settings).load('ent1')
+    const other = await new CheckpointStore(
+      { file },
+      { ...settings, inactiveDays: 30 }
+    ).load('ent1')
+
+    expect(same.users).toEqual(dataset.users)
+    expect(other).toBeNull()
+    expect(core.warning).toHaveBeenCalledWith(
+      "The checkpoint for 'ent1' was saved with other report settings (columns, inactive days or audit log) and is not used."
+    )
+  })
+
+  it('should delete the checkpoint', async () => {
+    await store.start('ent1', dataset)
+
+    await store.clear('ent1')
+
+    expect(await store.load('ent1')).toBeNull()
+  })
+})
@@ -0,0 +1,135 @@
+const {
+  getReclaimableSeats,
+  getCopilotWaste,
+  parseUnusedDays,
+  parseSeatPrice
+} = require('../src/copilotReport')
+
+describe('copilotReport - getReclaimableSeats', () => {
+  const now = new Date('2025-05-01T00:00:00Z')
+
+  const seats = new Map(
+    [
+      createSeat('active', '2025-01-01T00:00:00Z', '2025-04-25T00:00:00Z'),
+      createSeat('idle', '2025-01-01T00:00:00Z', '2025-03-01T00:00:00Z', {
+        assigning_team: { slug: 'devs' }
+      }),
+      createSeat('never', '2025-02-01T00:00:00Z', null),
+      createSeat('new', '2025-04-20T00:00:00Z', null),
+      createSeat('leaving', '2025-01-01T00:00:00Z', '2025-04-30T00:00:00Z', {
+        pending_cancellation_date: '2025-05-31'
+      })
+    ].map(seat => [seat.assignee.login, seat])
+  )
+
+  it('should report unused, never used and pending cancellation seats', () => {
+    const result = getReclaimableSeats(seats, 30, now)
+
+    expect(result.map(s => [s.login, s.reason, s.days_unused])).toEqual([
+      ['idle', 'unused', 61],
+      ['never', 'never_used', 89],
+      ['leaving', 'pending_cancellation', 1]
+    ])
+    expect(result[0]).toEqual({
+      login: 'idle',
+      organization: 'org1',
+      assigning_team: 'devs',
+      created_at: '2025-01-01T00:00:00Z',
+      last_activity_at: '2025-03-01T00:00:00Z',
+      last_activity_editor: 'vscode',
+      pending_cancellation_date: null,
+      days_unused: 61,
+      reason: 'unused'
+    })
+  })
+
+  it('should use the unused days threshold', () => {
+    const result = getReclaimableSeats(seats, 90, now)
+
+    expect(result.map(s => s.login)).toEqual(['leaving'])
+  })
+})
+
+describe('copilotReport - getCopilotWaste', () => {
+  it('should compute the monthly waste per organization and assigning team', () => {
+    const waste = getCopilotWaste(
+      [
+        { organization: 'org1', assigning_team: 'devs', reason: 'unused' },
+        { organization: 'org1', assigning_team: 'devs', reason: 'never_used' },
+        { organization: 'org1', assigning_team: null, reason: 'unused' },
+        { organization: 'org2', assigning_team: 'ops', reason: 'unused' },
+        {
+          organization: 'org2',
+          assigning_team: 'ops',
+          reason: 'pending_cancellation'
+        }
+      ],
+      19.99
+    )
+
+    expect(waste.reclaimableSeats).toEqual(4)
+    expect(waste.monthlyWaste).toEqual(79.96)
+    expect(waste.rows).toEqual([
+      {
+        organization: 'org1',
+        assigning_team: null,
+        reclaimable_seats: 3,
+        monthly_waste: 59.97
+      },
+      {
+        organization: 'org1',
+        assigning_team: 'devs',
+        reclaimable_seats: 2,
+        monthly_waste: 39.98
+      },
+      {
+        organization: 'org2',
+        assigning_team: null,
+        reclaimable_seats: 1,
+        monthly_waste: 19.99
+      },
+      {
+        organization: 'org2',
+        assigning_team: 'ops',
+        reclaimable_seats: 1,
+        monthly_waste: 19.99
+      }
+    ])
+  })
+})
+
+describe('copilotReport - parse inputs', () => {
+  it('should use defaults for empty values', () => {
+    expect(parseUnusedDays('')).toEqual(30)
+    expect(parseSeatPrice('')).toEqual(19)
+  })
+
+  it('should parse valid values', () => {
+    expect(parseUnusedDays('45')).toEqual(45)
+    expect(parseSeatPrice('39.5')).toEqual(39.5)
+    expect(parseSeatPrice('0')).toEqual(0)
+  })
+
+  it('should fail on invalid values', () => {
+    expect(() => parseUnusedDays('1.5')).toThrow(
+      "Invalid Copilot unused days '1.5'. It must be a positive integer."
+    )
+    expect(() => parseSeatPrice('-1')).toThrow(
+      "Invalid Copilot seat price '-1'. It must be a non-negative number."
+    )
+  })
+})
+
+function createSeat(login, createdAt, lastActivityAt, extra = {}) {
+  return {
+    created_at: createdAt,
+    updated_at: createdAt,
+    pending_cancellation_date: null,
+    last_activity_at: lastActivityAt,
+    last_activity_editor: lastActivityAt ? 'vscode' : null,
+    assignee: { login },
+    assigning_team: null,
+    organization: { login: 'org1' },
+    ...extra
+  }
+}
@@ -0,0 +1,113 @@
+const { FileTableClient, flushAll, reset } = require('../src/fileTableclient')
+const core = require('@actions/core')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('FileTableClient', () => {
+  let file
+
+  beforeEach(() => {
+    core.info = jest.fn()
+    reset()
+    file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'cache-')),
+      'nested',
+      'cache.json'
+    )
+  })
+
+  it('should start empty when the file does not exist', async () => {
+    const client = new FileTableClient(file)
+    await client.createTable()
+
+    expect(await client.getAll()).toEqual([])
+    expect(fs.existsSync(file)).toBe(false)
+  })
+
+  it('should persist entities between runs', async () => {
+    const audit = new FileTableClient(file)
+    const users = new FileTableClient(file, 'userspublicdata')
+    await audit.bulkInsert(['joe', 'ann'])
+    await audit.upsertUser('joe', '2025-04-01T00:00:00Z')
+    await users.upsertUserData('joe', {
+      login: 'joe',
+      id: 1,
+      type: 'User',
+      created_at: '2020-01-01T00:00:00Z',
+      updated_at: '2025-01-01T00:00:00Z',
+      company: 'ACME',
+      name: 'Joe'
+    })
+    await flushAll()
+
+    // next run loads the file
+    reset()
+    const nextAudit = new FileTableClient(file)
+    const nextUsers = new FileTableClient(file, 'userspublicdata')
+    const entities = await nextAudit.getAll()
+
+    expect(entities).toHaveLength(2)
+    expect(entities.find(e => e.rowKey === 'ann')).toEqual({
+      partitionKey: 'audit',
+      rowKey: 'ann',
+      lastActivityDate: null,
+      lastUpdated: null
+    })
+    expect(await nextAudit.getUser('joe')).toMatchObject({
+      lastActivityDate: '2025-04-01T00:00:00Z',
+      lastUpdated: expect.any(String)
+    })
+    expect(await nextUsers.getAll()).toEqual([
+      expect.objectContaining({ rowKey: 'joe', company: 'ACME' })
+    ])
+  })
+
+  it('should keep partitions and delete entities', async () => {
+    const client = new FileTableClient(file, 'reportsnapshots')
+    await client.upsertEntities([
+      { partitionKey: 'ent1', rowKey: 'joe', snapshot: '{}' },
+      { partitionKey: 'ent1', rowKey: 'ann', snapshot: '{}' },
+      { partitionKey: 'ent2', rowKey: 'joe', snapshot: '{}' }
+    ])
+    await client.deleteEntities([{ partitionKey: 'ent1', rowKey: 'ann' }])
+
+    expect((await client.getPartition('ent1')).map(e => e.rowKey)).toEqual([
+      'joe'
+    ])
+    expect(await client.getPartition('missing')).toEqual([])
+  })
+
+  it('should save the file every 100 writes', async () => {
+    const client = new FileTableClient(file)
+    await client.bulkInsert(Array.from({ length: 99 }, (_, i) => `user${i}`))
+
+    expect(fs.existsSync(file)).toBe(false)
+
+    await client.upsertUser('user100', null)
+
+    expect(
+      Object.keys(
+        JSON.parse(fs.readFileSync(file, 'utf8')).tables.usersaudit.audit
+      )
+    ).toHaveLength(100)
+  })
+
+  it('should not return references to the cached entities', async () => {
+    const client = new FileTableClient(file)
+    await client.upsertUser('joe', null)
+
+    const [entity] = await client.getAll()
+    entity.lastActivityDate = 'changed'
+
+    expect((await client.getUser('joe')).lastActivityDate).toBeNull()
+  })
+
+  it('should fail when the user is not in the cache', async () => {
+    const client = new FileTableClient(file)
+
+    await expect(client.getUser('joe')).rejects.toThrow(
+      'User joe not found in usersaudit'
+    )
+  })
+})
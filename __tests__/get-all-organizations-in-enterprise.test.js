@@ -81,7 +81,11 @@ describe('UserManager - getAllOrganizationsInEnterprise', () => {
 
     expect(result).toEqual(mockOrgsPage1.concat(mockOrgsPage2))
     // check if 12 api calls available (we need 2 pages 100 orgs each + buffer of 10)
-    expect(hold_until_rate_limit_success).toHaveBeenCalledWith(12, token)
+    expect(hold_until_rate_limit_success).toHaveBeenCalledWith(
+      12,
+      octokit,
+      'graphql'
+    )
   })
 
   it('should handle errors when fetching organizations', async () => {
@@ -162,7 +166,11 @@ describe('UserManager - getAllOrganizationsInEnterprise', () => {
     expect(core.info).toHaveBeenCalledWith(
       '301 total orgs. Performing rate limit check...'
     )
-    expect(hold_until_rate_limit_success).toHaveBeenCalledWith(14, token)
+    expect(hold_until_rate_limit_success).toHaveBeenCalledWith(
+      14,
+      octokit,
+      'graphql'
+    )
     expect(hold_until_rate_limit_success).toHaveBeenCalledTimes(1)
   })
 })
@@ -0,0 +1,76 @@
+const { UserManager } = require('../src/userManager')
+const { hold_until_rate_limit_success } = require('../src/rateLimit')
+const core = require('@actions/core')
+
+jest.mock('../src/rateLimit')
+
+describe('UserManager - getConsumedLicensesTotal', () => {
+  let userManager
+  let octokit
+  const token = 'test-token'
+  const ent = 'test-enterprise'
+
+  beforeEach(async () => {
+    octokit = {
+      request: jest.fn()
+    }
+
+    userManager = new UserManager(token)
+    userManager.graphql = {}
+    userManager.octokit = octokit
+    core.info = jest.fn()
+    core.error = jest.fn()
+
+    // mock rate limit check
+    hold_until_rate_limit_success.mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should fetch license totals with a single call', async () => {
+    octokit.request.mockResolvedValue({
+      data: {
+        users: [{ github_com_login: 'joe' }],
+        total_seats_consumed: 251,
+        total_seats_purchased: 300
+      }
+    })
+
+    const result = await userManager.getConsumedLicensesTotal(ent)
+
+    expect(result).toEqual({
+      total_seats_consumed: 251,
+      total_seats_purchased: 300
+    })
+    expect(octokit.request).toHaveBeenCalledTimes(1)
+    expect(octokit.request).toHaveBeenCalledWith(
+      `GET /enterprises/${ent}/consumed-licenses?per_page=1`
+    )
+  })
+
+  it('should handle errors when fetching license totals', async () => {
+    octokit.request.mockRejectedValue(new Error('Not found'))
+
+    await expect(userManager.getConsumedLicensesTotal(ent)).rejects.toThrow(
+      'Not found'
+    )
+    expect(core.error).toHaveBeenCalledWith(
+      `Error fetching license totals in '${ent}'`
+    )
+  })
+
+  it('should fetch rate limits', async () => {
+    const resources = {
+      core: { limit: 5000, remaining: 4999, reset: 1 },
+      graphql: { limit: 5000, remaining: 5000, reset: 1 }
+    }
+    octokit.request.mockResolvedValue({ data: { resources } })
+
+    const result = await userManager.getRateLimits()
+
+    expect(result).toEqual(resources)
+    expect(octokit.request).toHaveBeenCalledWith('GET /rate_limit')
+  })
+})
@@ -78,7 +78,8 @@ describe('UserManager - getConsumedLicenses', () => {
     // check if 12 api calls available (we need 2 pages 100 orgs each + buffer of 10)
     expect(hold_until_rate_limit_success).toHaveBeenCalledWith(
       13,
-      token,
+      octokit,
+      'core',
       headers
     )
   })
@@ -131,7 +132,8 @@ describe('UserManager - getConsumedLicenses', () => {
     )
     expect(hold_until_rate_limit_success).toHaveBeenCalledWith(
       37,
-      token,
+      octokit,
+      'core',
       headers
     )
     expect(hold_until_rate_limit_success).toHaveBeenCalledTimes(1)
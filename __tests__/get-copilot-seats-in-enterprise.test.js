@@ -101,7 +101,8 @@ describe('UserManager - getCopilotSeats', () => {
     expect(result.size).toBe(373)
     expect(hold_until_rate_limit_success).toHaveBeenCalledWith(
       14,
-      token,
+      octokit,
+      'core',
       headers
     )
     expect(hold_until_rate_limit_success).toHaveBeenCalledTimes(1)
@@ -106,7 +106,11 @@ describe('UserManager - getMoreTeamsForUser', () => {
 
     expect(result).toHaveLength(256)
     // no rate limit because single call
-    expect(hold_until_rate_limit_success).toHaveBeenCalledWith(13, token)
+    expect(hold_until_rate_limit_success).toHaveBeenCalledWith(
+      13,
+      octokit,
+      'graphql'
+    )
   })
 })
 
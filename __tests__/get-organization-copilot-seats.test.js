@@ -0,0 +1,74 @@
+const { UserManager } = require('../src/userManager')
+const { hold_until_rate_limit_success } = require('../src/rateLimit')
+const core = require('@actions/core')
+
+jest.mock('../src/rateLimit')
+
+describe('UserManager - getOrganizationCopilotSeats', () => {
+  let userManager
+  let octokit
+  const token = 'test-token'
+  const org = 'test-org'
+
+  beforeEach(async () => {
+    octokit = {
+      paginate: {
+        iterator: jest.fn()
+      },
+      request: jest.fn()
+    }
+
+    userManager = new UserManager(token)
+    userManager.graphql = {}
+    userManager.octokit = octokit
+    core.info = jest.fn()
+    core.error = jest.fn()
+
+    // mock rate limit check
+    hold_until_rate_limit_success.mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should fetch seats and tag them with the organization', async () => {
+    octokit.paginate.iterator.mockReturnValue({
+      async *[Symbol.asyncIterator]() {
+        yield {
+          data: {
+            total_seats: 2,
+            seats: [
+              { assignee: { login: 'joe' }, last_activity_at: null },
+              { assignee: { login: 'jane' }, last_activity_at: null }
+            ]
+          },
+          headers: {}
+        }
+      }
+    })
+
+    const result = await userManager.getOrganizationCopilotSeats(org)
+
+    expect(result.size).toEqual(2)
+    expect(result.get('joe').organization).toEqual({ login: org })
+    expect(octokit.paginate.iterator).toHaveBeenCalledWith(
+      `GET /orgs/${org}/copilot/billing/seats`,
+      { per_page: 100 }
+    )
+    expect(hold_until_rate_limit_success).not.toHaveBeenCalled()
+  })
+
+  it('should handle errors when fetching seats', async () => {
+    octokit.paginate.iterator.mockImplementation(() => {
+      throw new Error('Forbidden')
+    })
+
+    await expect(userManager.getOrganizationCopilotSeats(org)).rejects.toThrow(
+      'Forbidden'
+    )
+    expect(core.error).toHaveBeenCalledWith(
+      `Error fetching copilot billing seats in '${org}' org`
+    )
+  })
+})
@@ -0,0 +1,79 @@
+const { UserManager } = require('../src/userManager')
+const { hold_until_rate_limit_success } = require('../src/rateLimit')
+const core = require('@actions/core')
+
+jest.mock('../src/rateLimit')
+
+describe('UserManager - getOrganizationDetails', () => {
+  let userManager
+  let octokit
+  let graphql
+  const token = 'test-token'
+  const org = 'test-org'
+
+  beforeEach(async () => {
+    octokit = {
+      paginate: jest.fn(),
+      request: jest.fn()
+    }
+    graphql = jest.fn()
+
+    userManager = new UserManager(token)
+    userManager.graphql = graphql
+    userManager.octokit = octokit
+    core.info = jest.fn()
+    core.error = jest.fn()
+
+    // mock rate limit check
+    hold_until_rate_limit_success.mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should fetch organization details with a single query', async () => {
+    const organization = {
+      login: org,
+      name: 'Test Org',
+      createdAt: '2020-01-01T00:00:00Z',
+      requiresTwoFactorAuthentication: true,
+      membersWithRole: { totalCount: 10 },
+      teams: { totalCount: 3 },
+      pendingMembers: { totalCount: 2 }
+    }
+    graphql.mockResolvedValue({ organization })
+
+    const result = await userManager.getOrganizationDetails(org)
+
+    expect(result).toEqual(organization)
+    expect(graphql).toHaveBeenCalledTimes(1)
+    expect(graphql).toHaveBeenCalledWith(expect.any(String), { org })
+  })
+
+  it('should handle errors when fetching organization details', async () => {
+    graphql.mockRejectedValue(new Error('Forbidden'))
+
+    await expect(userManager.getOrganizationDetails(org)).rejects.toThrow(
+      'Forbidden'
+    )
+    expect(core.error).toHaveBeenCalledWith(
+      `Error fetching details of '${org}' org`
+    )
+  })
+
+  it('should fetch organization owners', async () => {
+    octokit.paginate.mockResolvedValue([
+      { login: 'owner1' },
+      { login: 'owner2' }
+    ])
+
+    const result = await userManager.getOrganizationOwners(org)
+
+    expect(result).toEqual(['owner1', 'owner2'])
+    expect(octokit.paginate).toHaveBeenCalledWith(`GET /orgs/${org}/members`, {
+      per_page: 100,
+      role: 'admin'
+    })
+  })
+})
@@ -0,0 +1,109 @@
+const { UserManager } = require('../src/userManager')
+const { hold_until_rate_limit_success } = require('../src/rateLimit')
+const core = require('@actions/core')
+
+jest.mock('../src/rateLimit')
+
+describe('UserManager - getOrganizationMembers', () => {
+  let userManager
+  let octokit
+  const token = 'test-token'
+  const org = 'test-org'
+
+  beforeEach(async () => {
+    octokit = {
+      paginate: jest.fn(),
+      request: jest.fn()
+    }
+
+    userManager = new UserManager(token)
+    userManager.graphql = {}
+    userManager.octokit = octokit
+    core.info = jest.fn()
+    core.error = jest.fn()
+    core.warning = jest.fn()
+
+    // mock rate limit check
+    hold_until_rate_limit_success.mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should fetch members with roles and two-factor status', async () => {
+    octokit.paginate.mockImplementation(async (route, params) => {
+      if (params.role === 'admin') {
+        return [{ login: 'owner' }]
+      }
+      if (params.filter === '2fa_disabled') {
+        return [{ login: 'member' }]
+      }
+      return [
+        { login: 'owner', html_url: 'https://github.com/owner' },
+        { login: 'member', html_url: 'https://github.com/member' }
+      ]
+    })
+
+    const result = await userManager.getOrganizationMembers(org)
+
+    expect(result).toEqual([
+      {
+        login: 'owner',
+        html_url: 'https://github.com/owner',
+        role: 'admin',
+        two_factor_auth: true
+      },
+      {
+        login: 'member',
+        html_url: 'https://github.com/member',
+        role: 'member',
+        two_factor_auth: false
+      }
+    ])
+    expect(octokit.paginate).toHaveBeenCalledWith(`GET /orgs/${org}/members`, {
+      per_page: 100
+    })
+  })
+
+  it('should use the owners when they were already read', async () => {
+    octokit.paginate.mockImplementation(async (route, params) =>
+      params.filter === '2fa_disabled'
+        ? []
+        : [{ login: 'owner', html_url: 'https://github.com/owner' }]
+    )
+
+    const result = await userManager.getOrganizationMembers(org, ['owner'])
+
+    expect(result[0].role).toEqual('admin')
+    expect(octokit.paginate).not.toHaveBeenCalledWith(
+      `GET /orgs/${org}/members`,
+      expect.objectContaining({ role: 'admin' })
+    )
+  })
+
+  it('should leave two-factor status blank when it is not available', async () => {
+    octokit.paginate.mockImplementation(async (route, params) => {
+      if (params.filter === '2fa_disabled') {
+        throw new Error('Forbidden')
+      }
+      return [{ login: 'member', html_url: 'https://github.com/member' }]
+    })
+
+    const result = await userManager.getOrganizationMembers(org)
+
+    expect(result[0].two_factor_auth).toBeNull()
+    expect(core.warning).toHaveBeenCalled()
+  })
+
+  it('should handle errors when fetching members', async () => {
+    octokit.paginate.mockRejectedValue(new Error('Not found'))
+
+    await expect(userManager.getOrganizationMembers(org)).rejects.toThrow(
+      'Not found'
+    )
+    expect(core.error).toHaveBeenCalledWith(
+      `Error fetching members of '${org}' org`
+    )
+  })
+})
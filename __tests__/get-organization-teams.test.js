@@ -0,0 +1,182 @@
+const { UserManager } = require('../src/userManager')
+const { hold_until_rate_limit_success } = require('../src/rateLimit')
+const core = require('@actions/core')
+
+jest.mock('../src/rateLimit')
+
+describe('UserManager - getOrganizationTeams', () => {
+  let userManager
+  let octokit
+  let graphql
+  const token = 'test-token'
+  const org = 'test-org'
+
+  beforeEach(async () => {
+    octokit = {
+      paginate: jest.fn(),
+      request: jest.fn()
+    }
+    graphql = {
+      paginate: {
+        iterator: jest.fn()
+      }
+    }
+
+    userManager = new UserManager(token)
+    userManager.graphql = graphql
+    userManager.octokit = octokit
+    core.info = jest.fn()
+    core.error = jest.fn()
+
+    // mock rate limit check
+    hold_until_rate_limit_success.mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should fetch teams with parent team, privacy and member roles', async () => {
+    graphql.paginate.iterator.mockReturnValueOnce([
+      {
+        organization: {
+          teams: {
+            nodes: [
+              createTeam('parent', null, [['joe', 'MAINTAINER']]),
+              createTeam('child', 'parent', [
+                ['joe', 'MEMBER'],
+                ['ann', 'MEMBER']
+              ])
+            ],
+            totalCount: 2,
+            pageInfo: { hasNextPage: false, endCursor: null }
+          }
+        }
+      }
+    ])
+
+    const result = await userManager.getOrganizationTeams(org)
+
+    expect(result).toEqual([
+      {
+        name: 'Team parent',
+        slug: 'parent',
+        privacy: 'VISIBLE',
+        parentTeam: null,
+        members: [{ login: 'joe', role: 'MAINTAINER' }]
+      },
+      {
+        name: 'Team child',
+        slug: 'child',
+        privacy: 'VISIBLE',
+        parentTeam: { slug: 'parent' },
+        members: [
+          { login: 'joe', role: 'MEMBER' },
+          { login: 'ann', role: 'MEMBER' }
+        ]
+      }
+    ])
+    expect(graphql.paginate.iterator).toHaveBeenCalledWith(expect.any(String), {
+      org
+    })
+  })
+
+  it('should fetch remaining members of large teams', async () => {
+    const team = createTeam('big', null, [['joe', 'MEMBER']])
+    team.members.pageInfo = { hasNextPage: true, endCursor: 'cursor1' }
+    graphql.paginate.iterator
+      .mockReturnValueOnce([
+        {
+          organization: {
+            teams: {
+              nodes: [team],
+              totalCount: 1,
+              pageInfo: { hasNextPage: false, endCursor: null }
+            }
+          }
+        }
+      ])
+      .mockReturnValueOnce([
+        {
+          organization: {
+            team: {
+              members: {
+                edges: [{ role: 'MAINTAINER', node: { login: 'ann' } }],
+                pageInfo: { hasNextPage: false, endCursor: null }
+              }
+            }
+          }
+        }
+      ])
+
+    const result = await userManager.getOrganizationTeams(org)
+
+    expect(result[0].members).toEqual([
+      { login: 'joe', role: 'MEMBER' },
+      { login: 'ann', role: 'MAINTAINER' }
+    ])
+    expect(graphql.paginate.iterator).toHaveBeenLastCalledWith(
+      expect.any(String),
+      { org, slug: 'big', cursor: 'cursor1' }
+    )
+  })
+
+  it('should perform a rate limit check when there are more pages of teams', async () => {
+    graphql.paginate.iterator.mockReturnValueOnce([
+      {
+        organization: {
+          teams: {
+            nodes: [createTeam('a', null, [])],
+            totalCount: 120,
+            pageInfo: { hasNextPage: true, endCursor: 'cursor1' }
+          }
+        }
+      },
+      {
+        organization: {
+          teams: {
+            nodes: [createTeam('b', null, [])],
+            totalCount: 120,
+            pageInfo: { hasNextPage: false, endCursor: null }
+          }
+        }
+      }
+    ])
+
+    const result = await userManager.getOrganizationTeams(org)
+
+    expect(result.map(t => t.slug)).toEqual(['a', 'b'])
+    expect(hold_until_rate_limit_success).toHaveBeenCalledTimes(1)
+    expect(hold_until_rate_limit_success).toHaveBeenCalledWith(
+      13,
+      octokit,
+      'graphql'
+    )
+  })
+
+  it('should handle errors when fetching teams', async () => {
+    graphql.paginate.iterator.mockImplementation(() => {
+      throw new Error('Forbidden')
+    })
+
+    await expect(userManager.getOrganizationTeams(org)).rejects.toThrow(
+      'Forbidden'
+    )
+    expect(core.error).toHaveBeenCalledWith(
+      `Error fetching teams in '${org}' org`
+    )
+  })
+})
+
+function createTeam(slug, parent, members) {
+  return {
+    name: `Team ${slug}`,
+    slug,
+    privacy: 'VISIBLE',
+    parentTeam: parent ? { slug: parent } : null,
+    members: {
+      edges: members.map(([login, role]) => ({ role, node: { login } })),
+      pageInfo: { hasNextPage: false, endCursor: null }
+    }
+  }
+}
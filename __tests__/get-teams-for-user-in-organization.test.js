@@ -0,0 +1,63 @@
+const { UserManager } = require('../src/userManager')
+const { hold_until_rate_limit_success } = require('../src/rateLimit')
+const core = require('@actions/core')
+
+jest.mock('../src/rateLimit')
+
+describe('UserManager - getTeamsForUserInOrganization', () => {
+  let userManager
+  let octokit
+  const token = 'test-token'
+  const org = 'test-org'
+
+  beforeEach(async () => {
+    octokit = {
+      paginate: {
+        iterator: jest.fn()
+      },
+      request: jest.fn()
+    }
+
+    userManager = new UserManager(token)
+    userManager.graphql = {}
+    userManager.octokit = octokit
+    core.info = jest.fn()
+    core.error = jest.fn()
+
+    // mock rate limit check
+    hold_until_rate_limit_success.mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should return teams for a user in the organization', async () => {
+    const graphql = {
+      paginate: {
+        iterator: jest.fn().mockReturnValue({
+          async *[Symbol.asyncIterator]() {
+            yield {
+              organization: {
+                teams: {
+                  nodes: [{ name: 'Team 1', slug: 'team-1' }],
+                  totalCount: 1,
+                  pageInfo: { hasNextPage: false, endCursor: null }
+                }
+              }
+            }
+          }
+        })
+      }
+    }
+    userManager.graphql = graphql
+
+    const result = await userManager.getTeamsForUserInOrganization('joe', org)
+
+    expect(result).toEqual({
+      orgs: [
+        { org: { login: org }, teams: [{ name: 'Team 1', slug: 'team-1' }] }
+      ]
+    })
+  })
+})
@@ -82,20 +82,21 @@ describe('UserManager - getTeamsForUser', () => {
     expect(hold_until_rate_limit_success).not.toHaveBeenCalled()
   })
 
-  it('should handle errors when fetching teams for user', async () => {
+  it('should log and rethrow errors when fetching teams for user', async () => {
     const error = new Error('Error fetching teams for user')
     const username = 'test-user'
     graphql.paginate.iterator.mockImplementation(() => {
       throw error
     })
 
-    const result = await userManager.getTeamsForUser(username, ent)
+    await expect(userManager.getTeamsForUser(username, ent)).rejects.toThrow(
+      error
+    )
 
     expect(core.error).toHaveBeenCalledWith(
       `Error fetching teams and orgs for a user : ${username}`
     )
     expect(core.error).toHaveBeenCalledWith(error)
-    expect(result.orgs).toHaveLength(0)
   })
 
   it('should get all orgs if there are more pages', async () => {
@@ -0,0 +1,97 @@
+const { UserManager } = require('../src/userManager')
+const core = require('@actions/core')
+
+jest.mock('../src/rateLimit')
+
+describe('UserManager - getUsers', () => {
+  let userManager
+  let graphql
+  const token = 'test-token'
+
+  beforeEach(async () => {
+    graphql = jest.fn()
+    graphql.paginate = { iterator: jest.fn() }
+
+    userManager = new UserManager(token)
+    userManager.graphql = graphql
+    userManager.octokit = { request: jest.fn() }
+    core.info = jest.fn()
+    core.warning = jest.fn()
+    core.error = jest.fn()
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  /**
+   * Answer every aliased user field with a profile.
+   */
+  function answerAll(query, variables) {
+    return Object.fromEntries(
+      Object.entries(variables).map(([name, login]) => [
+        name.replace('login', 'user'),
+        {
+          login,
+          databaseId: 1,
+          createdAt: '2013-02-12T08:31:17Z',
+          updatedAt: '2025-04-14T13:03:47Z',
+          company: 'ACME',
+          name: login.toUpperCase()
+        }
+      ])
+    )
+  }
+
+  it('should fetch up to 100 users per query with aliased fields', async () => {
+    const logins = Array.from({ length: 230 }, (_, i) => `user${i}`)
+    graphql.mockImplementation(async (query, variables) =>
+      answerAll(query, variables)
+    )
+
+    const result = await userManager.getUsers(logins)
+
+    expect(graphql).toHaveBeenCalledTimes(3)
+    const [query, variables] = graphql.mock.calls[0]
+    expect(Object.keys(variables)).toHaveLength(100)
+    expect(variables.login0).toEqual('user0')
+    expect(query).toContain('user0: user(login: $login0)')
+    expect(query).toContain('user99: user(login: $login99)')
+    expect(query).toContain('databaseId createdAt updatedAt company name')
+
+    expect(result.size).toEqual(230)
+    expect(result.get('user229')).toEqual({
+      login: 'user229',
+      id: 1,
+      type: 'User',
+      created_at: '2013-02-12T08:31:17Z',
+      updated_at: '2025-04-14T13:03:47Z',
+      company: 'ACME',
+      name: 'USER229'
+    })
+  })
+
+  it('should leave out users that are not found', async () => {
+    const error = new Error('Could not resolve to a User')
+    error.errors = [{ type: 'NOT_FOUND', path: ['user1'] }]
+    error.data = { ...answerAll('', { login0: 'joe' }), user1: null }
+    graphql.mockRejectedValue(error)
+
+    const result = await userManager.getUsers(['joe', 'gone'])
+
+    expect([...result.keys()]).toEqual(['joe'])
+    expect(core.warning).toHaveBeenCalledWith('User gone not found.')
+  })
+
+  it('should throw other errors', async () => {
+    const error = new Error('Something went wrong')
+    error.errors = [{ type: 'INTERNAL' }]
+    error.data = {}
+    graphql.mockRejectedValue(error)
+
+    await expect(userManager.getUsers(['joe'])).rejects.toThrow(error)
+    expect(core.error).toHaveBeenCalledWith(
+      'Error fetching user data for 1 users'
+    )
+  })
+})
@@ -0,0 +1,42 @@
+const http = require('http')
+
+/**
+ * Start a local HTTP server that mimics the GitHub API.
+ * @param {function({method: string, url: string, body: any}): {status?: number, headers?: Object, body?: any}} handler Returns the response for a request.
+ * @returns {Promise<{url: string, requests: Array<{method: string, url: string, body: any}>, close: function(): Promise<void>}>} The running server.
+ */
+async function startMockServer(handler) {
+  const requests = []
+
+  const server = http.createServer((req, res) => {
+    let data = ''
+    req.on('data', chunk => (data += chunk))
+    req.on('end', () => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: data ? JSON.parse(data) : undefined
+      }
+      requests.push(request)
+
+      const response = handler(request) ?? { status: 404 }
+      res.writeHead(response.status ?? 200, {
+        'content-type': 'application/json',
+        ...response.headers
+      })
+      res.end(JSON.stringify(response.body ?? {}))
+    })
+  })
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const { port } = server.address()
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: async () => new Promise(resolve => server.close(resolve))
+  }
+}
+
+module.exports = { startMockServer }
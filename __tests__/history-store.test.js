@@ -0,0 +1,87 @@
+const { HistoryStore } = require('../src/historyStore')
+const { StorageTableClient } = require('../src/storageTableclient')
+const core = require('@actions/core')
+
+jest.mock('../src/storageTableclient')
+
+describe('HistoryStore', () => {
+  let store
+  let tableClient
+  const metrics = {
+    date: '2025-05-01T00:00:00.000Z',
+    totalUsers: 4,
+    usersByLicenseType: { Enterprise: 4 },
+    copilotSeats: 1,
+    active30Days: 1,
+    active60Days: 2,
+    active90Days: 3,
+    usersWithout2FA: 0
+  }
+
+  beforeEach(() => {
+    core.info = jest.fn()
+    store = new HistoryStore('UseDevelopmentStorage=true')
+    tableClient = StorageTableClient.mock.instances[0]
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should use the report history table', () => {
+    expect(StorageTableClient).toHaveBeenCalledWith(
+      'UseDevelopmentStorage=true',
+      'reporthistory'
+    )
+  })
+
+  it('should store the metrics of a run keyed by date', async () => {
+    await store.append('ent1', metrics)
+
+    expect(tableClient.createTable).toHaveBeenCalled()
+    expect(tableClient.upsertEntities).toHaveBeenCalledWith([
+      {
+        partitionKey: 'ent1',
+        rowKey: '2025-05-01T00:00:00.000Z',
+        totalUsers: 4,
+        usersByLicenseType: '{"Enterprise":4}',
+        copilotSeats: 1,
+        active30Days: 1,
+        active60Days: 2,
+        active90Days: 3,
+        usersWithout2FA: 0
+      }
+    ])
+  })
+
+  it('should return all runs oldest first', async () => {
+    tableClient.getPartition.mockResolvedValue([
+      {
+        partitionKey: 'ent1',
+        rowKey: '2025-05-01T00:00:00.000Z',
+        totalUsers: 4,
+        usersByLicenseType: '{"Enterprise":4}',
+        copilotSeats: 1,
+        active30Days: 1,
+        active60Days: 2,
+        active90Days: 3,
+        usersWithout2FA: 0
+      },
+      {
+        partitionKey: 'ent1',
+        rowKey: '2025-04-01T00:00:00.000Z',
+        totalUsers: 3,
+        usersByLicenseType: '{"Enterprise":3}'
+      }
+    ])
+
+    const history = await store.getAll('ent1')
+
+    expect(tableClient.getPartition).toHaveBeenCalledWith('ent1')
+    expect(history.map(run => run.date)).toEqual([
+      '2025-04-01T00:00:00.000Z',
+      '2025-05-01T00:00:00.000Z'
+    ])
+    expect(history[1]).toEqual(metrics)
+  })
+})
@@ -0,0 +1,273 @@
+const {
+  RateLimitGovernor,
+  hold_until_rate_limit_success,
+  resourceOf
+} = require('../src/rateLimit')
+const { UserManager } = require('../src/userManager')
+const { startMockServer } = require('./helpers/mock-server')
+const core = require('@actions/core')
+
+const now = new Date('2024-06-01T12:00:00Z')
+const nowSeconds = now.getTime() / 1000
+
+/**
+ * Rate limit headers of a response.
+ */
+function rateLimitHeaders(resource, remaining, limit = 5000, reset = 60) {
+  return {
+    'x-ratelimit-resource': resource,
+    'x-ratelimit-limit': `${limit}`,
+    'x-ratelimit-remaining': `${remaining}`,
+    'x-ratelimit-reset': `${nowSeconds + reset}`
+  }
+}
+
+describe('RateLimitGovernor', () => {
+  let sleep
+
+  beforeEach(() => {
+    core.info = jest.fn()
+    core.error = jest.fn()
+    sleep = jest.fn().mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should track each resource separately', () => {
+    const governor = new RateLimitGovernor({ sleep, now: () => now })
+
+    governor.update(rateLimitHeaders('core', 4000))
+    governor.update(rateLimitHeaders('graphql', 300))
+    governor.update(rateLimitHeaders('audit_log', 12, 1750))
+
+    expect(governor.remaining('core')).toEqual(4000)
+    expect(governor.remaining('graphql')).toEqual(300)
+    expect(governor.remaining('audit_log')).toEqual(12)
+    expect(governor.remaining('search')).toBeUndefined()
+  })
+
+  it('should take the resource from the request when the headers do not name it', () => {
+    const governor = new RateLimitGovernor({ sleep, now: () => now })
+    const { 'x-ratelimit-resource': _, ...headers } = rateLimitHeaders(
+      'audit_log',
+      100
+    )
+
+    governor.update(headers, 'audit_log')
+
+    expect(governor.remaining('audit_log')).toEqual(100)
+    expect(governor.remaining('core')).toBeUndefined()
+  })
+
+  it('should not wait before the rate limit is known', async () => {
+    const governor = new RateLimitGovernor({ floor: 100, sleep })
+
+    await governor.reserve('core', 50)
+
+    expect(sleep).not.toHaveBeenCalled()
+  })
+
+  it('should wait until the reset when the resource is used up', async () => {
+    const governor = new RateLimitGovernor({ sleep, now: () => now })
+    governor.update(rateLimitHeaders('core', 0, 5000, 90))
+
+    await governor.acquire('core')
+
+    expect(sleep).toHaveBeenCalledWith(91000)
+    expect(governor.remaining('core')).toEqual(5000)
+  })
+
+  it('should wait until the reset when the calls would go below the floor', async () => {
+    const governor = new RateLimitGovernor({ floor: 10, sleep, now: () => now })
+    governor.update(rateLimitHeaders('audit_log', 30, 1750))
+
+    await governor.reserve('audit_log', 15)
+    expect(sleep).not.toHaveBeenCalled()
+
+    await governor.reserve('audit_log', 25)
+    expect(sleep).toHaveBeenCalledTimes(1)
+  })
+
+  it('should not wait when the reset has passed', async () => {
+    const governor = new RateLimitGovernor({ sleep, now: () => now })
+    governor.update(rateLimitHeaders('core', 0, 5000, -10))
+
+    await governor.acquire('core')
+
+    expect(sleep).not.toHaveBeenCalled()
+  })
+
+  it('should count GraphQL calls with the point cost of the last query', async () => {
+    const governor = new RateLimitGovernor({ sleep, now: () => now })
+    governor.update(rateLimitHeaders('graphql', 1000))
+    governor.update(rateLimitHeaders('graphql', 990))
+
+    expect(governor.buckets.get('graphql').cost).toEqual(10)
+
+    // 90 queries of 10 points fit, 110 don't
+    await governor.reserve('graphql', 90)
+    expect(sleep).not.toHaveBeenCalled()
+    await governor.reserve('graphql', 110)
+    expect(sleep).toHaveBeenCalledTimes(1)
+  })
+
+  it('should count requests in flight against the rate limit', async () => {
+    const governor = new RateLimitGovernor({ sleep, now: () => now })
+    governor.update(rateLimitHeaders('audit_log', 2, 1750))
+
+    // two requests fit, the third waits for the reset
+    await Promise.all([
+      governor.acquire('audit_log'),
+      governor.acquire('audit_log'),
+      governor.acquire('audit_log')
+    ])
+
+    expect(sleep).toHaveBeenCalledTimes(1)
+    expect(governor.inFlight.get('audit_log')).toEqual(3)
+  })
+
+  it('should count the requests spent on each resource', () => {
+    const governor = new RateLimitGovernor({ sleep, now: () => now })
+
+    governor.update(rateLimitHeaders('graphql', 300))
+    const before = governor.spent('graphql')
+    governor.update(rateLimitHeaders('graphql', 290))
+    governor.update(rateLimitHeaders('graphql', 280))
+    governor.update(rateLimitHeaders('core', 4000))
+
+    expect(governor.spent('graphql') - before).toEqual(20)
+    expect(governor.spent('core')).toEqual(1)
+    expect(governor.spent('audit_log')).toEqual(0)
+  })
+
+  it('should seed the rate limits of all resources', () => {
+    const governor = new RateLimitGovernor({ sleep, now: () => now })
+
+    governor.seed({
+      core: { limit: 5000, remaining: 4321, reset: nowSeconds + 60 },
+      audit_log: { limit: 1750, remaining: 17, reset: nowSeconds + 60 }
+    })
+
+    expect(governor.remaining('core')).toEqual(4321)
+    expect(governor.remaining('audit_log')).toEqual(17)
+  })
+
+  it('should map request URLs to resources', () => {
+    expect(resourceOf('/graphql')).toEqual('graphql')
+    expect(resourceOf('https://ghes/api/graphql')).toEqual('graphql')
+    expect(resourceOf('/enterprises/ent/audit-log?phrase=x')).toEqual(
+      'audit_log'
+    )
+    expect(resourceOf('/users/joe')).toEqual('core')
+  })
+
+  it('should hold on the resource of the caller while other resources are requested', async () => {
+    const governor = new RateLimitGovernor({ sleep, now: () => now })
+    const hooks = {}
+    const octokit = {
+      hook: {
+        before: (name, hook) => (hooks.before = hook),
+        after: jest.fn(),
+        error: jest.fn()
+      }
+    }
+    governor.attach(octokit)
+    governor.update(rateLimitHeaders('graphql', 5))
+    governor.update(rateLimitHeaders('core', 4000))
+
+    // a REST request is sent while the GraphQL pages are checked
+    await Promise.all([
+      hooks.before({ url: '/users/joe' }),
+      hold_until_rate_limit_success(20, octokit, 'graphql'),
+      hold_until_rate_limit_success(20, octokit, 'core')
+    ])
+
+    expect(sleep).toHaveBeenCalledTimes(1)
+    expect(core.info).toHaveBeenCalledWith(
+      expect.stringContaining('graphql rate limit: 5 of 20 needed left.')
+    )
+  })
+
+  it('should use the headers when the octokit instance is not tracked', async () => {
+    jest.useFakeTimers({ now })
+    const promise = hold_until_rate_limit_success(20, {}, 'core', {
+      ...rateLimitHeaders('core', 5, 5000, 30)
+    })
+    await jest.advanceTimersByTimeAsync(31000)
+    await promise
+    jest.useRealTimers()
+
+    expect(core.info).toHaveBeenCalledWith(
+      expect.stringContaining('Waiting 30 seconds for the reset')
+    )
+  })
+})
+
+describe('UserManager - rate limit governor', () => {
+  const token = 'test-token'
+  const ent = 'test-enterprise'
+  let server
+  let auditRemaining
+
+  beforeEach(async () => {
+    core.info = jest.fn()
+    core.warning = jest.fn()
+    core.error = jest.fn()
+    auditRemaining = 2
+
+    server = await startMockServer(request => {
+      if (request.url.startsWith(`/enterprises/${ent}/audit-log`)) {
+        auditRemaining--
+        return {
+          headers: rateLimitHeaders('audit_log', auditRemaining, 1750),
+          body: [{ '@timestamp': 1717243200000 }]
+        }
+      }
+      if (request.url === '/users/joe') {
+        return {
+          headers: rateLimitHeaders('core', 4999),
+          body: { login: 'joe' }
+        }
+      }
+    })
+  })
+
+  afterEach(async () => {
+    await server.close()
+    jest.clearAllMocks()
+  })
+
+  it('should not spend requests on reading the rate limit', async () => {
+    const userManager = new UserManager(token, { apiUrl: server.url })
+
+    await userManager.getUser('joe')
+
+    expect(server.requests.map(r => r.url)).toEqual(['/users/joe'])
+    expect(userManager.governor.remaining('core')).toEqual(4999)
+  })
+
+  it('should wait for the reset when the audit log rate limit is used up', async () => {
+    const sleep = jest.fn().mockImplementation(async () => {
+      auditRemaining = 1750
+    })
+    const governor = new RateLimitGovernor({ sleep, now: () => now })
+    const userManager = new UserManager(token, {
+      apiUrl: server.url,
+      governor
+    })
+
+    await userManager.getLastActivityForUser('joe', ent)
+    await userManager.getLastActivityForUser('joe', ent)
+    expect(sleep).not.toHaveBeenCalled()
+
+    // the audit log has no requests left
+    const result = await userManager.getLastActivityForUser('joe', ent)
+
+    expect(sleep).toHaveBeenCalledWith(61000)
+    expect(result.rateLimitRemaining).toEqual(1749)
+    expect(governor.remaining('audit_log')).toEqual(1749)
+    expect(governor.remaining('core')).toBeUndefined()
+  })
+})
@@ -0,0 +1,1029 @@
+const { ReportBuilder } = require('../src/reportBuilder')
+const { writeReport } = require('../src/reportWriter')
+const { writeSummary } = require('../src/reportSummary')
+const { writeTrendChart } = require('../src/trendReport')
+const { LastActivityProvider } = require('../src/lastActivityprovider')
+const { UserAccountProvider } = require('../src/userAccountprovider')
+const { reset } = require('../src/fileTableclient')
+const { flushCaches } = require('../src/cacheFactory')
+const core = require('@actions/core')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+jest.mock('../src/userManager')
+jest.mock('../src/lastActivityprovider')
+jest.mock('../src/userAccountprovider')
+jest.mock('../src/reportWriter')
+jest.mock('../src/historyStore')
+jest.mock('../src/cacheFactory', () => ({
+  ...jest.requireActual('../src/cacheFactory'),
+  flushCaches: jest.fn(jest.requireActual('../src/cacheFactory').flushCaches)
+}))
+jest.mock('../src/trendReport', () => ({
+  ...jest.requireActual('../src/trendReport'),
+  writeTrendChart: jest.fn((rows, scope) => `github_trend_in_${scope}.svg`)
+}))
+jest.mock('../src/reportSummary', () => ({
+  ...jest.requireActual('../src/reportSummary'),
+  writeSummary: jest.fn()
+}))
+
+const token = 'test-token'
+
+/**
+ * Create a builder with the API and the providers mocked for two users in every enterprise.
+ * @param {Array<string>} [enterprises] The enterprise names.
+ * @param {Object} [options] The builder options.
+ * @param {string} [connectionString] The Table Storage connection string.
+ * @returns {ReportBuilder} The builder.
+ */
+function createBuilder(
+  enterprises = ['ent1'],
+  options = {},
+  connectionString = ''
+) {
+  const builder = new ReportBuilder(
+    token,
+    connectionString,
+    enterprises,
+    options
+  )
+  const manager = builder.manager
+  manager.getAllOrganizationsInEnterprise.mockImplementation(async ent => [
+    { login: `${ent}-org`, id: '1', url: `https://github.com/${ent}-org` }
+  ])
+  manager.getConsumedLicenses.mockImplementation(async ent => [
+    createUser(`${ent}-user`),
+    createUser('shared-user')
+  ])
+  manager.getCopilotSeats.mockResolvedValue(
+    new Map([
+      [
+        `shared-user`,
+        { assignee: { login: 'shared-user' }, organization: { login: 'x' } }
+      ]
+    ])
+  )
+  manager.getOrganizationDetails.mockImplementation(async org => ({
+    login: org,
+    name: org,
+    createdAt: '2020-01-01T00:00:00Z',
+    requiresTwoFactorAuthentication: true,
+    membersWithRole: { totalCount: 10 },
+    teams: { totalCount: 3 },
+    pendingMembers: { totalCount: 2 }
+  }))
+  manager.getOrganizationOwners.mockResolvedValue(['owner'])
+  manager.getOrganizationTeams.mockResolvedValue([])
+  manager.getTeamsForUser.mockResolvedValue({ orgs: [] })
+  manager.getTeamsForUserInOrganization.mockResolvedValue({ orgs: [] })
+  // no audit log in organization mode
+  builder.lastActivityProvider?.getLastActivityDateForUser.mockResolvedValue({
+    lastActivityDate: null,
+    lastChecked: null,
+    failed: false
+  })
+  builder.userAccountProvider.getUserData.mockResolvedValue({})
+  return builder
+}
+
+beforeEach(() => {
+  core.info = jest.fn()
+  writeReport.mockImplementation(async (data, type, formats) =>
+    Object.fromEntries(formats.map(f => [f, `github_${type}_output.${f}`]))
+  )
+})
+
+afterEach(() => {
+  jest.clearAllMocks()
+})
+
+describe('ReportBuilder - multiple enterprises', () => {
+  it('should write one merged report with an Enterprise column', async () => {
+    const builder = createBuilder(['ent1', 'ent2'])
+
+    const result = await builder.buildReport()
+
+    expect(result.file).toEqual('github_users_in_ent1_ent2_output.csv')
+    expect(result.enterprises).toEqual({
+      ent1: { csv: 'github_users_in_ent1_ent2_output.csv' },
+      ent2: { csv: 'github_users_in_ent1_ent2_output.csv' }
+    })
+
+    const rows = writeReport.mock.calls.find(
+      c => c[1] === 'users_in_ent1_ent2'
+    )[0]
+    expect(rows).toHaveLength(4)
+    expect(rows.map(r => r.Enterprise)).toEqual([
+      'ent1',
+      'ent1',
+      'ent2',
+      'ent2'
+    ])
+    expect(Object.keys(rows[0])[0]).toEqual('Enterprise')
+
+    // caches are initialized once for all distinct users
+    expect(builder.lastActivityProvider.initialize).toHaveBeenCalledTimes(1)
+    expect(
+      builder.lastActivityProvider.initialize.mock.calls[0][0]
+    ).toHaveLength(3)
+    expect(builder.lastActivityProvider.refreshUserData).toHaveBeenCalledTimes(
+      1
+    )
+    expect(writeSummary).toHaveBeenCalledTimes(2)
+  })
+
+  it('should write one report per enterprise', async () => {
+    const builder = createBuilder(['ent1', 'ent2'], {
+      layout: 'separate',
+      outputFormats: ['csv', 'json'],
+      teamsStrategy: 'per-user'
+    })
+
+    const result = await builder.buildReport()
+
+    expect(result.files).toEqual({
+      csv: 'github_users_in_ent1_output.csv',
+      json: 'github_users_in_ent1_output.json'
+    })
+    expect(result.enterprises.ent2.json).toEqual(
+      'github_users_in_ent2_output.json'
+    )
+
+    const rows = writeReport.mock.calls.find(c => c[1] === 'users_in_ent2')[0]
+    expect(rows).toHaveLength(2)
+    expect(rows[0].Enterprise).toBeUndefined()
+    expect(builder.manager.getTeamsForUser).toHaveBeenCalledWith(
+      'ent2-user',
+      'ent2'
+    )
+  })
+
+  it('should fail on unknown report layout', () => {
+    expect(
+      () => new ReportBuilder(token, '', ['ent1'], { layout: 'zip' })
+    ).toThrow(
+      "Invalid report layout 'zip'. Supported layouts: merged, separate"
+    )
+  })
+})
+
+describe('ReportBuilder - organizations report', () => {
+  it('should write the enriched organizations report', async () => {
+    const builder = createBuilder(['ent1', 'ent2'])
+    builder.manager.getCopilotSeats.mockResolvedValue(
+      new Map([
+        [
+          'ent1-user',
+          {
+            assignee: { login: 'ent1-user' },
+            organization: { login: 'ent1-org' }
+          }
+        ]
+      ])
+    )
+    builder.manager.getOrganizationDetails.mockRejectedValueOnce(
+      new Error('Forbidden')
+    )
+    core.warning = jest.fn()
+
+    const result = await builder.buildReport()
+
+    expect(result.orgsFile).toEqual('github_orgs_in_ent1_ent2_output.csv')
+    const orgs = writeReport.mock.calls.find(
+      c => c[1] === 'orgs_in_ent1_ent2'
+    )[0]
+    expect(orgs[0]).toMatchObject({
+      enterprise: 'ent1',
+      login: 'ent1-org',
+      member_count: null,
+      copilot_seats: 1
+    })
+    expect(orgs[1]).toEqual({
+      enterprise: 'ent2',
+      login: 'ent2-org',
+      id: '1',
+      url: 'https://github.com/ent2-org',
+      name: 'ent2-org',
+      created_at: '2020-01-01T00:00:00Z',
+      two_factor_requirement_enabled: true,
+      member_count: 10,
+      owner_count: 1,
+      owners: ['owner'],
+      team_count: 3,
+      pending_invitation_count: 2,
+      copilot_seats: 0
+    })
+  })
+
+  it('should read the owners once in organization mode', async () => {
+    const builder = createBuilder([], { org: 'my-org' })
+    builder.manager.getOrganization.mockResolvedValue({
+      login: 'my-org',
+      id: '1',
+      url: 'https://github.com/my-org'
+    })
+    builder.manager.getOrganizationMembers.mockResolvedValue([
+      { login: 'owner', html_url: '', role: 'admin', two_factor_auth: true }
+    ])
+    builder.manager.getOrganizationCopilotSeats.mockResolvedValue(new Map())
+
+    await builder.buildReport()
+
+    expect(builder.manager.getOrganizationOwners).toHaveBeenCalledTimes(1)
+    expect(builder.manager.getOrganizationMembers).toHaveBeenCalledWith(
+      'my-org',
+      ['owner']
+    )
+    const orgs = writeReport.mock.calls.find(c => c[1] === 'orgs_in_my-org')[0]
+    expect(orgs[0]).toMatchObject({ owner_count: 1, owners: ['owner'] })
+  })
+})
+
+describe('ReportBuilder - teams report', () => {
+  it('should write the teams report and team roles', async () => {
+    const builder = createBuilder(['ent1'], {
+      columns: ['github_com_login', 'team_roles']
+    })
+    builder.manager.getCopilotSeats.mockResolvedValue(
+      new Map([
+        [
+          'ent1-user',
+          {
+            assignee: { login: 'ent1-user' },
+            assigning_team: { name: 'Developers', slug: 'devs' },
+            organization: { login: 'ent1-org' }
+          }
+        ]
+      ])
+    )
+    builder.manager.getOrganizationTeams.mockResolvedValue([
+      {
+        name: 'Engineering',
+        slug: 'eng',
+        privacy: 'VISIBLE',
+        parentTeam: null,
+        members: [{ login: 'ent1-user', role: 'MAINTAINER' }]
+      },
+      {
+        name: 'Developers',
+        slug: 'devs',
+        privacy: 'SECRET',
+        parentTeam: { slug: 'eng' },
+        members: [
+          { login: 'ent1-user', role: 'MEMBER' },
+          { login: 'shared-user', role: 'MEMBER' }
+        ]
+      }
+    ])
+
+    const result = await builder.buildReport()
+
+    expect(result.teamsFile).toEqual('github_teams_in_ent1_output.csv')
+    const teams = writeReport.mock.calls.find(c => c[1] === 'teams_in_ent1')[0]
+    expect(teams).toEqual([
+      {
+        org: 'ent1-org',
+        name: 'Engineering',
+        slug: 'eng',
+        parent_team: null,
+        privacy: 'visible',
+        member_count: 1,
+        maintainers: ['ent1-user'],
+        members: [],
+        assigns_copilot: false,
+        copilot_seats: 0
+      },
+      {
+        org: 'ent1-org',
+        name: 'Developers',
+        slug: 'devs',
+        parent_team: 'eng',
+        privacy: 'secret',
+        member_count: 2,
+        maintainers: [],
+        members: ['ent1-user', 'shared-user'],
+        assigns_copilot: true,
+        copilot_seats: 1
+      }
+    ])
+
+    const rows = writeReport.mock.calls.find(c => c[1] === 'users_in_ent1')[0]
+    expect(rows).toEqual([
+      {
+        github_com_login: 'ent1-user',
+        'User Team Roles': ['ent1-org/eng:Maintainer', 'ent1-org/devs:Member']
+      },
+      {
+        github_com_login: 'shared-user',
+        'User Team Roles': ['ent1-org/devs:Member']
+      }
+    ])
+  })
+
+  it('should write the teams report with its header when there are no teams', async () => {
+    const builder = createBuilder()
+
+    const result = await builder.buildReport()
+
+    expect(result.teamsFile).toEqual('github_teams_in_ent1_output.csv')
+    expect(writeReport).toHaveBeenCalledWith(
+      [],
+      'teams_in_ent1',
+      ['csv'],
+      expect.arrayContaining(['org', 'name', 'slug', 'members']),
+      undefined
+    )
+  })
+
+  it('should skip teams of organizations that cannot be read', async () => {
+    const builder = createBuilder(['ent1'])
+    builder.manager.getOrganizationTeams.mockRejectedValue(
+      new Error('Forbidden')
+    )
+    core.warning = jest.fn()
+
+    await builder.buildReport()
+
+    const teams = writeReport.mock.calls.find(c => c[1] === 'teams_in_ent1')[0]
+    expect(teams).toEqual([])
+    expect(core.warning).toHaveBeenCalledWith(
+      "Unable to get teams in 'ent1-org' org: Forbidden"
+    )
+    // teams of users in the organization are queried per user instead
+    expect(builder.manager.getTeamsForUserInOrganization).toHaveBeenCalledWith(
+      'ent1-user',
+      'ent1-org'
+    )
+  })
+
+  it('should read team memberships from the crawled teams', async () => {
+    const builder = createBuilder(['ent1'])
+    builder.manager.getOrganizationTeams.mockResolvedValue([
+      {
+        name: 'Team A',
+        slug: 'team-a',
+        members: [{ login: 'ent1-user', role: 'MEMBER' }]
+      },
+      {
+        name: 'Team B',
+        slug: 'team-b',
+        members: [
+          { login: 'ent1-user', role: 'MAINTAINER' },
+          { login: 'shared-user', role: 'MEMBER' }
+        ]
+      }
+    ])
+
+    await builder.buildReport()
+
+    const rows = writeReport.mock.calls.find(c => c[1] === 'users_in_ent1')[0]
+    expect(rows.map(r => r['User Team Membership'])).toEqual([
+      ['Team A', 'Team B'],
+      ['Team B']
+    ])
+    expect(builder.manager.getTeamsForUser).not.toHaveBeenCalled()
+    expect(core.info).toHaveBeenCalledWith(
+      "Team memberships of 2 users in 'ent1' are read from the teams of 1 orgs. About 2 GraphQL points saved."
+    )
+  })
+
+  it('should subtract the points spent on the crawl from the saved points', async () => {
+    const builder = createBuilder(['ent1'])
+    let spent = 10
+    builder.manager.governor = { spent: jest.fn(() => spent) }
+    builder.manager.getOrganizationTeams.mockImplementation(async () => {
+      spent += 1
+      return []
+    })
+
+    await builder.buildReport()
+
+    expect(core.info).toHaveBeenCalledWith(
+      "Team memberships of 2 users in 'ent1' are read from the teams of 1 orgs. About 1 GraphQL points saved."
+    )
+  })
+
+  it('should query teams per user with the per-user strategy', async () => {
+    const builder = createBuilder(['ent1'], {
+      teamsStrategy: 'per-user'
+    })
+
+    await builder.buildReport()
+
+    expect(builder.manager.getTeamsForUser).toHaveBeenCalledWith(
+      'ent1-user',
+      'ent1'
+    )
+    expect(core.info).not.toHaveBeenCalledWith(
+      expect.stringContaining('GraphQL points saved')
+    )
+  })
+
+  it('should fail on unknown teams strategy', () => {
+    expect(
+      () => new ReportBuilder(token, '', ['ent1'], { teamsStrategy: 'magic' })
+    ).toThrow(
+      "Invalid teams strategy 'magic'. Supported strategies: crawl, per-user"
+    )
+  })
+})
+
+describe('ReportBuilder - inactive users', () => {
+  it('should write inactive users to a separate report', async () => {
+    const builder = createBuilder(['ent1'], {
+      columns: [
+        'github_com_login',
+        'days_since_last_activity',
+        'inactive',
+        'last_activity_source'
+      ],
+      inactiveDays: '30'
+    })
+    const recent = new Date(Date.now() - 5 * 24 * 60 * 60 * 1000)
+    builder.lastActivityProvider.getLastActivityDateForUser.mockImplementation(
+      async login => ({
+        lastActivityDate: login === 'ent1-user' ? recent : null,
+        lastChecked: new Date(),
+        failed: false
+      })
+    )
+
+    const result = await builder.buildReport()
+
+    expect(result.inactiveFile).toEqual(
+      'github_inactive_users_in_ent1_output.csv'
+    )
+    expect(result.inactiveCount).toEqual(1)
+    const inactive = writeReport.mock.calls.find(
+      c => c[1] === 'inactive_users_in_ent1'
+    )[0]
+    expect(inactive).toEqual([
+      {
+        github_com_login: 'shared-user',
+        'Days Since Last Activity': null,
+        Inactive: true,
+        'Last Activity Source': null
+      }
+    ])
+    const rows = writeReport.mock.calls.find(c => c[1] === 'users_in_ent1')[0]
+    expect(rows[0]).toEqual({
+      github_com_login: 'ent1-user',
+      'Days Since Last Activity': 5,
+      Inactive: false,
+      'Last Activity Source': 'audit_log'
+    })
+    expect(writeSummary).toHaveBeenCalledWith(
+      'ent1',
+      expect.objectContaining({ inactiveUsers: 1 })
+    )
+  })
+
+  it('should write the inactive users report with its header when everyone is active', async () => {
+    const builder = createBuilder(['ent1'], {
+      columns: ['github_com_login', 'inactive']
+    })
+    builder.lastActivityProvider.getLastActivityDateForUser.mockResolvedValue({
+      lastActivityDate: new Date(),
+      lastChecked: new Date(),
+      failed: false
+    })
+
+    const result = await builder.buildReport()
+
+    expect(result.inactiveCount).toEqual(0)
+    expect(writeReport).toHaveBeenCalledWith(
+      [],
+      'inactive_users_in_ent1',
+      ['csv'],
+      ['github_com_login', 'Inactive'],
+      {}
+    )
+  })
+
+  it('should fail on invalid inactive days', () => {
+    expect(
+      () => new ReportBuilder(token, '', ['ent1'], { inactiveDays: '-1' })
+    ).toThrow("Invalid inactive days '-1'. It must be a positive integer.")
+  })
+})
+
+describe('ReportBuilder - Copilot reclamation', () => {
+  it('should write the Copilot reclamation reports', async () => {
+    const builder = createBuilder(['ent1', 'ent2'], {
+      copilotSeatPrice: '39'
+    })
+    builder.manager.getCopilotSeats.mockImplementation(
+      async ent =>
+        new Map([
+          [
+            `${ent}-user`,
+            {
+              created_at: '2020-01-01T00:00:00Z',
+              last_activity_at: null,
+              assignee: { login: `${ent}-user` },
+              assigning_team: { slug: 'devs' },
+              organization: { login: `${ent}-org` }
+            }
+          ]
+        ])
+    )
+
+    const result = await builder.buildReport()
+
+    expect(result.copilotFile).toEqual(
+      'github_copilot_seats_in_ent1_ent2_output.csv'
+    )
+    expect(result.copilotWasteFile).toEqual(
+      'github_copilot_waste_in_ent1_ent2_output.csv'
+    )
+    expect(result.copilotReclaimableSeats).toEqual(2)
+    expect(result.copilotMonthlyWaste).toEqual(78)
+
+    const seats = writeReport.mock.calls.find(
+      c => c[1] === 'copilot_seats_in_ent1_ent2'
+    )[0]
+    expect(seats.map(s => [s.enterprise, s.login, s.reason])).toEqual([
+      ['ent1', 'ent1-user', 'never_used'],
+      ['ent2', 'ent2-user', 'never_used']
+    ])
+    const waste = writeReport.mock.calls.find(
+      c => c[1] === 'copilot_waste_in_ent1_ent2'
+    )[0]
+    expect(waste).toContainEqual({
+      enterprise: 'ent2',
+      organization: 'ent2-org',
+      assigning_team: 'devs',
+      reclaimable_seats: 1,
+      monthly_waste: 39
+    })
+    expect(writeSummary).toHaveBeenCalledWith(
+      'ent1',
+      expect.objectContaining({
+        copilotReclaimableSeats: 1,
+        copilotMonthlyWaste: 39
+      })
+    )
+  })
+
+  it('should write the Copilot reports with their header when no seat can be reclaimed', async () => {
+    const builder = createBuilder(['ent1', 'ent2'])
+    builder.manager.getCopilotSeats.mockResolvedValue(new Map())
+
+    const result = await builder.buildReport()
+
+    expect(result.copilotReclaimableSeats).toEqual(0)
+    expect(result.copilotMonthlyWaste).toEqual(0)
+    expect(writeReport).toHaveBeenCalledWith(
+      [],
+      'copilot_seats_in_ent1_ent2',
+      ['csv'],
+      expect.arrayContaining(['enterprise', 'login', 'reason']),
+      undefined
+    )
+    expect(writeReport).toHaveBeenCalledWith(
+      [],
+      'copilot_waste_in_ent1_ent2',
+      ['csv'],
+      [
+        'enterprise',
+        'organization',
+        'assigning_team',
+        'reclaimable_seats',
+        'monthly_waste'
+      ],
+      undefined
+    )
+  })
+})
+
+describe('ReportBuilder - changes since the previous run', () => {
+  it('should write the snapshot and the changes since the previous run', async () => {
+    const previous = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'previous-')),
+      'snapshot.json'
+    )
+    fs.writeFileSync(
+      previous,
+      JSON.stringify([
+        {
+          scope: 'ent1',
+          login: 'left-user',
+          license_type: 'Enterprise',
+          enterprise_roles: [],
+          org_ownership: [],
+          copilot_seat: false,
+          teams: []
+        },
+        {
+          scope: 'ent1',
+          login: 'shared-user',
+          license_type: 'Enterprise',
+          enterprise_roles: [],
+          org_ownership: [],
+          copilot_seat: false,
+          teams: []
+        }
+      ])
+    )
+    const builder = createBuilder(['ent1'], {
+      previousReports: [previous]
+    })
+
+    const result = await builder.buildReport()
+
+    expect(result.snapshotFile).toEqual('github_snapshot_in_ent1_output.json')
+    expect(result.changesFile).toEqual('github_changes_in_ent1_output.csv')
+    expect(result.changesCount).toEqual(3)
+    const snapshot = writeReport.mock.calls.find(
+      c => c[1] === 'snapshot_in_ent1'
+    )
+    expect(snapshot[2]).toEqual(['json'])
+    expect(snapshot[0].map(e => e.login)).toEqual(['ent1-user', 'shared-user'])
+    const changes = writeReport.mock.calls.find(
+      c => c[1] === 'changes_in_ent1'
+    )[0]
+    expect(changes.map(c => [c.login, c.change])).toEqual([
+      ['ent1-user', 'added'],
+      ['left-user', 'removed'],
+      ['shared-user', 'copilot_seat_added']
+    ])
+  })
+
+  it('should write an empty changes report when nothing changed', async () => {
+    await createBuilder().buildReport()
+    const previous = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'previous-')),
+      'snapshot.json'
+    )
+    fs.writeFileSync(
+      previous,
+      JSON.stringify(
+        writeReport.mock.calls.find(c => c[1] === 'snapshot_in_ent1')[0]
+      )
+    )
+    writeReport.mockClear()
+
+    const result = await createBuilder(['ent1'], {
+      previousReports: [previous]
+    }).buildReport()
+
+    expect(result.changesCount).toEqual(0)
+    expect(result.changesFile).toEqual('github_changes_in_ent1_output.csv')
+    expect(writeReport).toHaveBeenCalledWith(
+      [],
+      'changes_in_ent1',
+      ['csv'],
+      ['login', 'change', 'added', 'removed'],
+      undefined
+    )
+  })
+
+  it('should keep the previous teams of organizations that cannot be crawled', async () => {
+    const previous = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'previous-')),
+      'snapshot.json'
+    )
+    const entry = login => ({
+      scope: 'ent1',
+      login,
+      license_type: 'Enterprise',
+      enterprise_roles: [],
+      org_ownership: [],
+      copilot_seat: login === 'shared-user',
+      teams: ['ent1-org/devs']
+    })
+    fs.writeFileSync(
+      previous,
+      JSON.stringify([entry('ent1-user'), entry('shared-user')])
+    )
+    const builder = createBuilder(['ent1'], { previousReports: [previous] })
+    builder.manager.getOrganizationTeams.mockRejectedValue(
+      new Error('Forbidden')
+    )
+    core.warning = jest.fn()
+
+    const result = await builder.buildReport()
+
+    expect(result.changesCount).toEqual(0)
+    const snapshot = writeReport.mock.calls.find(
+      c => c[1] === 'snapshot_in_ent1'
+    )[0]
+    expect(snapshot.map(e => e.teams)).toEqual([
+      ['ent1-org/devs'],
+      ['ent1-org/devs']
+    ])
+  })
+
+  it('should not write the changes without a previous run', async () => {
+    const builder = createBuilder(['ent1'])
+
+    const result = await builder.buildReport()
+
+    expect(result.changesFile).toBeUndefined()
+    expect(result.changesCount).toBeUndefined()
+    expect(
+      writeReport.mock.calls.find(c => c[1] === 'changes_in_ent1')
+    ).toBeUndefined()
+  })
+
+  it('should require a connection string for Table Storage snapshots', () => {
+    expect(
+      () =>
+        new ReportBuilder(token, '', ['ent1'], { tableStorageSnapshot: true })
+    ).toThrow(
+      'Report snapshots require a cache: a Table Storage connection string, a cache file or an S3 bucket.'
+    )
+  })
+})
+
+describe('ReportBuilder - history', () => {
+  it('should save the run metrics and write the trend', async () => {
+    const builder = createBuilder(
+      ['ent1'],
+      { tableStorageHistory: true },
+      'UseDevelopmentStorage=true'
+    )
+    builder.historyStore.getAll.mockResolvedValue([
+      {
+        date: '2025-04-01T00:00:00.000Z',
+        totalUsers: 1,
+        usersByLicenseType: { Enterprise: 1 },
+        copilotSeats: 0,
+        active30Days: 0,
+        active60Days: 0,
+        active90Days: 0,
+        usersWithout2FA: 0
+      }
+    ])
+
+    const result = await builder.buildReport()
+
+    expect(builder.historyStore.append).toHaveBeenCalledWith(
+      'ent1',
+      expect.objectContaining({
+        totalUsers: 2,
+        usersByLicenseType: { Enterprise: 2 },
+        copilotSeats: 1
+      })
+    )
+    expect(result.trendFile).toEqual('github_trend_in_ent1_output.csv')
+    expect(result.trendChart).toEqual('github_trend_in_ent1.svg')
+    const trend = writeReport.mock.calls.find(c => c[1] === 'trend_in_ent1')
+    expect(trend[2]).toEqual(['csv'])
+    expect(trend[0][0]).toMatchObject({ total_users: 1, seats_enterprise: 1 })
+    expect(writeTrendChart).toHaveBeenCalledWith(trend[0], 'ent1')
+  })
+
+  it('should require a connection string for Table Storage history', () => {
+    expect(
+      () =>
+        new ReportBuilder(token, '', ['ent1'], { tableStorageHistory: true })
+    ).toThrow(
+      'Report history requires a cache: a Table Storage connection string, a cache file or an S3 bucket.'
+    )
+  })
+})
+
+describe('ReportBuilder - caches', () => {
+  it('should report the departed users pruned from the caches', async () => {
+    const builder = createBuilder(
+      ['ent1'],
+      {
+        cacheRetentionDays: '7'
+      },
+      'conn'
+    )
+    builder.lastActivityProvider.pruned = ['gone', 'left']
+    builder.userAccountProvider.pruned = ['gone']
+
+    const result = await builder.buildReport()
+
+    expect(result.prunedUsers).toEqual(2)
+    expect(LastActivityProvider).toHaveBeenCalledWith(
+      builder.manager,
+      builder.cache,
+      'ent1',
+      7,
+      builder.refreshBudgets.audit,
+      { mode: 'per-user', scanDays: 90, inactiveDays: 90 }
+    )
+    expect(UserAccountProvider).toHaveBeenCalledWith(
+      builder.manager,
+      builder.cache,
+      7,
+      builder.refreshBudgets.user
+    )
+  })
+
+  it('should refresh the stale profiles in batches before building the rows', async () => {
+    const builder = createBuilder(['ent1'], {
+      cacheFile: path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), 'cache-')),
+        'cache.json'
+      )
+    })
+    const { UserAccountProvider: ActualProvider } = jest.requireActual(
+      '../src/userAccountprovider'
+    )
+    builder.userAccountProvider = new ActualProvider(
+      builder.manager,
+      builder.cache,
+      30,
+      builder.refreshBudgets.user
+    )
+    builder.manager.getUsers.mockImplementation(
+      async logins =>
+        new Map(logins.map(login => [login, { login, company: 'ACME' }]))
+    )
+
+    await builder.buildReport()
+
+    expect(builder.manager.getUsers).toHaveBeenCalledTimes(1)
+    expect(builder.manager.getUsers.mock.calls[0][0].sort()).toEqual([
+      'ent1-user',
+      'shared-user'
+    ])
+    expect(builder.manager.getUser).not.toHaveBeenCalled()
+    const rows = writeReport.mock.calls.find(c => c[1] === 'users_in_ent1')[0]
+    expect(rows.map(r => r['Account Company'])).toEqual(['ACME', 'ACME'])
+  })
+
+  it('should report the error of the run when the caches cannot be saved', async () => {
+    core.error = jest.fn()
+    flushCaches.mockRejectedValueOnce(new Error('Access Denied'))
+    const builder = createBuilder()
+    builder.manager.getConsumedLicenses.mockRejectedValue(
+      new Error('Server Error')
+    )
+
+    await expect(builder.buildReport()).rejects.toThrow('Server Error')
+    expect(core.error).toHaveBeenCalledWith(
+      'Unable to save the caches: Access Denied'
+    )
+  })
+
+  it('should fail on invalid cache retention days', () => {
+    expect(
+      () =>
+        new ReportBuilder(token, '', ['ent1'], { cacheRetentionDays: '1.5' })
+    ).toThrow(
+      "Invalid cache retention days '1.5'. It must be a non-negative integer."
+    )
+  })
+})
+
+describe('ReportBuilder - concurrency', () => {
+  it('should build rows in parallel and keep the order of the users', async () => {
+    const builder = createBuilder(['ent1'], {
+      concurrency: 3,
+      teamsStrategy: 'per-user'
+    })
+    const logins = ['a', 'b', 'c', 'd', 'e', 'f']
+    builder.manager.getConsumedLicenses.mockResolvedValue(
+      logins.map(createUser)
+    )
+    let running = 0
+    let maxRunning = 0
+    // later users answer first
+    builder.manager.getTeamsForUser.mockImplementation(async login => {
+      running++
+      maxRunning = Math.max(maxRunning, running)
+      await new Promise(resolve =>
+        setTimeout(resolve, (logins.length - logins.indexOf(login)) * 5)
+      )
+      running--
+      return { orgs: [] }
+    })
+
+    await builder.buildReport()
+
+    const rows = writeReport.mock.calls.find(c => c[1] === 'users_in_ent1')[0]
+    expect(rows.map(r => r.github_com_login)).toEqual(logins)
+    expect(maxRunning).toEqual(3)
+  })
+
+  it('should fail on invalid concurrency', () => {
+    expect(
+      () => new ReportBuilder(token, '', ['ent1'], { concurrency: '0' })
+    ).toThrow("Invalid concurrency '0'. It must be a positive integer.")
+  })
+})
+
+describe('ReportBuilder - checkpoints', () => {
+  it('should resume a failed run from the checkpoint', async () => {
+    const file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-')),
+      'checkpoint.json'
+    )
+    const failing = createBuilder(['ent1'], {
+      checkpoint: { file },
+      concurrency: 1
+    })
+    failing.userAccountProvider.getUserData.mockImplementation(async login => {
+      if (login === 'shared-user') {
+        throw new Error('Server Error')
+      }
+      return {}
+    })
+
+    await expect(failing.buildReport()).rejects.toThrow('Server Error')
+    reset()
+
+    const resumed = createBuilder(['ent1'], {
+      checkpoint: { file, resume: true }
+    })
+
+    const result = await resumed.buildReport()
+
+    expect(resumed.manager.getConsumedLicenses).not.toHaveBeenCalled()
+    expect(resumed.manager.getCopilotSeats).not.toHaveBeenCalled()
+    expect(resumed.userAccountProvider.getUserData).toHaveBeenCalledTimes(1)
+    expect(resumed.userAccountProvider.getUserData).toHaveBeenCalledWith(
+      'shared-user'
+    )
+    expect(result.file).toEqual('github_users_in_ent1_output.csv')
+    // the failed run did not write a report
+    const rows = writeReport.mock.calls.find(c => c[1] === 'users_in_ent1')[0]
+    expect(rows.map(r => r.github_com_login)).toEqual([
+      'ent1-user',
+      'shared-user'
+    ])
+    // the checkpoint is deleted once the report is complete
+    expect(await resumed.checkpointStore.load('ent1')).toBeNull()
+  })
+
+  it('should start from scratch when the columns changed since the checkpoint', async () => {
+    const file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-')),
+      'checkpoint.json'
+    )
+    const failing = createBuilder(['ent1'], {
+      checkpoint: { file },
+      concurrency: 1
+    })
+    failing.userAccountProvider.getUserData.mockImplementation(async login => {
+      if (login === 'shared-user') {
+        throw new Error('Server Error')
+      }
+      return {}
+    })
+    await expect(failing.buildReport()).rejects.toThrow('Server Error')
+    reset()
+    core.warning = jest.fn()
+
+    const resumed = createBuilder(['ent1'], {
+      checkpoint: { file, resume: true },
+      columns: ['github_com_login:Login']
+    })
+    await resumed.buildReport()
+
+    expect(resumed.manager.getConsumedLicenses).toHaveBeenCalledWith('ent1')
+    expect(resumed.userAccountProvider.getUserData).toHaveBeenCalledTimes(2)
+    const rows = writeReport.mock.calls.find(c => c[1] === 'users_in_ent1')[0]
+    expect(rows).toEqual([{ Login: 'ent1-user' }, { Login: 'shared-user' }])
+  })
+
+  it('should start from scratch without a checkpoint to resume', async () => {
+    core.warning = jest.fn()
+    const builder = createBuilder(['ent1'], {
+      checkpoint: {
+        file: path.join(
+          fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-')),
+          'checkpoint.json'
+        ),
+        resume: true
+      }
+    })
+
+    await builder.buildReport()
+
+    expect(core.warning).toHaveBeenCalledWith(
+      "No checkpoint for 'ent1'. Starting from scratch."
+    )
+    expect(builder.manager.getConsumedLicenses).toHaveBeenCalledWith('ent1')
+  })
+
+  it('should require a cache or a file for checkpoints', () => {
+    expect(
+      () =>
+        new ReportBuilder(token, '', ['ent1'], {
+          checkpoint: { enabled: true }
+        })
+    ).toThrow(
+      'Checkpoints require a cache: a Table Storage connection string, a cache file, an S3 bucket or a checkpoint file.'
+    )
+  })
+})
+
+function createUser(login) {
+  return {
+    github_com_login: login,
+    license_type: 'Enterprise',
+    github_com_member_roles: [],
+    github_com_enterprise_roles: [],
+    github_com_verified_domain_emails: [],
+    github_com_orgs_with_pending_invites: []
+  }
+}
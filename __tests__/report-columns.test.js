@@ -0,0 +1,97 @@
+const {
+  reportColumns,
+  defaultColumns,
+  parseColumns,
+  buildRow
+} = require('../src/reportColumns')
+
+describe('reportColumns - parseColumns', () => {
+  it('should return default columns in the default order when nothing is selected', () => {
+    const columns = parseColumns([])
+
+    expect(columns.map(c => c.name)).toEqual(defaultColumns)
+    expect(columns[5].label).toEqual('Account Creation Date')
+    expect(defaultColumns).not.toContain('enterprise')
+  })
+
+  it('should keep the selected order and custom labels', () => {
+    const columns = parseColumns([
+      'license_type',
+      'github_com_login:Login',
+      'copilot_last_activity_at: Last Copilot Activity '
+    ])
+
+    expect(columns.map(c => c.label)).toEqual([
+      'license_type',
+      'Login',
+      'Last Copilot Activity'
+    ])
+  })
+
+  it('should fail fast on unknown columns with the list of valid ones', () => {
+    expect(() => parseColumns(['github_com_login', 'salary'])).toThrow(
+      `Unknown report column 'salary'. Valid columns: ${Object.keys(reportColumns).join(', ')}`
+    )
+  })
+
+  it('should fail when a header label is used twice', () => {
+    expect(() =>
+      parseColumns(['github_com_login:Login', 'github_com_name:Login'])
+    ).toThrow("Report column header 'Login' is used more than once.")
+  })
+})
+
+describe('reportColumns - buildRow', () => {
+  const context = {
+    user: {
+      github_com_login: 'joe',
+      github_com_name: 'Joe\r\nTest',
+      github_com_member_roles: ['org1:Owner', 'org2:Member'],
+      lastActivityAudit: new Date('2025-04-14T13:03:47Z')
+    },
+    teams: {
+      orgs: [
+        { org: { login: 'org1' }, teams: [{ name: 'Team 1' }] },
+        { org: { login: 'org2' }, teams: [{ name: 'Team 2' }] }
+      ]
+    },
+    publicUserData: { created_at: '2013-02-12T08:31:17Z' },
+    copilotSeat: undefined
+  }
+
+  it('should build the row with selected labels in order', () => {
+    const row = buildRow(
+      context,
+      parseColumns([
+        'github_com_login:Login',
+        'team_membership',
+        'organization_ownership',
+        'last_activity_audit_log',
+        'copilot_assigning_org'
+      ])
+    )
+
+    expect(row).toEqual({
+      Login: 'joe',
+      'User Team Membership': ['Team 1', 'Team 2'],
+      'User Organization Ownership': ['org1'],
+      'Last Activity Audit Log': '2025-04-14T13:03:47.000Z',
+      'Copilot Assigning Org': null
+    })
+    expect(Object.keys(row)[0]).toEqual('Login')
+  })
+
+  it('should keep roles as lists and join them with a comma and a space in flat formats', () => {
+    const columns = parseColumns(['member_roles'])
+    const row = buildRow(context, columns)
+
+    expect(row['Member Roles']).toEqual(['org1:Owner', 'org2:Member'])
+    expect(columns[0].separator).toEqual(', ')
+  })
+
+  it('should remove newlines from values', () => {
+    const row = buildRow(context, parseColumns(['github_com_name']))
+
+    expect(row.github_com_name).toEqual('JoeTest')
+  })
+})
@@ -0,0 +1,161 @@
+const {
+  toSnapshotEntry,
+  diffSnapshots,
+  readSnapshots
+} = require('../src/reportDiff')
+const core = require('@actions/core')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('reportDiff - toSnapshotEntry', () => {
+  it('should keep the sorted roles, ownership, copilot seat and teams', () => {
+    const entry = toSnapshotEntry(
+      'ent1',
+      {
+        github_com_login: 'joe',
+        license_type: 'Enterprise',
+        github_com_enterprise_roles: ['owner', 'billing_manager'],
+        github_com_member_roles: ['org2:Owner', 'org3:Member', 'org1:Owner']
+      },
+      { assignee: { login: 'joe' } },
+      ['org1/devs:Maintainer', 'org1/all:Member']
+    )
+
+    expect(entry).toEqual({
+      scope: 'ent1',
+      login: 'joe',
+      license_type: 'Enterprise',
+      enterprise_roles: ['billing_manager', 'owner'],
+      org_ownership: ['org1', 'org2'],
+      copilot_seat: true,
+      teams: ['org1/all', 'org1/devs']
+    })
+  })
+})
+
+describe('reportDiff - diffSnapshots', () => {
+  it('should list joiners, leavers and changes in a stable order', () => {
+    const previous = [
+      createEntry('zoe', { copilot_seat: true }),
+      createEntry('bob', { enterprise_roles: ['owner'], teams: ['org1/a'] }),
+      createEntry('left')
+    ]
+    const current = [
+      createEntry('zoe'),
+      createEntry('new'),
+      createEntry('bob', {
+        enterprise_roles: ['billing_manager'],
+        org_ownership: ['org1'],
+        copilot_seat: true,
+        teams: ['org1/b']
+      })
+    ]
+
+    const changes = diffSnapshots(previous, current)
+
+    expect(changes).toEqual([
+      {
+        scope: 'ent1',
+        login: 'bob',
+        change: 'enterprise_roles_changed',
+        added: ['billing_manager'],
+        removed: ['owner']
+      },
+      {
+        scope: 'ent1',
+        login: 'bob',
+        change: 'org_ownership_changed',
+        added: ['org1'],
+        removed: []
+      },
+      {
+        scope: 'ent1',
+        login: 'bob',
+        change: 'copilot_seat_added',
+        added: [],
+        removed: []
+      },
+      {
+        scope: 'ent1',
+        login: 'bob',
+        change: 'teams_changed',
+        added: ['org1/b'],
+        removed: ['org1/a']
+      },
+      {
+        scope: 'ent1',
+        login: 'left',
+        change: 'removed',
+        added: [],
+        removed: []
+      },
+      {
+        scope: 'ent1',
+        login: 'new',
+        change: 'added',
+        added: [],
+        removed: []
+      },
+      {
+        scope: 'ent1',
+        login: 'zoe',
+        change: 'copilot_seat_removed',
+        added: [],
+        removed: []
+      }
+    ])
+  })
+
+  it('should not report unchanged users', () => {
+    expect(diffSnapshots([createEntry('joe')], [createEntry('joe')])).toEqual(
+      []
+    )
+  })
+})
+
+describe('reportDiff - readSnapshots', () => {
+  let dir
+
+  beforeEach(() => {
+    core.info = jest.fn()
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'))
+  })
+
+  it('should read entries from all files', () => {
+    const first = path.join(dir, 'first.json')
+    const second = path.join(dir, 'second.json')
+    fs.writeFileSync(first, JSON.stringify([createEntry('joe')]))
+    fs.writeFileSync(second, JSON.stringify([createEntry('ann')]))
+
+    expect(readSnapshots([first, second]).map(e => e.login)).toEqual([
+      'joe',
+      'ann'
+    ])
+  })
+
+  it('should fail on missing files and files that are not snapshots', () => {
+    const report = path.join(dir, 'report.json')
+    fs.writeFileSync(report, JSON.stringify([{ github_com_login: 'joe' }]))
+
+    expect(() => readSnapshots([path.join(dir, 'missing.json')])).toThrow(
+      /Unable to read previous report snapshot/
+    )
+    expect(() => readSnapshots([report])).toThrow(
+      `Previous report snapshot '${report}' is not a snapshot written by this action.`
+    )
+  })
+})
+
+function createEntry(login, extra = {}) {
+  return {
+    scope: 'ent1',
+    login,
+    license_type: 'Enterprise',
+    enterprise_roles: [],
+    org_ownership: [],
+    copilot_seat: false,
+    teams: [],
+    ...extra
+  }
+}
@@ -0,0 +1,127 @@
+const { getReportStatistics, writeSummary } = require('../src/reportSummary')
+const core = require('@actions/core')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('reportSummary - getReportStatistics', () => {
+  const now = new Date('2025-05-01T00:00:00Z')
+
+  it('should compute enterprise-level statistics', () => {
+    const stats = getReportStatistics(
+      {
+        orgs: [{ login: 'org1' }, { login: 'org2' }],
+        users: [
+          {
+            github_com_login: 'joe',
+            license_type: 'Enterprise',
+            github_com_two_factor_auth: true,
+            github_com_saml_name_id: 'joe@example.com',
+            github_com_orgs_with_pending_invites: []
+          },
+          {
+            github_com_login: 'jane',
+            license_type: 'Enterprise',
+            github_com_two_factor_auth: false,
+            github_com_saml_name_id: null,
+            github_com_orgs_with_pending_invites: ['org1']
+          },
+          {
+            github_com_login: 'jim',
+            license_type: 'Visual Studio',
+            github_com_two_factor_auth: null,
+            github_com_saml_name_id: null,
+            github_com_orgs_with_pending_invites: []
+          }
+        ],
+        copilotSeats: new Map([
+          ['joe', { last_activity_at: '2025-04-20T10:00:00Z' }],
+          ['jane', { last_activity_at: '2025-01-20T10:00:00Z' }],
+          ['jim', { last_activity_at: null }]
+        ]),
+        auditLookupFailures: 1,
+        cacheStaleness: {
+          audit: { oldestDays: 12, neverRefreshed: 0 },
+          user: null
+        }
+      },
+      now
+    )
+
+    expect(stats).toEqual({
+      totalUsers: 3,
+      usersByLicenseType: { Enterprise: 2, 'Visual Studio': 1 },
+      orgs: 2,
+      copilotSeats: 3,
+      copilotSeatsActive: 1,
+      usersWithout2FA: 1,
+      usersWithoutSAML: 2,
+      usersWithPendingInvites: 1,
+      auditLookupFailures: 1,
+      inactiveUsers: null,
+      copilotReclaimableSeats: null,
+      copilotMonthlyWaste: null,
+      auditCacheStaleness: { oldestDays: 12, neverRefreshed: 0 },
+      userCacheStaleness: null
+    })
+  })
+})
+
+describe('reportSummary - writeSummary', () => {
+  const stats = {
+    totalUsers: 3,
+    usersByLicenseType: { Enterprise: 2, 'Visual Studio': 1 },
+    orgs: 2,
+    copilotSeats: 3,
+    copilotSeatsActive: 1,
+    usersWithout2FA: 1,
+    usersWithoutSAML: 2,
+    usersWithPendingInvites: 1,
+    auditLookupFailures: 0,
+    auditCacheStaleness: { oldestDays: 12, neverRefreshed: 40 },
+    userCacheStaleness: { oldestDays: null, neverRefreshed: 3 }
+  }
+  let summaryFile
+
+  beforeEach(() => {
+    summaryFile = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'summary-')),
+      'summary.md'
+    )
+    fs.writeFileSync(summaryFile, '')
+    process.env.GITHUB_STEP_SUMMARY = summaryFile
+    core.warning = jest.fn()
+  })
+
+  afterEach(() => {
+    delete process.env.GITHUB_STEP_SUMMARY
+    jest.clearAllMocks()
+  })
+
+  it('should write the statistics to the job summary', async () => {
+    await writeSummary('test-enterprise', stats)
+
+    const summary = fs.readFileSync(summaryFile, 'utf8')
+    expect(summary).toContain("GitHub users report for 'test-enterprise'")
+    expect(summary).toContain('<td>Licensed users</td><td>3</td>')
+    expect(summary).toContain('<td>Visual Studio</td><td>1</td>')
+    expect(summary).toContain(
+      '<td>Oldest Audit Cache entry</td><td>12 days (40 never refreshed)</td>'
+    )
+    expect(summary).toContain(
+      '<td>Oldest User Cache entry</td><td>never refreshed</td>'
+    )
+  })
+
+  it('should warn when the job summary is not available', async () => {
+    jest
+      .spyOn(core.summary, 'write')
+      .mockRejectedValueOnce(new Error('Unable to find environment variable'))
+
+    await writeSummary('test-enterprise', stats)
+
+    expect(core.warning).toHaveBeenCalledWith(
+      expect.stringContaining('Unable to write the job summary')
+    )
+  })
+})
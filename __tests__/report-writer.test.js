@@ -0,0 +1,160 @@
+const { writeReport, parseOutputFormats } = require('../src/reportWriter')
+const ExcelJS = require('exceljs')
+const core = require('@actions/core')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('reportWriter - writeReport', () => {
+  const cwd = process.cwd()
+  let dir
+
+  const rows = [
+    {
+      github_com_login: 'joe',
+      visual_studio_subscription_user: false,
+      'User Team Membership': ['Team 1', 'Team 2'],
+      'Last Activity Audit Log': '2025-04-14T13:03:47.000Z'
+    },
+    {
+      github_com_login: 'jane',
+      visual_studio_subscription_user: true,
+      'User Team Membership': [],
+      'Last Activity Audit Log': null
+    }
+  ]
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-writer-'))
+    process.chdir(dir)
+    core.info = jest.fn()
+  })
+
+  afterEach(() => {
+    process.chdir(cwd)
+    fs.rmSync(dir, { recursive: true, force: true })
+    jest.clearAllMocks()
+  })
+
+  it('should write the report in all requested formats', async () => {
+    const files = await writeReport(rows, 'users_in_ent', [
+      'csv',
+      'json',
+      'ndjson',
+      'xlsx'
+    ])
+
+    expect(files).toEqual({
+      csv: 'github_users_in_ent_output.csv',
+      json: 'github_users_in_ent_output.json',
+      ndjson: 'github_users_in_ent_output.ndjson',
+      xlsx: 'github_users_in_ent_output.xlsx'
+    })
+    for (const file of Object.values(files)) {
+      expect(fs.existsSync(file)).toBe(true)
+    }
+  })
+
+  it('should join arrays in CSV', async () => {
+    const files = await writeReport(rows, 'users_in_ent', ['csv'])
+
+    const csv = fs.readFileSync(files.csv, 'utf8')
+    expect(csv).toContain('"joe",false,"Team 1,Team 2"')
+  })
+
+  it('should keep booleans, arrays and dates in JSON and NDJSON', async () => {
+    const files = await writeReport(rows, 'users_in_ent', ['json', 'ndjson'])
+
+    const json = JSON.parse(fs.readFileSync(files.json, 'utf8'))
+    expect(json).toEqual(rows)
+
+    const lines = fs.readFileSync(files.ndjson, 'utf8').trim().split('\n')
+    expect(lines).toHaveLength(2)
+    expect(JSON.parse(lines[1])).toEqual(rows[1])
+  })
+
+  it('should join lists with the separator of their column in CSV and XLSX only', async () => {
+    const roles = [
+      { login: 'joe', 'Member Roles': ['org1:Owner', 'org2:Member'] }
+    ]
+    const separators = { 'Member Roles': ', ' }
+
+    const files = await writeReport(
+      roles,
+      'users_in_ent',
+      ['csv', 'json', 'xlsx'],
+      undefined,
+      separators
+    )
+
+    expect(fs.readFileSync(files.csv, 'utf8')).toContain(
+      '"joe","org1:Owner, org2:Member"'
+    )
+    const json = JSON.parse(fs.readFileSync(files.json, 'utf8'))
+    expect(json[0]['Member Roles']).toEqual(['org1:Owner', 'org2:Member'])
+    const workbook = new ExcelJS.Workbook()
+    await workbook.xlsx.readFile(files.xlsx)
+    expect(workbook.worksheets[0].getRow(2).values).toContain(
+      'org1:Owner, org2:Member'
+    )
+  })
+
+  it('should write a worksheet with headers in XLSX', async () => {
+    const files = await writeReport(rows, 'users_in_ent', ['xlsx'])
+
+    const workbook = new ExcelJS.Workbook()
+    await workbook.xlsx.readFile(files.xlsx)
+    const worksheet = workbook.worksheets[0]
+
+    expect(worksheet.getRow(1).values).toContain('github_com_login')
+    expect(worksheet.getRow(2).values).toContain('Team 1,Team 2')
+    expect(worksheet.rowCount).toBe(3)
+  })
+
+  it('should write the header of a report without rows', async () => {
+    const files = await writeReport(
+      [],
+      'inactive_users_in_ent',
+      ['csv', 'json', 'xlsx'],
+      ['github_com_login', 'Inactive']
+    )
+
+    expect(fs.readFileSync(files.csv, 'utf8')).toEqual(
+      '"github_com_login","Inactive"'
+    )
+    expect(JSON.parse(fs.readFileSync(files.json, 'utf8'))).toEqual([])
+    const workbook = new ExcelJS.Workbook()
+    await workbook.xlsx.readFile(files.xlsx)
+    expect(workbook.worksheets[0].getRow(1).values).toContain('Inactive')
+  })
+
+  it('should write an empty CSV without rows and headers', async () => {
+    const files = await writeReport([], 'teams_in_ent', ['csv'])
+
+    expect(fs.readFileSync(files.csv, 'utf8')).toEqual('')
+  })
+
+  it('should replace the file from the previous run', async () => {
+    fs.writeFileSync('github_users_in_ent_output.json', 'old')
+
+    const files = await writeReport(rows, 'users_in_ent', ['json'])
+
+    expect(fs.readFileSync(files.json, 'utf8')).not.toEqual('old')
+  })
+})
+
+describe('reportWriter - parseOutputFormats', () => {
+  it('should normalize and de-duplicate formats', () => {
+    expect(parseOutputFormats([' CSV', 'json', 'csv'])).toEqual(['csv', 'json'])
+  })
+
+  it('should default to csv', () => {
+    expect(parseOutputFormats([])).toEqual(['csv'])
+  })
+
+  it('should fail on unsupported formats', () => {
+    expect(() => parseOutputFormats(['csv', 'pdf'])).toThrow(
+      "Unsupported output format 'pdf'. Supported formats: csv, json, ndjson, xlsx"
+    )
+  })
+})
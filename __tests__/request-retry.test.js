@@ -0,0 +1,223 @@
+const { UserManager } = require('../src/userManager')
+const { parseRetryOptions } = require('../src/requestRetry')
+const { RateLimitGovernor } = require('../src/rateLimit')
+const { startMockServer } = require('./helpers/mock-server')
+const core = require('@actions/core')
+
+describe('UserManager - request retries', () => {
+  const token = 'test-token'
+  const ent = 'test-enterprise'
+  let server
+  let failures
+  let sleep
+
+  const licenses = {
+    total_seats_consumed: 1,
+    total_seats_purchased: 10,
+    users: [{ github_com_login: 'joe' }]
+  }
+  const orgs = {
+    data: {
+      enterprise: {
+        organizations: {
+          nodes: [
+            {
+              login: 'org1',
+              name: 'Org 1',
+              description: null,
+              teams: {
+                edges: [{ node: { name: 'Team', slug: 'team' } }],
+                pageInfo: { hasNextPage: false, endCursor: null }
+              }
+            }
+          ],
+          totalCount: 1,
+          pageInfo: { hasNextPage: false, endCursor: null }
+        }
+      }
+    }
+  }
+
+  /**
+   * Responds with the queued failures first, then with the body.
+   */
+  function respond(body) {
+    return failures.shift() ?? { body }
+  }
+
+  function createUserManager(retry = {}) {
+    return new UserManager(token, {
+      apiUrl: server.url,
+      governor: new RateLimitGovernor({ sleep }),
+      retry: {
+        retries: 3,
+        rateLimitRetries: 2,
+        retryDelayMs: 10,
+        sleep,
+        ...retry
+      }
+    })
+  }
+
+  beforeEach(async () => {
+    core.info = jest.fn()
+    core.warning = jest.fn()
+    core.error = jest.fn()
+    sleep = jest.fn().mockResolvedValue()
+    failures = []
+
+    server = await startMockServer(request => {
+      if (request.url.startsWith(`/enterprises/${ent}/consumed-licenses`)) {
+        return respond(licenses)
+      }
+      if (request.url === '/graphql') {
+        return respond(orgs)
+      }
+    })
+  })
+
+  afterEach(async () => {
+    await server.close()
+    jest.clearAllMocks()
+  })
+
+  it('should retry server errors with exponential backoff', async () => {
+    failures.push({ status: 502 }, { status: 503 })
+    const userManager = createUserManager()
+
+    const users = await userManager.getConsumedLicenses(ent)
+
+    expect(users).toEqual([{ github_com_login: 'joe' }])
+    expect(server.requests).toHaveLength(3)
+    expect(sleep.mock.calls).toEqual([[10], [20]])
+    expect(core.warning).toHaveBeenCalledWith(
+      expect.stringMatching(
+        /^GET .*consumed-licenses.* failed \(502\)\. Retrying in 10 ms \(1\/3\)\.$/
+      )
+    )
+    expect(core.warning).toHaveBeenCalledWith(
+      expect.stringContaining('failed (503). Retrying in 20 ms (2/3).')
+    )
+  })
+
+  it('should wait for retry-after after a secondary rate limit', async () => {
+    failures.push({
+      status: 403,
+      headers: { 'retry-after': '3' },
+      body: { message: 'You have exceeded a secondary rate limit.' }
+    })
+    const userManager = createUserManager()
+
+    const users = await userManager.getConsumedLicenses(ent)
+
+    expect(users).toHaveLength(1)
+    expect(sleep).toHaveBeenCalledWith(3000)
+    expect(core.warning).toHaveBeenCalledWith(
+      expect.stringContaining(
+        'hit a rate limit (403). Retrying in 3000 ms (1/2).'
+      )
+    )
+  })
+
+  it('should wait at least a minute after a secondary rate limit without retry-after', async () => {
+    failures.push({
+      status: 403,
+      body: { message: 'You have exceeded a secondary rate limit.' }
+    })
+    const userManager = createUserManager()
+
+    await userManager.getConsumedLicenses(ent)
+
+    expect(sleep).toHaveBeenCalledWith(60000)
+  })
+
+  it('should wait for the reset after a primary rate limit', async () => {
+    const reset = Math.floor(Date.now() / 1000) + 120
+    failures.push({
+      status: 429,
+      headers: {
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': `${reset}`
+      },
+      body: { message: 'API rate limit exceeded' }
+    })
+    const userManager = createUserManager()
+
+    await userManager.getConsumedLicenses(ent)
+
+    const delay = sleep.mock.calls.find(([ms]) => ms > 60000)[0]
+    expect(delay).toBeGreaterThan(115000)
+    expect(delay).toBeLessThanOrEqual(121000)
+  })
+
+  it('should give up after the configured number of retries', async () => {
+    failures.push(...Array(5).fill({ status: 502 }))
+    const userManager = createUserManager({ retries: 2 })
+
+    await expect(userManager.getConsumedLicenses(ent)).rejects.toMatchObject({
+      status: 502
+    })
+    expect(server.requests).toHaveLength(3)
+    expect(core.warning).toHaveBeenCalledTimes(2)
+  })
+
+  it('should not retry other errors', async () => {
+    failures.push({ status: 403, body: { message: 'Must be an admin' } })
+    const userManager = createUserManager()
+
+    await expect(userManager.getConsumedLicenses(ent)).rejects.toMatchObject({
+      status: 403
+    })
+    expect(server.requests).toHaveLength(1)
+    expect(sleep).not.toHaveBeenCalled()
+  })
+
+  it('should retry GraphQL requests instead of returning empty teams', async () => {
+    failures.push({ status: 502 })
+    const userManager = createUserManager()
+
+    const result = await userManager.getTeamsForUser('joe', ent)
+
+    expect(result.orgs).toHaveLength(1)
+    expect(result.orgs[0].teams).toEqual([{ name: 'Team', slug: 'team' }])
+    expect(server.requests).toHaveLength(2)
+  })
+
+  it('should fail instead of returning empty teams when the retries are exhausted', async () => {
+    failures.push(...Array(6).fill({ status: 502 }))
+    const userManager = createUserManager({ retries: 2 })
+
+    await expect(userManager.getTeamsForUser('joe', ent)).rejects.toMatchObject(
+      { status: 502 }
+    )
+    await expect(
+      userManager.getTeamsForUserInOrganization('joe', 'org1')
+    ).rejects.toMatchObject({ status: 502 })
+    expect(server.requests).toHaveLength(6)
+  })
+})
+
+describe('parseRetryOptions', () => {
+  it('should use the defaults for empty inputs', () => {
+    expect(parseRetryOptions({ retries: '', rateLimitRetries: '' })).toEqual({
+      retries: 3,
+      rateLimitRetries: 5,
+      retryDelayMs: 1000
+    })
+  })
+
+  it('should parse the attempt counts', () => {
+    expect(parseRetryOptions({ retries: '0', rateLimitRetries: '10' })).toEqual(
+      { retries: 0, rateLimitRetries: 10, retryDelayMs: 1000 }
+    )
+  })
+
+  it('should reject invalid attempt counts', () => {
+    expect(() => parseRetryOptions({ retries: '-1' })).toThrow(
+      "Invalid max retries '-1'. It must be a non-negative integer."
+    )
+    expect(() => parseRetryOptions({ rateLimitRetries: 'many' })).toThrow(
+      "Invalid max rate limit retries 'many'. It must be a non-negative integer."
+    )
+  })
+})
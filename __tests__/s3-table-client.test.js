@@ -0,0 +1,213 @@
+const { S3TableClient, flushAll, reset } = require('../src/s3Tableclient')
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand
+} = require('@aws-sdk/client-s3')
+const core = require('@actions/core')
+
+jest.mock('@aws-sdk/client-s3', () => ({
+  ...jest.requireActual('@aws-sdk/client-s3'),
+  S3Client: jest.fn()
+}))
+
+/**
+ * In-memory bucket that honors If-Match and If-None-Match like S3.
+ */
+function createBucket() {
+  const objects = new Map()
+  let version = 0
+
+  const fail = (name, status) =>
+    Object.assign(new Error(name), {
+      name,
+      $metadata: { httpStatusCode: status }
+    })
+
+  const send = jest.fn(async command => {
+    const { Key, Body, IfMatch, IfNoneMatch } = command.input
+    const current = objects.get(Key)
+
+    if (command instanceof GetObjectCommand) {
+      if (!current) throw fail('NoSuchKey', 404)
+      return {
+        ETag: current.etag,
+        Body: { transformToString: async () => current.body }
+      }
+    }
+    if (command instanceof PutObjectCommand) {
+      if (IfNoneMatch === '*' && current) throw fail('PreconditionFailed', 412)
+      if (IfMatch && IfMatch !== current?.etag)
+        throw fail('PreconditionFailed', 412)
+      const etag = `"${++version}"`
+      objects.set(Key, { body: Body, etag })
+      return { ETag: etag }
+    }
+  })
+
+  return { objects, send }
+}
+
+describe('S3TableClient', () => {
+  const config = { bucket: 'cache', prefix: 'report/' }
+  let bucket
+
+  beforeEach(() => {
+    core.info = jest.fn()
+    core.warning = jest.fn()
+    reset()
+    bucket = createBucket()
+    S3Client.mockImplementation(() => ({ send: bucket.send }))
+  })
+
+  const stored = key => JSON.parse(bucket.objects.get(key).body).partitions
+
+  it('should configure path-style addressing for custom endpoints', () => {
+    new S3TableClient({ ...config, endpoint: 'http://localhost:9000' })
+
+    expect(S3Client).toHaveBeenCalledWith({
+      region: expect.any(String),
+      endpoint: 'http://localhost:9000',
+      forcePathStyle: true
+    })
+  })
+
+  it('should start empty and create the object on flush', async () => {
+    const client = new S3TableClient(config)
+    await client.createTable()
+    await client.bulkInsert(['joe'])
+
+    expect(await client.getAll()).toHaveLength(1)
+    expect(bucket.objects.size).toBe(0)
+
+    await flushAll()
+
+    expect(stored('report/usersaudit.json')).toEqual({
+      audit: {
+        joe: {
+          partitionKey: 'audit',
+          rowKey: 'joe',
+          lastActivityDate: null,
+          lastUpdated: null
+        }
+      }
+    })
+    expect(bucket.send.mock.calls[1][0].input.IfNoneMatch).toEqual('*')
+  })
+
+  it('should persist entities between runs with conditional writes', async () => {
+    const client = new S3TableClient(config, 'reportsnapshots')
+    await client.upsertEntities([
+      { partitionKey: 'ent1', rowKey: 'joe', snapshot: '{}' },
+      { partitionKey: 'ent1', rowKey: 'ann', snapshot: '{}' }
+    ])
+    await client.flush()
+
+    reset()
+    const next = new S3TableClient(config, 'reportsnapshots')
+    await next.deleteEntities([{ partitionKey: 'ent1', rowKey: 'ann' }])
+    await next.flush()
+
+    expect((await next.getPartition('ent1')).map(e => e.rowKey)).toEqual([
+      'joe'
+    ])
+    expect(bucket.send.mock.calls.at(-1)[0].input.IfMatch).toEqual('"1"')
+    expect(Object.keys(stored('report/reportsnapshots.json').ent1)).toEqual([
+      'joe'
+    ])
+  })
+
+  it('should merge its changes when another run saved the object', async () => {
+    const client = new S3TableClient(config)
+    await client.bulkInsert(['joe', 'ann'])
+    await client.flush()
+
+    // this run loads the object, then another run saves it
+    reset()
+    const run = new S3TableClient(config)
+    await run.upsertUser('joe', '2025-04-01T00:00:00Z')
+
+    const partitions = stored('report/usersaudit.json')
+    partitions.audit.ann.lastActivityDate = '2025-05-01T00:00:00Z'
+    bucket.objects.set('report/usersaudit.json', {
+      body: JSON.stringify({ partitions }),
+      etag: '"other"'
+    })
+
+    // the object saved by this run keeps the changes of both
+    await run.flush()
+
+    const partition = stored('report/usersaudit.json').audit
+    expect(partition.joe.lastActivityDate).toEqual('2025-04-01T00:00:00Z')
+    expect(partition.ann.lastActivityDate).toEqual('2025-05-01T00:00:00Z')
+    expect(core.warning).toHaveBeenCalledWith(
+      'Cache object s3://cache/report/usersaudit.json was changed by another run. Merging 1 changes.'
+    )
+  })
+
+  it('should not run two saves of the same object at the same time', async () => {
+    const client = new S3TableClient(config)
+    await client.bulkInsert(['joe'])
+    await client.flush()
+
+    reset()
+    const run = new S3TableClient(config)
+    await run.upsertUser('joe', '2025-04-01T00:00:00Z')
+    // another run saves the object, both saves of this run have to merge
+    const partitions = stored('report/usersaudit.json')
+    partitions.audit.bob = { partitionKey: 'audit', rowKey: 'bob' }
+    bucket.objects.set('report/usersaudit.json', {
+      body: JSON.stringify({ partitions }),
+      etag: '"other"'
+    })
+    let uploading = 0
+    let maxUploading = 0
+    const send = bucket.send.getMockImplementation()
+    bucket.send.mockImplementation(async command => {
+      if (!(command instanceof PutObjectCommand)) {
+        return send(command)
+      }
+      maxUploading = Math.max(maxUploading, ++uploading)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      uploading--
+      return send(command)
+    })
+
+    await Promise.all([
+      run.flush(),
+      (async () => {
+        await run.upsertUser('ann', '2025-05-01T00:00:00Z')
+        await flushAll()
+      })()
+    ])
+
+    expect(maxUploading).toEqual(1)
+    expect(Object.keys(stored('report/usersaudit.json').audit).sort()).toEqual([
+      'ann',
+      'bob',
+      'joe'
+    ])
+  })
+
+  it('should fail when the user is not in the cache', async () => {
+    const client = new S3TableClient(config)
+
+    await expect(client.getUser('joe')).rejects.toThrow(
+      'User joe not found in usersaudit'
+    )
+  })
+
+  it('should report other S3 errors', async () => {
+    bucket.send.mockRejectedValueOnce(
+      Object.assign(new Error('Access Denied'), {
+        name: 'AccessDenied',
+        $metadata: { httpStatusCode: 403 }
+      })
+    )
+    const client = new S3TableClient(config)
+
+    await expect(client.getAll()).rejects.toThrow(
+      'Unable to load cache object s3://cache/report/usersaudit.json: Access Denied'
+    )
+  })
+})
@@ -0,0 +1,128 @@
+const { UserManager } = require('../src/userManager')
+const core = require('@actions/core')
+
+jest.mock('../src/rateLimit')
+
+describe('UserManager - scanAuditLog', () => {
+  let userManager
+  let octokit
+  const token = 'test-token'
+  const ent = 'test-enterprise'
+
+  beforeEach(() => {
+    octokit = {
+      paginate: {
+        iterator: jest.fn()
+      }
+    }
+
+    userManager = new UserManager(token)
+    userManager.octokit = octokit
+    userManager.graphql = {}
+    core.info = jest.fn()
+    core.error = jest.fn()
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should keep the latest event of every actor', async () => {
+    octokit.paginate.iterator.mockReturnValue([
+      {
+        data: [
+          { '@timestamp': Date.parse('2024-03-05T10:00:00Z'), actor: 'joe' },
+          { '@timestamp': Date.parse('2024-03-04T10:00:00Z'), actor: 'ann' },
+          { '@timestamp': Date.parse('2024-03-03T10:00:00Z'), actor: 'joe' }
+        ]
+      },
+      {
+        data: [
+          { '@timestamp': Date.parse('2024-03-02T10:00:00Z') },
+          { '@timestamp': Date.parse('2024-03-06T10:00:00Z'), actor: 'ann' }
+        ]
+      }
+    ])
+
+    const result = await userManager.scanAuditLog(
+      ent,
+      new Date('2024-03-01T12:00:00Z')
+    )
+
+    expect(octokit.paginate.iterator).toHaveBeenCalledWith(
+      `GET /enterprises/${ent}/audit-log`,
+      { phrase: 'created:>=2024-03-01', order: 'asc', per_page: 100 }
+    )
+    expect(result.lastActivity).toEqual(
+      new Map([
+        ['joe', new Date('2024-03-05T10:00:00Z')],
+        ['ann', new Date('2024-03-06T10:00:00Z')]
+      ])
+    )
+    expect(result.latestEvent).toEqual(new Date('2024-03-06T10:00:00Z'))
+    expect(result.events).toEqual(5)
+    expect(result.pages).toEqual(2)
+    expect(core.info).toHaveBeenCalledWith(
+      `Read 5 audit log events in 2 pages of '${ent}' since 2024-03-01.`
+    )
+  })
+
+  it('should report every page as it is read', async () => {
+    octokit.paginate.iterator.mockReturnValue([
+      {
+        data: [
+          { '@timestamp': Date.parse('2024-03-02T10:00:00Z'), actor: 'joe' },
+          { '@timestamp': Date.parse('2024-03-03T10:00:00Z'), actor: 'joe' }
+        ]
+      },
+      {
+        data: [
+          { '@timestamp': Date.parse('2024-03-04T10:00:00Z'), actor: 'ann' }
+        ]
+      }
+    ])
+    const onPage = jest.fn()
+
+    await userManager.scanAuditLog(
+      ent,
+      new Date('2024-03-01T12:00:00Z'),
+      onPage
+    )
+
+    expect(onPage.mock.calls).toEqual([
+      [
+        new Map([['joe', new Date('2024-03-03T10:00:00Z')]]),
+        new Date('2024-03-03T10:00:00Z')
+      ],
+      [
+        new Map([['ann', new Date('2024-03-04T10:00:00Z')]]),
+        new Date('2024-03-04T10:00:00Z')
+      ]
+    ])
+  })
+
+  it('should return no activity for an empty audit log', async () => {
+    octokit.paginate.iterator.mockReturnValue([{ data: [] }])
+
+    const result = await userManager.scanAuditLog(
+      ent,
+      new Date('2024-03-01T12:00:00Z')
+    )
+
+    expect(result.lastActivity.size).toEqual(0)
+    expect(result.latestEvent).toBeNull()
+  })
+
+  it('should log and rethrow errors', async () => {
+    octokit.paginate.iterator.mockImplementation(() => {
+      throw new Error('Forbidden')
+    })
+
+    await expect(
+      userManager.scanAuditLog(ent, new Date('2024-03-01T12:00:00Z'))
+    ).rejects.toThrow('Forbidden')
+    expect(core.error).toHaveBeenCalledWith(
+      `Error reading the audit log of '${ent}' enterprise.`
+    )
+  })
+})
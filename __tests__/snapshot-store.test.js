@@ -0,0 +1,63 @@
+const { SnapshotStore } = require('../src/snapshotStore')
+const { StorageTableClient } = require('../src/storageTableclient')
+const core = require('@actions/core')
+
+jest.mock('../src/storageTableclient')
+
+describe('SnapshotStore', () => {
+  let store
+  let tableClient
+
+  beforeEach(() => {
+    core.info = jest.fn()
+    store = new SnapshotStore('UseDevelopmentStorage=true')
+    tableClient = StorageTableClient.mock.instances[0]
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should use the report snapshots table', () => {
+    expect(StorageTableClient).toHaveBeenCalledWith(
+      'UseDevelopmentStorage=true',
+      'reportsnapshots'
+    )
+  })
+
+  it('should load the snapshot of a scope', async () => {
+    tableClient.getPartition.mockResolvedValue([
+      {
+        partitionKey: 'ent1',
+        rowKey: 'joe',
+        snapshot: JSON.stringify({ scope: 'ent1', login: 'joe' })
+      }
+    ])
+
+    const entries = await store.load('ent1')
+
+    expect(tableClient.createTable).toHaveBeenCalled()
+    expect(tableClient.getPartition).toHaveBeenCalledWith('ent1')
+    expect(entries).toEqual([{ scope: 'ent1', login: 'joe' }])
+  })
+
+  it('should replace the snapshot of a scope', async () => {
+    tableClient.getPartition.mockResolvedValue([
+      { partitionKey: 'ent1', rowKey: 'joe' },
+      { partitionKey: 'ent1', rowKey: 'left' }
+    ])
+
+    await store.save('ent1', [{ scope: 'ent1', login: 'joe' }])
+
+    expect(tableClient.upsertEntities).toHaveBeenCalledWith([
+      expect.objectContaining({
+        partitionKey: 'ent1',
+        rowKey: 'joe',
+        snapshot: JSON.stringify({ scope: 'ent1', login: 'joe' })
+      })
+    ])
+    expect(tableClient.deleteEntities).toHaveBeenCalledWith([
+      { partitionKey: 'ent1', rowKey: 'left' }
+    ])
+  })
+})
@@ -0,0 +1,200 @@
+const { StorageTableClient } = require('../src/storageTableclient')
+const { TableClient } = require('@azure/data-tables')
+const core = require('@actions/core')
+
+describe('StorageTableClient', () => {
+  let tableClient
+
+  beforeEach(() => {
+    core.info = jest.fn()
+    core.warning = jest.fn()
+    tableClient = {
+      createTable: jest.fn(),
+      getEntity: jest.fn(),
+      upsertEntity: jest.fn(),
+      submitTransaction: jest.fn()
+    }
+    jest.spyOn(TableClient, 'fromConnectionString').mockReturnValue(tableClient)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  const throttled = (statusCode, retryAfter) =>
+    Object.assign(new Error('Server Busy'), {
+      statusCode,
+      response: { headers: new Map([['retry-after', retryAfter]]) }
+    })
+
+  it('should create its own table and read users from the audit partition', async () => {
+    const client = new StorageTableClient('conn', 'userspublicdata')
+    tableClient.getEntity.mockResolvedValue({ rowKey: 'joe' })
+
+    await client.createTable()
+    const user = await client.getUser('joe')
+
+    expect(tableClient.createTable).toHaveBeenCalledWith({
+      onResponse: expect.any(Function)
+    })
+    expect(tableClient.getEntity).toHaveBeenCalledWith('audit', 'joe')
+    expect(user).toEqual({ rowKey: 'joe' })
+  })
+
+  it('should only allow http connections to the development storage and http endpoints', () => {
+    const https =
+      'DefaultEndpointsProtocol=https;AccountName=acct;AccountKey=a2V5;EndpointSuffix=core.windows.net'
+    const azurite =
+      'DefaultEndpointsProtocol=http;AccountName=devstoreaccount1;AccountKey=a2V5;TableEndpoint=http://127.0.0.1:10002/devstoreaccount1;'
+
+    new StorageTableClient(https)
+    new StorageTableClient('UseDevelopmentStorage=true')
+    new StorageTableClient(azurite)
+
+    expect(
+      TableClient.fromConnectionString.mock.calls.map(
+        call => call[2].allowInsecureConnection
+      )
+    ).toEqual([false, true, true])
+  })
+
+  it('should seed users in transactions of at most 100 upserts', async () => {
+    const client = new StorageTableClient('conn')
+    const logins = Array.from({ length: 250 }, (_, i) => `user${i}`)
+
+    await client.bulkInsert(logins)
+
+    const transactions = tableClient.submitTransaction.mock.calls.map(c => c[0])
+    expect(transactions.map(t => t.length)).toEqual([100, 100, 50])
+    expect(transactions[0][0]).toEqual([
+      'upsert',
+      {
+        partitionKey: 'audit',
+        rowKey: 'user0',
+        lastActivityDate: null,
+        lastUpdated: null
+      },
+      'Merge'
+    ])
+  })
+
+  it('should split transactions by partition', async () => {
+    const client = new StorageTableClient('conn', 'reportsnapshots')
+
+    await client.upsertEntities([
+      { partitionKey: 'ent1', rowKey: 'joe' },
+      { partitionKey: 'ent2', rowKey: 'joe' },
+      { partitionKey: 'ent1', rowKey: 'ann' }
+    ])
+
+    const transactions = tableClient.submitTransaction.mock.calls.map(c => c[0])
+    expect(
+      transactions.map(t => t.map(([, entity]) => entity.partitionKey))
+    ).toEqual([['ent1', 'ent1'], ['ent2']])
+  })
+
+  it('should retry throttled writes with backoff', async () => {
+    const client = new StorageTableClient('conn', 'usersaudit', {
+      retryDelayMs: 1
+    })
+    tableClient.submitTransaction
+      .mockRejectedValueOnce(throttled(503))
+      .mockRejectedValueOnce(throttled(429))
+      .mockResolvedValueOnce({})
+
+    await client.bulkInsert(['joe'])
+
+    expect(tableClient.submitTransaction).toHaveBeenCalledTimes(3)
+    expect(core.warning).toHaveBeenCalledWith(
+      'Table usersaudit is throttling requests (503). Retrying in 1 ms (1/5).'
+    )
+    expect(core.warning).toHaveBeenCalledWith(
+      'Table usersaudit is throttling requests (429). Retrying in 2 ms (2/5).'
+    )
+  })
+
+  it('should wait as long as the retry-after header says', async () => {
+    jest.spyOn(global, 'setTimeout').mockImplementation(resolve => resolve())
+    const client = new StorageTableClient('conn')
+    tableClient.upsertEntity
+      .mockRejectedValueOnce(throttled(429, '3'))
+      .mockResolvedValueOnce({})
+
+    await client.upsertUser('joe', '2025-04-01T00:00:00Z')
+
+    expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 3000)
+  })
+
+  it('should give up after 5 retries and not retry other errors', async () => {
+    const client = new StorageTableClient('conn', 'usersaudit', {
+      retryDelayMs: 0
+    })
+    tableClient.upsertEntity.mockRejectedValue(throttled(503))
+
+    await expect(client.upsertUser('joe', null)).rejects.toThrow('Server Busy')
+    expect(tableClient.upsertEntity).toHaveBeenCalledTimes(6)
+
+    tableClient.submitTransaction.mockRejectedValue(
+      Object.assign(new Error('Forbidden'), { statusCode: 403 })
+    )
+    await expect(client.bulkInsert(['joe'])).rejects.toThrow('Forbidden')
+    expect(tableClient.submitTransaction).toHaveBeenCalledTimes(1)
+  })
+})
+
+// runs against Azurite: `npx azurite-table` and `AZURITE_CONNECTION_STRING=UseDevelopmentStorage=true npm test`
+const describeAzurite = process.env.AZURITE_CONNECTION_STRING
+  ? describe
+  : describe.skip
+
+describeAzurite('StorageTableClient - Azurite', () => {
+  const table = `usersaudit${Date.now()}`
+  let client
+
+  beforeAll(async () => {
+    core.info = jest.fn()
+    client = new StorageTableClient(
+      process.env.AZURITE_CONNECTION_STRING,
+      table
+    )
+    await client.createTable()
+  })
+
+  afterAll(async () => {
+    await client.tableClient.deleteTable()
+  })
+
+  it('should create the table only once', async () => {
+    await client.createTable()
+
+    expect(core.info).toHaveBeenCalledWith(`Table ${table} already exists`)
+  })
+
+  it('should seed more than 100 users without clearing existing data', async () => {
+    await client.bulkInsert(['joe'])
+    await client.upsertUser('joe', '2025-04-01T00:00:00Z')
+
+    const logins = Array.from({ length: 150 }, (_, i) => `user${i}`)
+    await client.bulkInsert([...logins, 'joe'])
+
+    expect(await client.getAll()).toHaveLength(151)
+    expect(await client.getUser('joe')).toMatchObject({
+      partitionKey: 'audit',
+      rowKey: 'joe',
+      lastActivityDate: '2025-04-01T00:00:00Z'
+    })
+  })
+
+  it('should keep partitions apart', async () => {
+    await client.upsertEntities([
+      { partitionKey: 'ent1', rowKey: 'joe', snapshot: '{}' },
+      { partitionKey: 'ent2', rowKey: 'joe', snapshot: '{}' }
+    ])
+    await client.deleteEntities([{ partitionKey: 'ent2', rowKey: 'joe' }])
+
+    expect((await client.getPartition('ent1')).map(e => e.rowKey)).toEqual([
+      'joe'
+    ])
+    expect(await client.getPartition('ent2')).toEqual([])
+  })
+})
@@ -0,0 +1,57 @@
+const {
+  buildTeamIndex,
+  estimatePerUserPoints,
+  parseTeamsStrategy
+} = require('../src/teamIndex')
+
+describe('teamIndex', () => {
+  it('should index teams by member login', () => {
+    const index = buildTeamIndex([
+      {
+        org: 'org1',
+        teams: [
+          { name: 'A', slug: 'a', members: [{ login: 'joe' }] },
+          {
+            name: 'B',
+            slug: 'b',
+            members: [{ login: 'joe' }, { login: 'ann' }]
+          }
+        ]
+      },
+      {
+        org: 'org2',
+        teams: [{ name: 'C', slug: 'c', members: [{ login: 'joe' }] }]
+      },
+      { org: 'org3', teams: [] }
+    ])
+
+    expect(index.get('joe')).toEqual({
+      orgs: [
+        {
+          org: { login: 'org1' },
+          teams: [
+            { name: 'A', slug: 'a' },
+            { name: 'B', slug: 'b' }
+          ]
+        },
+        { org: { login: 'org2' }, teams: [{ name: 'C', slug: 'c' }] }
+      ]
+    })
+    expect(index.get('ann').orgs).toHaveLength(1)
+    expect(index.has('bob')).toBe(false)
+  })
+
+  it('should estimate a point per user and page of organizations', () => {
+    expect(estimatePerUserPoints(1000, 0)).toEqual(1000)
+    expect(estimatePerUserPoints(1000, 100)).toEqual(1000)
+    expect(estimatePerUserPoints(1000, 150)).toEqual(2000)
+  })
+
+  it('should parse the teams strategy', () => {
+    expect(parseTeamsStrategy('')).toEqual('crawl')
+    expect(parseTeamsStrategy('per-user')).toEqual('per-user')
+    expect(() => parseTeamsStrategy('all')).toThrow(
+      "Invalid teams strategy 'all'. Supported strategies: crawl, per-user"
+    )
+  })
+})
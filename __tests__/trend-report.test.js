@@ -0,0 +1,137 @@
+const {
+  getRunMetrics,
+  toTrendRows,
+  renderTrendChart,
+  writeTrendChart
+} = require('../src/trendReport')
+const core = require('@actions/core')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('trendReport - getRunMetrics', () => {
+  it('should aggregate seats, activity and 2FA', () => {
+    const now = new Date('2025-05-01T00:00:00Z')
+    const daysAgo = days => new Date(now.getTime() - days * 24 * 3600 * 1000)
+
+    const metrics = getRunMetrics(
+      [
+        { license_type: 'Enterprise', lastActivity: daysAgo(10) },
+        {
+          license_type: 'Enterprise',
+          lastActivity: daysAgo(45),
+          github_com_two_factor_auth: false
+        },
+        { license_type: 'Visual Studio', lastActivity: daysAgo(80) },
+        { license_type: 'Visual Studio', lastActivity: null }
+      ],
+      new Map([['joe', {}]]),
+      now
+    )
+
+    expect(metrics).toEqual({
+      date: '2025-05-01T00:00:00.000Z',
+      totalUsers: 4,
+      usersByLicenseType: { Enterprise: 2, 'Visual Studio': 2 },
+      copilotSeats: 1,
+      active30Days: 1,
+      active60Days: 2,
+      active90Days: 3,
+      usersWithout2FA: 1
+    })
+  })
+})
+
+describe('trendReport - toTrendRows', () => {
+  it('should write one row per run with a column per license type', () => {
+    const rows = toTrendRows([
+      createRun('2025-03-01', { Enterprise: 10 }),
+      createRun('2025-04-01', { Enterprise: 12, 'Visual Studio': 3 })
+    ])
+
+    expect(rows).toEqual([
+      {
+        date: '2025-03-01',
+        total_users: 10,
+        seats_enterprise: 10,
+        seats_visual_studio: 0,
+        copilot_seats: 5,
+        active_30_days: 4,
+        active_60_days: 6,
+        active_90_days: 8,
+        users_without_2fa: 1
+      },
+      {
+        date: '2025-04-01',
+        total_users: 15,
+        seats_enterprise: 12,
+        seats_visual_studio: 3,
+        copilot_seats: 5,
+        active_30_days: 4,
+        active_60_days: 6,
+        active_90_days: 8,
+        users_without_2fa: 1
+      }
+    ])
+  })
+})
+
+describe('trendReport - renderTrendChart', () => {
+  it('should draw a line per series with the first and last date', () => {
+    const rows = toTrendRows([
+      createRun('2025-03-01T00:00:00Z', { Enterprise: 10 }),
+      createRun('2025-04-01T00:00:00Z', { Enterprise: 20 })
+    ])
+
+    const svg = renderTrendChart(rows, "Trend for 'ent' & co")
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/)
+    expect(svg.match(/<polyline /g)).toHaveLength(3)
+    expect(svg).toContain('points="60,190 780,40"')
+    expect(svg).toContain('>2025-03-01<')
+    expect(svg).toContain('>2025-04-01<')
+    expect(svg).toContain("<title>Trend for 'ent' &amp; co</title>")
+  })
+
+  it('should render an empty history', () => {
+    expect(renderTrendChart([], 'Empty')).toContain('<title>Empty</title>')
+  })
+})
+
+describe('trendReport - writeTrendChart', () => {
+  const cwd = process.cwd()
+
+  beforeEach(() => {
+    core.info = jest.fn()
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'trend-')))
+  })
+
+  afterEach(() => {
+    process.chdir(cwd)
+  })
+
+  it('should write the chart for the scope', () => {
+    const file = writeTrendChart(
+      toTrendRows([createRun('2025-03-01', { Enterprise: 10 })]),
+      'ent1'
+    )
+
+    expect(file).toEqual('github_trend_in_ent1.svg')
+    expect(fs.readFileSync(file, 'utf8')).toContain(
+      "GitHub license trend for 'ent1'"
+    )
+  })
+})
+
+function createRun(date, usersByLicenseType) {
+  return {
+    date,
+    totalUsers: Object.values(usersByLicenseType).reduce((a, b) => a + b, 0),
+    usersByLicenseType,
+    copilotSeats: 5,
+    active30Days: 4,
+    active60Days: 6,
+    active90Days: 8,
+    usersWithout2FA: 1
+  }
+}
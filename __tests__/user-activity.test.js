@@ -0,0 +1,110 @@
+const { getUserActivity, parseInactiveDays } = require('../src/userActivity')
+
+describe('userActivity - getUserActivity', () => {
+  const now = new Date('2025-05-01T00:00:00Z')
+
+  it('should use the most recent activity signal', () => {
+    expect(
+      getUserActivity(
+        {
+          auditLogDate: new Date('2025-04-01T00:00:00Z'),
+          auditLogChecked: new Date('2025-04-30T00:00:00Z'),
+          copilotSeat: { last_activity_at: '2025-04-21T12:00:00Z' }
+        },
+        90,
+        now
+      )
+    ).toEqual({
+      lastActivity: new Date('2025-04-21T12:00:00Z'),
+      source: 'copilot',
+      daysSinceLastActivity: 9,
+      inactive: false
+    })
+
+    expect(
+      getUserActivity(
+        {
+          auditLogDate: '2025-01-01T00:00:00Z',
+          auditLogChecked: '2025-04-30T00:00:00Z',
+          copilotSeat: { last_activity_at: null }
+        },
+        90,
+        now
+      )
+    ).toEqual({
+      lastActivity: new Date('2025-01-01T00:00:00Z'),
+      source: 'audit_log',
+      daysSinceLastActivity: 120,
+      inactive: true
+    })
+  })
+
+  it('should report users without activity as inactive only when the audit log was checked', () => {
+    expect(
+      getUserActivity(
+        { auditLogDate: null, auditLogChecked: new Date() },
+        90,
+        now
+      ).inactive
+    ).toBe(true)
+    expect(
+      getUserActivity({ auditLogDate: null, auditLogChecked: null }, 90, now)
+    ).toEqual({
+      lastActivity: null,
+      source: null,
+      daysSinceLastActivity: null,
+      inactive: null
+    })
+  })
+
+  it('should not decide on old activity when the audit log was not checked', () => {
+    const signals = {
+      auditLogDate: null,
+      auditLogChecked: null,
+      copilotSeat: { last_activity_at: '2025-01-01T00:00:00Z' }
+    }
+
+    expect(getUserActivity(signals, 90, now)).toEqual({
+      lastActivity: new Date('2025-01-01T00:00:00Z'),
+      source: 'copilot',
+      daysSinceLastActivity: 120,
+      inactive: null
+    })
+    expect(getUserActivity(signals, 180, now).inactive).toBe(false)
+  })
+
+  it('should treat the threshold day as inactive', () => {
+    const activity = getUserActivity(
+      {
+        auditLogDate: '2025-04-01T00:00:00Z',
+        auditLogChecked: '2025-04-30T00:00:00Z'
+      },
+      30,
+      now
+    )
+
+    expect(activity.daysSinceLastActivity).toEqual(30)
+    expect(activity.inactive).toBe(true)
+  })
+})
+
+describe('userActivity - parseInactiveDays', () => {
+  it('should default to 90 days', () => {
+    expect(parseInactiveDays('')).toEqual(90)
+    expect(parseInactiveDays(undefined)).toEqual(90)
+  })
+
+  it('should parse positive integers', () => {
+    expect(parseInactiveDays('45')).toEqual(45)
+    expect(parseInactiveDays(7)).toEqual(7)
+  })
+
+  it('should fail on invalid values', () => {
+    expect(() => parseInactiveDays('soon')).toThrow(
+      "Invalid inactive days 'soon'. It must be a positive integer."
+    )
+    expect(() => parseInactiveDays('0')).toThrow(
+      "Invalid inactive days '0'. It must be a positive integer."
+    )
+  })
+})
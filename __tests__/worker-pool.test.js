@@ -0,0 +1,66 @@
+const {
+  mapWithConcurrency,
+  parseConcurrency,
+  DEFAULT_CONCURRENCY
+} = require('../src/workerPool')
+
+describe('workerPool', () => {
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+  it('should keep the order of the items', async () => {
+    const items = [30, 10, 20, 0, 5]
+
+    const results = await mapWithConcurrency(items, 3, async (item, index) => {
+      await delay(item)
+      return `${index}:${item}`
+    })
+
+    expect(results).toEqual(['0:30', '1:10', '2:20', '3:0', '4:5'])
+  })
+
+  it('should not run more calls than the concurrency', async () => {
+    let running = 0
+    let maxRunning = 0
+
+    await mapWithConcurrency(Array(10).fill(5), 4, async ms => {
+      running++
+      maxRunning = Math.max(maxRunning, running)
+      await delay(ms)
+      running--
+    })
+
+    expect(maxRunning).toEqual(4)
+  })
+
+  it('should handle fewer items than workers', async () => {
+    expect(await mapWithConcurrency([1], 8, async x => x * 2)).toEqual([2])
+    expect(await mapWithConcurrency([], 8, async x => x)).toEqual([])
+  })
+
+  it('should stop starting calls after a failure and throw the first error', async () => {
+    const started = []
+
+    await expect(
+      mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async item => {
+        started.push(item)
+        await delay(1)
+        if (item === 2) {
+          throw new Error('boom')
+        }
+      })
+    ).rejects.toThrow('boom')
+    expect(started).toEqual([1, 2, 3])
+  })
+
+  it('should parse the concurrency', () => {
+    expect(parseConcurrency('')).toEqual(DEFAULT_CONCURRENCY)
+    expect(parseConcurrency(undefined)).toEqual(DEFAULT_CONCURRENCY)
+    expect(parseConcurrency('8')).toEqual(8)
+    expect(() => parseConcurrency('0')).toThrow(
+      "Invalid concurrency '0'. It must be a positive integer."
+    )
+    expect(() => parseConcurrency('two')).toThrow(
+      "Invalid concurrency 'two'. It must be a positive integer."
+    )
+  })
+})
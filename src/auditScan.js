@@ -0,0 +1,121 @@
+const { createTableClient } = require('./cacheFactory')
+
+/* table with the audit log scan progress, one row per enterprise */
+const tableName = 'auditscan'
+const partitionKey = 'scan'
+
+/**
+ * How the last activity of users is read from the audit log:
+ * - `per-user` - a search per user, limited by the refresh budget,
+ * - `scan` - all events of the enterprise since the last scan, the latest event of every actor is kept.
+ * @typedef {'per-user'|'scan'} AuditLogMode
+ */
+
+/**
+ * Supported audit log modes, the first one is the default.
+ * @type {Array<AuditLogMode>}
+ */
+const AUDIT_LOG_MODES = ['per-user', 'scan']
+
+/**
+ * Default number of days read by the first scan of an enterprise.
+ * @type {integer}
+ */
+const DEFAULT_SCAN_DAYS = 90
+
+/**
+ * A store for the progress of audit log scans in the cache (Azure Table Storage, a local file or an S3 bucket).
+ * @class
+ * @classdesc Keeps the latest audit log event read for every enterprise, so that the next scan only reads newer events.
+ * @property {import('./cacheFactory').TableCache} tableClient The cache client.
+ */
+class AuditScanStore {
+  /**
+   * Creates a new instance of the AuditScanStore.
+   * @param {import('./cacheFactory').CacheConfig|string} cache The cache configuration, or a Connection String to Azure Table Storage.
+   * @returns {AuditScanStore} The new instance.
+   * @constructor
+   */
+  constructor(cache) {
+    this.tableClient = createTableClient(cache, tableName, 'Audit log scan')
+  }
+
+  /**
+   * Get the progress of the last scan of an enterprise.
+   * @param {string} ent The enterprise name.
+   * @returns {Promise<{lastEventAt: string?, scannedAt: string}|null>} The date of the latest event read and of the scan, null before the first scan.
+   */
+  async get(ent) {
+    await this.tableClient.createTable()
+    const entity = (await this.tableClient.getPartition(partitionKey)).find(
+      e => e.rowKey === ent
+    )
+    return entity
+      ? { lastEventAt: entity.lastEventAt ?? null, scannedAt: entity.scannedAt }
+      : null
+  }
+
+  /**
+   * Save the progress of a scan of an enterprise.
+   * @param {string} ent The enterprise name.
+   * @param {{lastEventAt: string?, scannedAt: string}} progress The date of the latest event read and of the scan.
+   * @returns {Promise<void>} Resolves when the progress is saved.
+   */
+  async save(ent, progress) {
+    await this.tableClient.upsertEntities([
+      {
+        partitionKey,
+        rowKey: ent,
+        lastEventAt: progress.lastEventAt,
+        scannedAt: progress.scannedAt
+      }
+    ])
+    await this.tableClient.flush()
+  }
+}
+
+/**
+ * Parse the audit log mode.
+ * @param {string|undefined} value The mode, empty for the default.
+ * @returns {AuditLogMode} The mode.
+ * @throws {Error} Throws an error if the mode is not supported.
+ */
+function parseAuditLogMode(value) {
+  if (value === undefined || value === null || value === '') {
+    return AUDIT_LOG_MODES[0]
+  }
+  if (!AUDIT_LOG_MODES.includes(value)) {
+    throw new Error(
+      `Invalid audit log mode '${value}'. Supported modes: ${AUDIT_LOG_MODES.join(', ')}`
+    )
+  }
+  return value
+}
+
+/**
+ * Parse the number of days read by the first scan.
+ * @param {string|integer|undefined} value The number of days, empty for the default.
+ * @returns {integer} The number of days.
+ * @throws {Error} Throws an error if the value is not a positive integer.
+ */
+function parseScanDays(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_SCAN_DAYS
+  }
+
+  const days = Number(value)
+  if (!Number.isInteger(days) || days < 1) {
+    throw new Error(
+      `Invalid audit log scan days '${value}'. It must be a positive integer.`
+    )
+  }
+  return days
+}
+
+module.exports = {
+  AUDIT_LOG_MODES,
+  DEFAULT_SCAN_DAYS,
+  AuditScanStore,
+  parseAuditLogMode,
+  parseScanDays
+}
@@ -0,0 +1,224 @@
+const core = require('@actions/core')
+const { DEFAULT_REFRESH_BUDGETS } = require('./cacheRefresh')
+const { TEAMS_STRATEGIES, estimatePerUserPoints } = require('./teamIndex')
+const { AUDIT_LOG_MODES, DEFAULT_SCAN_DAYS } = require('./auditScan')
+
+/* assumed average duration of a single API request */
+const REQUEST_DURATION_MS = 500
+/* maximum duration of a single GitHub Actions job */
+const JOB_LIMIT_MS = 6 * 60 * 60 * 1000
+/* default audit log rate limit, used when the API does not report it */
+const AUDIT_LOG_LIMIT = 1750
+/* assumed average number of audit log events of a user per day, read by the audit log scan */
+const SCAN_EVENTS_PER_USER_DAY = 5
+/* default audit log mode of the estimate */
+const DEFAULT_AUDIT_LOG = {
+  mode: AUDIT_LOG_MODES[0],
+  scanDays: DEFAULT_SCAN_DAYS
+}
+
+/**
+ * Estimate the number of API calls a report run would make.
+ * @param {{orgs: integer, users: integer}|Array<{orgs: integer, users: integer}>} counts The size of the enterprise (number of organizations and users consuming licenses), or of each enterprise.
+ * @param {boolean} cacheEnabled Whether a cache (Table Storage or cache file) is configured.
+ * @param {{audit: import('./cacheRefresh').RefreshBudget, user: import('./cacheRefresh').RefreshBudget}} [budgets] The refresh budgets of the caches.
+ * @param {import('./teamIndex').TeamsStrategy} [teamsStrategy] How team memberships of users are read.
+ * @param {{mode: import('./auditScan').AuditLogMode, scanDays: integer}} [auditLog] How the last activity is read from the audit log.
+ * @returns {{rest: integer, graphql: integer, auditLog: integer, auditCacheRuns: integer, userCacheRuns: integer}} The expected number of calls per API and runs needed to warm the caches.
+ */
+function estimateApiCalls(
+  counts,
+  cacheEnabled,
+  budgets = DEFAULT_REFRESH_BUDGETS,
+  teamsStrategy = TEAMS_STRATEGIES[0],
+  auditLog = DEFAULT_AUDIT_LOG
+) {
+  const auditBatch = budgets.audit.budget
+  const userBatch = budgets.user.budget
+  const enterprises = [].concat(counts)
+  const users = enterprises.reduce((acc, c) => acc + c.users, 0)
+
+  // rate limit check + for every enterprise: consumed licenses + copilot seats (at most one seat per user)
+  let rest = 1
+  // for every enterprise: organizations + teams of every organization (crawl, at least a page per organization)
+  // or getTeamsForUser pages through all organizations for every user (per-user)
+  let graphql = 0
+  for (const c of enterprises) {
+    const userPages = Math.ceil(c.users / 100)
+    const orgPages = Math.max(1, Math.ceil(c.orgs / 100))
+
+    // orgs report: a page of owners (REST) and the details (GraphQL) of every organization
+    rest += userPages * 2 + c.orgs
+    graphql +=
+      orgPages +
+      c.orgs +
+      (teamsStrategy === 'per-user'
+        ? estimatePerUserPoints(c.users, c.orgs)
+        : c.orgs)
+  }
+
+  // UserAccountProvider - every user without cache, oldest 50000 (the refresh budget) with cache, 100 profiles per query
+  graphql += Math.ceil(
+    (cacheEnabled ? Math.min(users, userBatch) : users) / 100
+  )
+
+  // LastActivityProvider - every user without cache, oldest 1750 (the refresh budget) with cache,
+  // or the scan reads pages of 100 events of every enterprise for `scanDays` (the first scan, or every run without cache)
+  const scan = auditLog.mode === 'scan'
+  const auditLogCalls = scan
+    ? enterprises.reduce(
+        (acc, c) =>
+          acc +
+          Math.max(
+            1,
+            Math.ceil(
+              (c.users * auditLog.scanDays * SCAN_EVENTS_PER_USER_DAY) / 100
+            )
+          ),
+        0
+      )
+    : cacheEnabled
+      ? Math.min(users, auditBatch)
+      : users
+
+  return {
+    rest,
+    graphql,
+    auditLog: auditLogCalls,
+    // the scan is not limited by the refresh budget, it updates every user in one run
+    auditCacheRuns: !cacheEnabled
+      ? 0
+      : scan
+        ? 1
+        : Math.ceil(users / auditBatch),
+    userCacheRuns: cacheEnabled ? Math.ceil(users / userBatch) : 0
+  }
+}
+
+/**
+ * Estimate how long it takes to make the calls given the current rate limits.
+ * @param {integer} calls The number of calls needed.
+ * @param {{limit: integer, remaining: integer, reset: integer}} rateLimit The current rate limit, `reset` is in UTC epoch seconds.
+ * @param {Date} [now] The current date.
+ * @returns {integer} The time spent waiting for the rate limit to reset, in milliseconds.
+ */
+function estimateWait(calls, rateLimit, now = new Date()) {
+  if (calls <= rateLimit.remaining) {
+    return 0
+  }
+
+  const untilReset = Math.max(0, rateLimit.reset * 1000 - now.getTime())
+  const windows = Math.ceil((calls - rateLimit.remaining) / rateLimit.limit)
+
+  // first window starts at reset, every other window takes an hour
+  return untilReset + (windows - 1) * 60 * 60 * 1000
+}
+
+/**
+ * Estimate the API budget and duration of a report run.
+ * @param {{orgs: integer, users: integer}|Array<{orgs: integer, users: integer}>} counts The size of the enterprise (number of organizations and users consuming licenses), or of each enterprise.
+ * @param {Object<string, {limit: integer, remaining: integer, reset: integer}>} rateLimits The current rate limits by resource (core, graphql, audit_log).
+ * @param {boolean} cacheEnabled Whether a cache (Table Storage or cache file) is configured.
+ * @param {Date} [now] The current date.
+ * @param {{audit: import('./cacheRefresh').RefreshBudget, user: import('./cacheRefresh').RefreshBudget}} [budgets] The refresh budgets of the caches.
+ * @param {import('./teamIndex').TeamsStrategy} [teamsStrategy] How team memberships of users are read.
+ * @param {{mode: import('./auditScan').AuditLogMode, scanDays: integer}} [auditLog] How the last activity is read from the audit log.
+ * @returns {{calls: ReturnType<estimateApiCalls>, durationMs: integer, runs: integer}} The estimate, `runs` is the number of runs needed to fully warm the caches (or to finish a run without cache).
+ */
+function estimateBudget(
+  counts,
+  rateLimits,
+  cacheEnabled,
+  now = new Date(),
+  budgets = DEFAULT_REFRESH_BUDGETS,
+  teamsStrategy = TEAMS_STRATEGIES[0],
+  auditLog = DEFAULT_AUDIT_LOG
+) {
+  const calls = estimateApiCalls(
+    counts,
+    cacheEnabled,
+    budgets,
+    teamsStrategy,
+    auditLog
+  )
+  const auditLogLimit = rateLimits.audit_log ?? {
+    limit: AUDIT_LOG_LIMIT,
+    remaining: AUDIT_LOG_LIMIT,
+    reset: Math.floor(now.getTime() / 1000)
+  }
+
+  const wait = Math.max(
+    estimateWait(calls.rest, rateLimits.core, now),
+    estimateWait(calls.graphql, rateLimits.graphql, now),
+    estimateWait(calls.auditLog, auditLogLimit, now)
+  )
+  const requests =
+    (calls.rest + calls.graphql + calls.auditLog) * REQUEST_DURATION_MS
+  const durationMs = wait + requests
+
+  const runs = cacheEnabled
+    ? Math.max(1, calls.auditCacheRuns, calls.userCacheRuns)
+    : Math.ceil(durationMs / JOB_LIMIT_MS)
+
+  return { calls, durationMs, runs }
+}
+
+/**
+ * Log the estimate and write it to the job summary.
+ * @param {string} ent The enterprise name (or names).
+ * @param {{orgs: integer, users: integer}} counts The size of the enterprise (or all enterprises).
+ * @param {Object<string, {limit: integer, remaining: integer}>} rateLimits The current rate limits by resource.
+ * @param {ReturnType<estimateBudget>} estimate The estimate.
+ * @returns {Promise<void>} Resolves when the estimate is reported.
+ */
+async function reportEstimate(ent, counts, rateLimits, estimate) {
+  const minutes = Math.ceil(estimate.durationMs / 60000)
+  const remaining = resource => rateLimits[resource]?.remaining ?? 'n/a'
+
+  core.info(
+    `Estimate for '${ent}': ${counts.orgs} orgs, ${counts.users} users.`
+  )
+  core.info(
+    `REST calls: ${estimate.calls.rest} (${remaining('core')} remaining), GraphQL calls: ${estimate.calls.graphql} (${remaining('graphql')} remaining), Audit Log calls: ${estimate.calls.auditLog} (${remaining('audit_log')} remaining).`
+  )
+  core.info(
+    `⏱️ Estimated duration: ${minutes} minutes. Runs needed: ${estimate.runs}.`
+  )
+  if (estimate.durationMs > JOB_LIMIT_MS) {
+    core.warning(
+      `Estimated duration exceeds the 6 hour job limit. Consider using a cache (Table Storage or cache file).`
+    )
+  }
+
+  try {
+    await core.summary
+      .addHeading(`GitHub users report estimate for '${ent}'`)
+      .addTable([
+        [
+          { data: 'API', header: true },
+          { data: 'Calls', header: true },
+          { data: 'Remaining', header: true }
+        ],
+        ['REST', `${estimate.calls.rest}`, `${remaining('core')}`],
+        ['GraphQL', `${estimate.calls.graphql}`, `${remaining('graphql')}`],
+        ['Audit Log', `${estimate.calls.auditLog}`, `${remaining('audit_log')}`]
+      ])
+      .addList([
+        `Organizations: ${counts.orgs}`,
+        `Licensed users: ${counts.users}`,
+        `Estimated duration: ${minutes} minutes`,
+        `Runs needed: ${estimate.runs}`
+      ])
+      .write()
+  } catch (error) {
+    core.warning(`Unable to write the job summary: ${error.message}`)
+    core.summary.emptyBuffer()
+  }
+}
+
+module.exports = {
+  estimateApiCalls,
+  estimateWait,
+  estimateBudget,
+  reportEstimate
+}
@@ -0,0 +1,89 @@
+const { StorageTableClient } = require('./storageTableclient')
+const { FileTableClient, flushAll } = require('./fileTableclient')
+const { S3TableClient, flushAll: flushAllS3 } = require('./s3Tableclient')
+const core = require('@actions/core')
+
+/**
+ * Where the caches are kept: Azure Table Storage, a local JSON file or an S3-compatible bucket.
+ * @typedef {Object} CacheConfig
+ * @property {string} [connectionString] Connection String to Azure Table Storage.
+ * @property {string} [file] Path to the local cache file.
+ * @property {import('./s3Tableclient').S3CacheConfig} [s3] The S3 bucket.
+ */
+
+/**
+ * The operations the providers and stores use. Implemented by StorageTableClient, FileTableClient and S3TableClient.
+ * @typedef {StorageTableClient|FileTableClient|S3TableClient} TableCache
+ */
+
+/**
+ * Normalize the cache configuration. A string is a Table Storage connection string.
+ * @param {CacheConfig|string|undefined} cache The cache configuration.
+ * @returns {CacheConfig} The cache configuration.
+ * @throws {Error} Throws an error if more than one backend is configured.
+ */
+function toCacheConfig(cache) {
+  const config = typeof cache === 'string' ? { connectionString: cache } : cache
+  const normalized = {
+    connectionString: config?.connectionString || undefined,
+    file: config?.file || undefined,
+    s3: config?.s3?.bucket ? config.s3 : undefined
+  }
+  if (Object.values(normalized).filter(Boolean).length > 1) {
+    throw new Error(
+      'Use only one cache: a Table Storage connection string, a cache file or an S3 bucket.'
+    )
+  }
+  return normalized
+}
+
+/**
+ * Whether a cache backend is configured.
+ * @param {CacheConfig|string|undefined} cache The cache configuration.
+ * @returns {boolean} True when there is a cache.
+ */
+function isCacheEnabled(cache) {
+  const config = toCacheConfig(cache)
+  return Boolean(config.connectionString || config.file || config.s3)
+}
+
+/**
+ * Create the client for a cache table.
+ * @param {CacheConfig|string|undefined} cache The cache configuration.
+ * @param {string} [table] The table name (default table of the client).
+ * @param {string} [name] Name of the cache used in the log.
+ * @returns {TableCache|undefined} The client, undefined when there's no cache.
+ */
+function createTableClient(cache, table, name = 'Cache') {
+  const config = toCacheConfig(cache)
+
+  if (config.connectionString) {
+    core.info(`Using Azure Table Storage for ${name}.`)
+    return new StorageTableClient(config.connectionString, table)
+  }
+  if (config.file) {
+    core.info(`Using cache file ${config.file} for ${name}.`)
+    return new FileTableClient(config.file, table)
+  }
+  if (config.s3) {
+    core.info(`Using S3 bucket ${config.s3.bucket} for ${name}.`)
+    return new S3TableClient(config.s3, table)
+  }
+  return undefined
+}
+
+/**
+ * Save the local cache files and S3 objects. Table Storage writes are not buffered.
+ * @returns {Promise<void>} Resolves when the caches are saved.
+ */
+async function flushCaches() {
+  await flushAll()
+  await flushAllS3()
+}
+
+module.exports = {
+  toCacheConfig,
+  isCacheEnabled,
+  createTableClient,
+  flushCaches
+}
@@ -0,0 +1,153 @@
+const DAY = 1000 * 60 * 60 * 24
+
+/**
+ * How much of the rate limit a cache may use per run and when its entries are refreshed.
+ * @typedef {Object} RefreshBudget
+ * @property {integer} budget The maximum number of entries refreshed per run.
+ * @property {integer} maxStaleDays Entries updated within this many days are not refreshed, 0 always refreshes the oldest entries.
+ * @property {integer} rateLimitFloor Calls stop when fewer requests than this are left, so that other automation sharing the token keeps them.
+ */
+
+/**
+ * Default refresh budgets of the Audit Cache and the User Cache.
+ * The audit budget is the hourly audit log rate limit, one request per user. User profiles are looked up
+ * 100 at a time with GraphQL, so the user budget is 500 queries, a tenth of the hourly GraphQL rate limit.
+ * @type {{audit: RefreshBudget, user: RefreshBudget}}
+ */
+const DEFAULT_REFRESH_BUDGETS = {
+  audit: { budget: 1750, maxStaleDays: 0, rateLimitFloor: 5 },
+  user: { budget: 50000, maxStaleDays: 3, rateLimitFloor: 5 }
+}
+
+/**
+ * Parse the refresh budgets of both caches.
+ * @param {Object} inputs The raw inputs, empty values use the defaults.
+ * @param {string|integer} [inputs.auditBudget] The Audit Cache entries refreshed per run.
+ * @param {string|integer} [inputs.userBudget] The User Cache entries refreshed per run.
+ * @param {string|integer} [inputs.auditMaxStaleDays] The Audit Cache staleness window in days.
+ * @param {string|integer} [inputs.userMaxStaleDays] The User Cache staleness window in days.
+ * @param {string|integer} [inputs.rateLimitFloor] The number of requests left for other automation.
+ * @returns {{audit: RefreshBudget, user: RefreshBudget}} The refresh budgets.
+ * @throws {Error} Throws an error if a budget is not a positive integer or another value is not a non-negative integer.
+ */
+function parseRefreshBudgets(inputs = {}) {
+  const floor = parseCount(
+    inputs.rateLimitFloor,
+    DEFAULT_REFRESH_BUDGETS.audit.rateLimitFloor,
+    'rate limit floor'
+  )
+
+  return {
+    audit: {
+      budget: parseCount(
+        inputs.auditBudget,
+        DEFAULT_REFRESH_BUDGETS.audit.budget,
+        'audit refresh budget',
+        1
+      ),
+      maxStaleDays: parseCount(
+        inputs.auditMaxStaleDays,
+        DEFAULT_REFRESH_BUDGETS.audit.maxStaleDays,
+        'audit max staleness days'
+      ),
+      rateLimitFloor: floor
+    },
+    user: {
+      budget: parseCount(
+        inputs.userBudget,
+        DEFAULT_REFRESH_BUDGETS.user.budget,
+        'user refresh budget',
+        1
+      ),
+      maxStaleDays: parseCount(
+        inputs.userMaxStaleDays,
+        DEFAULT_REFRESH_BUDGETS.user.maxStaleDays,
+        'user max staleness days'
+      ),
+      rateLimitFloor: floor
+    }
+  }
+}
+
+/**
+ * Parse an integer input.
+ * @param {string|integer|undefined} value The value, empty for the default.
+ * @param {integer} defaultValue The default value.
+ * @param {string} name Name of the value used in the error.
+ * @param {integer} [min] The smallest valid value, 0 or 1.
+ * @returns {integer} The value.
+ * @throws {Error} Throws an error if the value is not an integer of at least `min`.
+ */
+function parseCount(value, defaultValue, name, min = 0) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue
+  }
+
+  const count = Number(value)
+  if (!Number.isInteger(count) || count < min) {
+    throw new Error(
+      `Invalid ${name} '${value}'. It must be a ${min > 0 ? 'positive' : 'non-negative'} integer.`
+    )
+  }
+  return count
+}
+
+/**
+ * Pick the entries to refresh in this run: the oldest ones outside the staleness window, at most `budget` of them.
+ * Entries never refreshed come first.
+ * @param {Array<{lastUpdated: Date|string|null}>} users The cached users.
+ * @param {RefreshBudget} budget The refresh budget.
+ * @param {Date} [now] The current date.
+ * @returns {Array<{lastUpdated: Date|string|null}>} The entries to refresh, oldest first.
+ */
+function selectForRefresh(users, budget, now = new Date()) {
+  return users
+    .filter(u => isStale(u, budget.maxStaleDays, now))
+    .sort((a, b) => {
+      const aDate = a.lastUpdated ? new Date(a.lastUpdated) : new Date(0) // Treat null as the oldest date
+      const bDate = b.lastUpdated ? new Date(b.lastUpdated) : new Date(0) // Treat null as the oldest date
+      return aDate - bDate
+    })
+    .slice(0, budget.budget)
+}
+
+/**
+ * Whether a cached entry is outside the staleness window.
+ * @param {{lastUpdated: Date|string|null}} user The cached user.
+ * @param {integer} maxStaleDays The staleness window in days.
+ * @param {Date} [now] The current date.
+ * @returns {boolean} True when the entry was never refreshed or is older than the window.
+ */
+function isStale(user, maxStaleDays, now = new Date()) {
+  if (!user.lastUpdated) {
+    return true
+  }
+  return now - new Date(user.lastUpdated) > maxStaleDays * DAY
+}
+
+/**
+ * Describe how stale the oldest entry of a cache is.
+ * @param {Array<{lastUpdated: Date|string|null}>} users The cached users.
+ * @param {Date} [now] The current date.
+ * @returns {{oldestDays: integer?, neverRefreshed: integer}} Days since the oldest refreshed entry was updated (null when no entry was refreshed) and the number of entries never refreshed.
+ */
+function getCacheStaleness(users, now = new Date()) {
+  const updated = users
+    .filter(u => u.lastUpdated)
+    .map(u => new Date(u.lastUpdated).getTime())
+  const oldest = updated.reduce((acc, time) => Math.min(acc, time), Infinity)
+
+  return {
+    oldestDays:
+      updated.length > 0 ? Math.max(0, Math.floor((now - oldest) / DAY)) : null,
+    neverRefreshed: users.length - updated.length
+  }
+}
+
+module.exports = {
+  DEFAULT_REFRESH_BUDGETS,
+  parseRefreshBudgets,
+  selectForRefresh,
+  isStale,
+  getCacheStaleness
+}
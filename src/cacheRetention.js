@@ -0,0 +1,153 @@
+const core = require('@actions/core')
+
+const DAY = 1000 * 60 * 60 * 24
+
+/**
+ * Default number of days a departed user is kept in the caches before it's pruned.
+ * @type {integer}
+ */
+const DEFAULT_RETENTION_DAYS = 30
+
+/**
+ * Bring the cached users in line with the users consuming licenses.
+ * Several workflows can share a cache, each reporting its own enterprises or organization (the scope).
+ * Cached users remember the scopes they were seen in, a scope only tombstones and prunes its own users.
+ * - logins missing in the cache are added with empty data,
+ * - logins no longer consuming a license in any scope get a `departedAt` tombstone and are not refreshed anymore,
+ * - tombstones older than the retention period are pruned,
+ * - departed users who come back keep their data and lose the tombstone.
+ * @param {import('./cacheFactory').TableCache} tableClient The cache client.
+ * @param {Array<string>} logins The logins of all users consuming licenses.
+ * @param {string|undefined} scope The enterprises or organization of the report, without scope all cached users are tracked.
+ * @param {integer} retentionDays The number of days a departed user is kept, 0 prunes departed users right away.
+ * @param {string} name Name of the cache used in the log.
+ * @param {Date} [now] The current date.
+ * @returns {Promise<{users: Array<{partitionKey:string, rowKey:string, lastUpdated: Date, any}>, departed: Array<string>, pruned: Array<string>}>} The cached users consuming licenses, the logins marked as departed in this run and the pruned logins.
+ */
+async function syncCachedUsers(
+  tableClient,
+  logins,
+  scope,
+  retentionDays,
+  name,
+  now = new Date()
+) {
+  const current = new Set(logins)
+  const cached = await tableClient.getAll()
+  const cachedLogins = new Set(cached.map(u => u.rowKey))
+
+  // users cached before scopes were recorded belong to every scope
+  const owned = cached.filter(
+    u => !scope || !u.scopes || toScopes(u.scopes).includes(scope)
+  )
+  const returning = cached.filter(u => u.departedAt && current.has(u.rowKey))
+  const leaving = owned.filter(u => !u.departedAt && !current.has(u.rowKey))
+  // users still seen in another scope only drop this scope
+  const departed = leaving.filter(
+    u => !scope || otherScopes(u, scope).length === 0
+  )
+  const moved = leaving.filter(u => !departed.includes(u))
+  const expired = [...owned.filter(u => u.departedAt), ...departed].filter(
+    u =>
+      !current.has(u.rowKey) &&
+      now - new Date(u.departedAt || now) >= retentionDays * DAY
+  )
+
+  await tableClient.deleteEntities(expired.map(toKeys))
+
+  const missing = logins.filter(login => !cachedLogins.has(login))
+  if (missing.length > 0) {
+    await tableClient.bulkInsert(missing)
+  }
+
+  // tombstones are merged into the cached users, an empty string clears them (null is not sent to Table Storage)
+  await tableClient.upsertEntities([
+    ...departed
+      .filter(u => !expired.includes(u))
+      .map(u => ({ ...toKeys(u), departedAt: now.toISOString() })),
+    ...moved.map(u => ({
+      ...toKeys(u),
+      scopes: otherScopes(u, scope).join(' ')
+    })),
+    ...returning.map(u => ({ ...toKeys(u), departedAt: '' }))
+  ])
+
+  if (departed.length > 0 || expired.length > 0) {
+    core.info(
+      `${name}: ${departed.length} departed users marked, ${expired.length} pruned after ${retentionDays} days.`
+    )
+  }
+
+  const users = (await tableClient.getAll()).filter(
+    u => !u.departedAt && current.has(u.rowKey)
+  )
+  if (scope) {
+    await tableClient.upsertEntities(
+      users
+        .filter(u => !toScopes(u.scopes).includes(scope))
+        .map(u => ({
+          ...toKeys(u),
+          scopes: [...toScopes(u.scopes), scope].join(' ')
+        }))
+    )
+  }
+  return {
+    users,
+    departed: departed.map(u => u.rowKey),
+    pruned: expired.map(u => u.rowKey)
+  }
+}
+
+/**
+ * The keys of a cached entity.
+ * @param {{partitionKey:string, rowKey:string}} entity The entity.
+ * @returns {{partitionKey:string, rowKey:string}} The keys.
+ */
+function toKeys(entity) {
+  return { partitionKey: entity.partitionKey, rowKey: entity.rowKey }
+}
+
+/**
+ * Split the scopes of a cached user.
+ * @param {string|undefined} value The space separated scopes.
+ * @returns {Array<string>} The scopes, empty when none were recorded.
+ */
+function toScopes(value) {
+  return value ? value.split(' ') : []
+}
+
+/**
+ * The scopes of a cached user other than the given scope.
+ * @param {{scopes: string?}} entity The cached user.
+ * @param {string} scope The scope of the report.
+ * @returns {Array<string>} The other scopes.
+ */
+function otherScopes(entity, scope) {
+  return toScopes(entity.scopes).filter(s => s !== scope)
+}
+
+/**
+ * Parse the retention period of departed users.
+ * @param {string|integer|undefined} value The number of days, empty for the default.
+ * @returns {integer} The number of days.
+ * @throws {Error} Throws an error if the value is not a non-negative integer.
+ */
+function parseRetentionDays(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_RETENTION_DAYS
+  }
+
+  const days = Number(value)
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error(
+      `Invalid cache retention days '${value}'. It must be a non-negative integer.`
+    )
+  }
+  return days
+}
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  syncCachedUsers,
+  parseRetentionDays
+}
@@ -0,0 +1,183 @@
+const { createTableClient } = require('./cacheFactory')
+const core = require('@actions/core')
+
+/* table with the progress of report runs, one partition per report scope */
+const tableName = 'checkpoints'
+
+/**
+ * Number of report rows built between two checkpoints.
+ * @type {integer}
+ */
+const CHECKPOINT_EVERY = 100
+
+/**
+ * A completed report row, with the activity of the user needed by the snapshot and the trend.
+ * @typedef {Object} CheckpointRow
+ * @property {string} login The user login.
+ * @property {Object} entry The report row.
+ * @property {boolean} inactive Whether the user is inactive.
+ * @property {boolean} auditFailed Whether the audit log lookup failed.
+ * @property {{lastActivityAudit: Date?, lastActivityAuditChecked: Date?, lastActivity: Date?}} activity The activity set on the user.
+ */
+
+/**
+ * The progress of a report run for an enterprise (or organization).
+ * @typedef {Object} Checkpoint
+ * @property {string} startedAt When the run that saved the checkpoint started.
+ * @property {Array<Object>} orgs The organizations.
+ * @property {Array<Object>} users The users consuming a license.
+ * @property {Map<string, Object>} copilotSeats The copilot seats by user login.
+ * @property {Map<string, CheckpointRow>} rows The completed report rows by user login.
+ */
+
+/**
+ * A store for checkpoints of report runs in the cache (Azure Table Storage, a local file or an S3 bucket).
+ * @class
+ * @classdesc Keeps the fetched data and the completed report rows, so that a failed or cancelled run can be resumed.
+ * @property {import('./cacheFactory').TableCache} tableClient The cache client.
+ * @property {string} settings The report settings the rows are built with, as JSON.
+ */
+class CheckpointStore {
+  /**
+   * Creates a new instance of the CheckpointStore.
+   * @param {import('./cacheFactory').CacheConfig|string} cache The cache configuration, or a Connection String to Azure Table Storage.
+   * @param {Object} [settings] The report settings the rows are built with (columns, inactive days...), a checkpoint saved with other settings is not resumed.
+   * @returns {CheckpointStore} The new instance.
+   * @constructor
+   */
+  constructor(cache, settings = {}) {
+    this.tableClient = createTableClient(cache, tableName, 'Checkpoints')
+    this.settings = JSON.stringify(settings)
+  }
+
+  /**
+   * Load the checkpoint of an enterprise (or organization).
+   * @param {string} scope The enterprise or organization name.
+   * @returns {Promise<Checkpoint|null>} The checkpoint, null when there is none or it was saved with other report settings.
+   */
+  async load(scope) {
+    await this.tableClient.createTable()
+    const entities = await this.tableClient.getPartition(scope)
+    const meta = entities.find(entity => entity.rowKey === 'meta')
+    if (!meta) {
+      return null
+    }
+    // completed rows are only valid for the columns and options they were built with
+    if (meta.settings !== this.settings) {
+      core.warning(
+        `The checkpoint for '${scope}' was saved with other report settings (columns, inactive days or audit log) and is not used.`
+      )
+      return null
+    }
+
+    const byKind = kind =>
+      entities
+        .filter(entity => entity.rowKey.startsWith(`${kind}|`))
+        .map(entity => JSON.parse(entity.data))
+    const byIndex = (a, b) => a.index - b.index
+
+    return {
+      startedAt: meta.startedAt,
+      orgs: byKind('org')
+        .sort(byIndex)
+        .map(({ value }) => value),
+      users: byKind('user')
+        .sort(byIndex)
+        .map(({ value }) => value),
+      copilotSeats: new Map(
+        byKind('seat').map(({ login, value }) => [login, value])
+      ),
+      rows: new Map(byKind('row').map(row => [row.login, toRow(row)]))
+    }
+  }
+
+  /**
+   * Start a new checkpoint with the fetched data of an enterprise (or organization), replacing the previous one.
+   * @param {string} scope The enterprise or organization name.
+   * @param {{orgs: Array<Object>, users: Array<Object>, copilotSeats: Map<string, Object>}} dataset The fetched data.
+   * @param {Date} [now] When the run started.
+   * @returns {Promise<void>} Resolves when the checkpoint is saved.
+   */
+  async start(scope, dataset, now = new Date()) {
+    await this.clear(scope)
+
+    const entity = (rowKey, data) => ({
+      partitionKey: scope,
+      rowKey,
+      data: JSON.stringify(data)
+    })
+    await this.tableClient.upsertEntities([
+      ...dataset.orgs.map((org, index) =>
+        entity(`org|${org.login}`, { index, value: org })
+      ),
+      ...dataset.users.map((user, index) =>
+        entity(`user|${user.github_com_login}`, { index, value: user })
+      ),
+      ...[...dataset.copilotSeats].map(([login, seat]) =>
+        entity(`seat|${login}`, { login, value: seat })
+      ),
+      {
+        partitionKey: scope,
+        rowKey: 'meta',
+        startedAt: now.toISOString(),
+        settings: this.settings
+      }
+    ])
+    await this.tableClient.flush()
+    core.info(
+      `Saved checkpoint with ${dataset.orgs.length} orgs, ${dataset.users.length} users and ${dataset.copilotSeats.size} copilot seats for '${scope}'`
+    )
+  }
+
+  /**
+   * Add completed report rows to the checkpoint of an enterprise (or organization).
+   * @param {string} scope The enterprise or organization name.
+   * @param {Array<CheckpointRow>} rows The completed rows.
+   * @returns {Promise<void>} Resolves when the rows are saved.
+   */
+  async saveRows(scope, rows) {
+    if (rows.length === 0) {
+      return
+    }
+
+    await this.tableClient.upsertEntities(
+      rows.map(row => ({
+        partitionKey: scope,
+        rowKey: `row|${row.login}`,
+        data: JSON.stringify(row)
+      }))
+    )
+    await this.tableClient.flush()
+  }
+
+  /**
+   * Delete the checkpoint of an enterprise (or organization).
+   * @param {string} scope The enterprise or organization name.
+   * @returns {Promise<void>} Resolves when the checkpoint is deleted.
+   */
+  async clear(scope) {
+    await this.tableClient.createTable()
+    await this.tableClient.deleteEntities(
+      await this.tableClient.getPartition(scope)
+    )
+  }
+}
+
+/**
+ * Restore the dates of a row read from the checkpoint.
+ * @param {Object} row The row parsed from JSON.
+ * @returns {CheckpointRow} The row.
+ */
+function toRow(row) {
+  const toDate = value => (value ? new Date(value) : null)
+  return {
+    ...row,
+    activity: {
+      lastActivityAudit: toDate(row.activity.lastActivityAudit),
+      lastActivityAuditChecked: toDate(row.activity.lastActivityAuditChecked),
+      lastActivity: toDate(row.activity.lastActivity)
+    }
+  }
+}
+
+module.exports = { CHECKPOINT_EVERY, CheckpointStore }
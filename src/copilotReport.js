@@ -0,0 +1,177 @@
+const DAY = 1000 * 60 * 60 * 24
+
+/**
+ * Default number of days without Copilot activity after which a seat can be reclaimed.
+ * @type {integer}
+ */
+const DEFAULT_UNUSED_DAYS = 30
+
+/**
+ * Default monthly price of a Copilot seat (Copilot Business), in USD.
+ * @type {number}
+ */
+const DEFAULT_SEAT_PRICE = 19
+
+/**
+ * Columns of the reclaimable seats report, written as the header when no seat can be reclaimed.
+ * @type {Array<string>}
+ */
+const SEAT_FIELDS = [
+  'login',
+  'organization',
+  'assigning_team',
+  'created_at',
+  'last_activity_at',
+  'last_activity_editor',
+  'pending_cancellation_date',
+  'days_unused',
+  'reason'
+]
+
+/**
+ * Columns of the monthly waste report.
+ * @type {Array<string>}
+ */
+const WASTE_FIELDS = [
+  'organization',
+  'assigning_team',
+  'reclaimable_seats',
+  'monthly_waste'
+]
+
+/**
+ * Find the copilot seats that can be reclaimed: seats pending cancellation, seats never used and seats unused for `unusedDays`.
+ * Seats assigned less than `unusedDays` ago are never reported as never used.
+ * @param {Map<string, {created_at: string, last_activity_at: string?, last_activity_editor: string?, pending_cancellation_date: string?, assignee: {login: string}, assigning_team: {slug: string}?, organization: {login: string}?}>} copilotSeats The copilot seats by assignee login.
+ * @param {integer} unusedDays The number of days without activity after which a seat can be reclaimed.
+ * @param {Date} [now] The current date.
+ * @returns {Array<{login: string, organization: string?, assigning_team: string?, created_at: string, last_activity_at: string?, last_activity_editor: string?, pending_cancellation_date: string?, days_unused: integer, reason: 'pending_cancellation'|'never_used'|'unused'}>} The reclaimable seats.
+ */
+function getReclaimableSeats(copilotSeats, unusedDays, now = new Date()) {
+  const seats = []
+
+  for (const seat of copilotSeats.values()) {
+    const lastUsed = seat.last_activity_at ?? seat.created_at
+    const daysUnused = Math.max(0, Math.floor((now - new Date(lastUsed)) / DAY))
+
+    let reason = null
+    if (seat.pending_cancellation_date) {
+      reason = 'pending_cancellation'
+    } else if (daysUnused >= unusedDays) {
+      reason = seat.last_activity_at ? 'unused' : 'never_used'
+    }
+    if (!reason) {
+      continue
+    }
+
+    seats.push({
+      login: seat.assignee.login,
+      organization: seat.organization?.login ?? null,
+      assigning_team: seat.assigning_team?.slug ?? null,
+      created_at: seat.created_at,
+      last_activity_at: seat.last_activity_at ?? null,
+      last_activity_editor: seat.last_activity_editor ?? null,
+      pending_cancellation_date: seat.pending_cancellation_date ?? null,
+      days_unused: daysUnused,
+      reason
+    })
+  }
+
+  return seats
+}
+
+/**
+ * Compute the monthly waste of reclaimable seats per organization and per assigning team.
+ * Seats pending cancellation are already being reclaimed and are not counted as waste.
+ * @param {ReturnType<getReclaimableSeats>} seats The reclaimable seats.
+ * @param {number} seatPrice The monthly price of a seat.
+ * @returns {{reclaimableSeats: integer, monthlyWaste: number, rows: Array<{organization: string?, assigning_team: string?, reclaimable_seats: integer, monthly_waste: number}>}} The totals and one row per organization (`assigning_team` is null) and per assigning team.
+ */
+function getCopilotWaste(seats, seatPrice) {
+  const wasted = seats.filter(s => s.reason !== 'pending_cancellation')
+
+  const groups = new Map()
+  const add = (organization, team) => {
+    const key = `${organization}/${team ?? ''}`
+    const group = groups.get(key) ?? {
+      organization,
+      assigning_team: team,
+      reclaimable_seats: 0,
+      monthly_waste: 0
+    }
+    group.reclaimable_seats++
+    group.monthly_waste = toPrice(group.reclaimable_seats * seatPrice)
+    groups.set(key, group)
+  }
+
+  for (const seat of wasted) {
+    add(seat.organization, null)
+    if (seat.assigning_team) {
+      add(seat.organization, seat.assigning_team)
+    }
+  }
+
+  return {
+    reclaimableSeats: wasted.length,
+    monthlyWaste: toPrice(wasted.length * seatPrice),
+    rows: [...groups.values()]
+  }
+}
+
+/**
+ * Parse the number of days after which an unused seat can be reclaimed.
+ * @param {string|integer|undefined} value The number of days, empty for the default.
+ * @returns {integer} The number of days.
+ * @throws {Error} Throws an error if the value is not a positive integer.
+ */
+function parseUnusedDays(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_UNUSED_DAYS
+  }
+
+  const days = Number(value)
+  if (!Number.isInteger(days) || days <= 0) {
+    throw new Error(
+      `Invalid Copilot unused days '${value}'. It must be a positive integer.`
+    )
+  }
+  return days
+}
+
+/**
+ * Parse the monthly price of a Copilot seat.
+ * @param {string|number|undefined} value The price, empty for the default.
+ * @returns {number} The price.
+ * @throws {Error} Throws an error if the value is not a non-negative number.
+ */
+function parseSeatPrice(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_SEAT_PRICE
+  }
+
+  const price = Number(value)
+  if (!Number.isFinite(price) || price < 0) {
+    throw new Error(
+      `Invalid Copilot seat price '${value}'. It must be a non-negative number.`
+    )
+  }
+  return price
+}
+
+/**
+ * Round a price to cents.
+ * @param {number} value The price.
+ * @returns {number} The rounded price.
+ */
+function toPrice(value) {
+  return Math.round(value * 100) / 100
+}
+
+module.exports = {
+  SEAT_FIELDS,
+  WASTE_FIELDS,
+  getReclaimableSeats,
+  getCopilotWaste,
+  parseUnusedDays,
+  parseSeatPrice
+}
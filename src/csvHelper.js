@@ -2,23 +2,67 @@ const { Parser } = require('@json2csv/plainjs')
 const core = require('@actions/core')
 const fs = require('fs')
 
-function toCSV(data, type) {
+/**
+ * Flatten a report row so that it can be written to a flat file format.
+ * Arrays are joined with a comma (or the separator of their column) and dates are converted to ISO strings.
+ * @param {Object} row The report row.
+ * @param {Object<string, string>} [separators] The separators of list values by column label.
+ * @returns {Object} The flattened row.
+ */
+function flattenRow(row, separators = {}) {
+  const flat = {}
+
+  for (const [key, value] of Object.entries(row)) {
+    if (Array.isArray(value)) {
+      flat[key] = value.join(separators[key] ?? ',')
+    } else if (value instanceof Date) {
+      flat[key] = value.toISOString()
+    } else {
+      flat[key] = value
+    }
+  }
+
+  return flat
+}
+
+/**
+ * Remove the output file if it exists from the previous run.
+ * @param {string} path The path to the output file.
+ * @returns {void}
+ */
+function removeExisting(path) {
+  core.info(`Checking for existence of previous ${path} file...`)
+  if (fs.existsSync(path)) {
+    core.info(`Found file at ${path}, deleting...`)
+    fs.unlinkSync(path)
+    core.info(`Deleted file at ${path}`)
+  }
+}
+
+/**
+ * Write data as CSV. A report without rows is written with the header only (or empty without `fields`).
+ * @param {Array<Object>} data The report rows.
+ * @param {string} type The report type used in the file name.
+ * @param {Array<string>} [fields] The column headers, used when there are no rows.
+ * @param {Object<string, string>} [separators] The separators of list values by column label.
+ * @returns {string} The path to the CSV file.
+ */
+function toCSV(data, type, fields, separators) {
   const opts = {
     delimiter: ','
   }
+  // the parser fails on empty data unless it is told the fields
+  if (data.length === 0) {
+    opts.fields = fields ?? []
+  }
   const parser = new Parser(opts)
-  const csv = parser.parse(data)
+  const csv = parser.parse(data.map(row => flattenRow(row, separators)))
   const csvPath = `github_${type}_output.csv`
 
-  core.info('Checking for existence of previous CSV file...')
-  if (fs.existsSync(csvPath)) {
-    core.info(`Found file at ${csvPath}, deleting...`)
-    fs.unlinkSync(csvPath)
-    core.info(`Deleted file at ${csvPath}`)
-  }
+  removeExisting(csvPath)
 
   fs.writeFileSync(csvPath, csv)
   return csvPath
 }
 
-module.exports = { toCSV }
+module.exports = { toCSV, flattenRow, removeExisting }
@@ -0,0 +1,262 @@
+const core = require('@actions/core')
+const fs = require('fs')
+const path = require('path')
+
+const tableName = 'usersaudit'
+const partitionKey = 'audit'
+
+/* number of writes after which the cache file is saved, so that a failed run keeps most of its progress */
+const FLUSH_EVERY = 100
+
+/**
+ * Cache files opened in this run, shared by all clients using the same file.
+ * @type {Map<string, {tables: Object<string, Object<string, Object<string, Object>>>, pendingWrites: integer}>}
+ */
+const documents = new Map()
+
+/**
+ * A client with the same interface as the StorageTableClient that keeps the tables in a local JSON file.
+ * The file can be persisted between runs with `actions/cache` or an artifact.
+ * @class
+ * @classdesc A client for a table stored in a local JSON file.
+ */
+class FileTableClient {
+  /**
+   * Creates a new instance of the FileTableClient.
+   * @param {string} file Path to the cache file. It's created on the first flush when it does not exist.
+   * @param {string} [table] The table name.
+   * @returns {FileTableClient} The new instance.
+   * @constructor
+   */
+  constructor(file, table = tableName) {
+    this.file = path.resolve(file)
+    this.table = table
+  }
+
+  /**
+   * Create the table if it does not exist
+   * @returns {Promise<void>} Resolves when the table is created
+   */
+  async createTable() {
+    const tables = this.#document().tables
+    tables[this.table] = tables[this.table] ?? {}
+  }
+
+  /**
+   * Get all entities in the table
+   * @returns {Promise<Array<{partitionKey:string, rowKey:string, lastUpdated: Date, any}>} The entities in the table
+   */
+  async getAll() {
+    return Object.values(this.#partitions()).flatMap(partition =>
+      Object.values(partition).map(entity => ({ ...entity }))
+    )
+  }
+
+  /**
+   * Get all entities in a partition
+   * @param {string} partition The partition key
+   * @returns {Promise<Array<{partitionKey:string, rowKey:string, any}>>} The entities in the partition
+   */
+  async getPartition(partition) {
+    return Object.values(this.#partitions()[partition] ?? {}).map(entity => ({
+      ...entity
+    }))
+  }
+
+  /**
+   * Upsert a user entity
+   * @param {string} login The login of the user
+   * @param {string} lastActivityDate The last activity date
+   * @returns {Promise<{partitionKey:string, rowKey:string, lastActivityDate: Date, lastUpdated: Date}>} The entity that was upserted
+   */
+  async upsertUser(login, lastActivityDate) {
+    const entity = {
+      partitionKey,
+      rowKey: login,
+      lastActivityDate,
+      lastUpdated: new Date().toISOString()
+    }
+    this.#upsert(entity)
+
+    return entity
+  }
+
+  /**
+   * Upsert a user entity
+   * @param {string} login The login of the user
+   * @param {{login:string, id:number, type:string, created_at: Date, updated_at: Date, company: string, name: string}} user User object
+   * @returns {Promise<{partitionKey:string, rowKey:string, login:string, id:number, type:string, created_at: Date, updated_at: Date, company: string, name: string, lastUpdated: Date}>} The entity that was upserted
+   */
+  async upsertUserData(login, user) {
+    const entity = {
+      partitionKey,
+      rowKey: login,
+      id: user.id,
+      login: user.login,
+      type: user.type,
+      created_at: user.created_at,
+      updated_at: user.updated_at,
+      company: user.company,
+      name: user.name,
+      lastUpdated: new Date().toISOString()
+    }
+    this.#upsert(entity)
+
+    return entity
+  }
+
+  /**
+   * Get a user entity
+   * @param {string} login The login of the user
+   * @returns {Promise<{partitionKey:string, rowKey:string, lastActivityDate: Date, lastUpdated: Date}>} The entity that was retrieved
+   * @throws {Error} If the entity is not found
+   */
+  async getUser(login) {
+    const entity = this.#partitions()[partitionKey]?.[login]
+    if (!entity) {
+      throw new Error(`User ${login} not found in ${this.table}`)
+    }
+    return { ...entity }
+  }
+
+  /**
+   * Bulk insert user logins
+   * @param {Array<string>} userLogins The user logins to insert
+   * @returns {Promise<void>} Resolves when the bulk insert is complete
+   */
+  async bulkInsert(userLogins) {
+    for (const login of userLogins) {
+      this.#upsert({
+        partitionKey,
+        rowKey: login,
+        lastActivityDate: null,
+        lastUpdated: null
+      })
+    }
+  }
+
+  /**
+   * Upsert entities, properties are merged into existing entities
+   * @param {Array<{partitionKey:string, rowKey:string, any}>} entities The entities to upsert
+   * @returns {Promise<void>} Resolves when all entities are upserted
+   */
+  async upsertEntities(entities) {
+    for (const entity of entities) {
+      this.#upsert(entity)
+    }
+  }
+
+  /**
+   * Delete entities
+   * @param {Array<{partitionKey:string, rowKey:string}>} entities The entities to delete
+   * @returns {Promise<void>} Resolves when all entities are deleted
+   */
+  async deleteEntities(entities) {
+    const partitions = this.#partitions()
+    for (const entity of entities) {
+      delete partitions[entity.partitionKey]?.[entity.rowKey]
+      this.#written()
+    }
+  }
+
+  /**
+   * Save the cache file.
+   * @returns {Promise<void>} Resolves when the file is saved
+   */
+  async flush() {
+    saveDocument(this.file)
+  }
+
+  /**
+   * Load the cache file on first use.
+   * @returns {{tables: Object<string, Object<string, Object<string, Object>>>, pendingWrites: integer}} The cache document.
+   */
+  #document() {
+    if (!documents.has(this.file)) {
+      let tables = {}
+      if (fs.existsSync(this.file)) {
+        core.info(`Loading cache file ${this.file}`)
+        tables = JSON.parse(fs.readFileSync(this.file, 'utf8')).tables ?? {}
+      } else {
+        core.info(`Cache file ${this.file} does not exist. Starting empty.`)
+      }
+      documents.set(this.file, { tables, pendingWrites: 0 })
+    }
+    return documents.get(this.file)
+  }
+
+  /**
+   * Get the partitions of the table.
+   * @returns {Object<string, Object<string, Object>>} The entities by partition key and row key.
+   */
+  #partitions() {
+    const tables = this.#document().tables
+    tables[this.table] = tables[this.table] ?? {}
+    return tables[this.table]
+  }
+
+  /**
+   * Insert an entity or merge it into the existing one, like a Table Storage upsert.
+   * @param {{partitionKey:string, rowKey:string}} entity The entity.
+   * @returns {void}
+   */
+  #upsert(entity) {
+    const partitions = this.#partitions()
+    partitions[entity.partitionKey] = partitions[entity.partitionKey] ?? {}
+    partitions[entity.partitionKey][entity.rowKey] = {
+      ...partitions[entity.partitionKey][entity.rowKey],
+      ...entity
+    }
+    this.#written()
+  }
+
+  /**
+   * Count a write and save the file every `FLUSH_EVERY` writes.
+   * @returns {void}
+   */
+  #written() {
+    const document = this.#document()
+    document.pendingWrites++
+    if (document.pendingWrites >= FLUSH_EVERY) {
+      saveDocument(this.file)
+    }
+  }
+}
+
+/**
+ * Save a cache file when it has pending writes.
+ * @param {string} file The absolute path to the cache file.
+ * @returns {void}
+ */
+function saveDocument(file) {
+  const document = documents.get(file)
+  if (!document || document.pendingWrites === 0) {
+    return
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  // write to a temporary file first so that a cancelled run does not leave a broken cache
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify({ tables: document.tables }))
+  fs.renameSync(`${file}.tmp`, file)
+  document.pendingWrites = 0
+}
+
+/**
+ * Save all cache files opened in this run.
+ * @returns {Promise<void>} Resolves when all files are saved.
+ */
+async function flushAll() {
+  for (const file of documents.keys()) {
+    saveDocument(file)
+  }
+}
+
+/**
+ * Forget the cache files opened in this run, they are loaded again on next use.
+ * @returns {void}
+ */
+function reset() {
+  documents.clear()
+}
+
+module.exports = { FileTableClient, flushAll, reset }
@@ -0,0 +1,69 @@
+const { createTableClient } = require('./cacheFactory')
+
+/* table with per-run aggregates, one partition per report scope */
+const tableName = 'reporthistory'
+
+/**
+ * A store for per-run report metrics in the cache (Azure Table Storage or a local file).
+ * @class
+ * @classdesc Keeps the aggregates of every report run so that trends can be reported.
+ * @property {import('./cacheFactory').TableCache} tableClient The cache client (Table Storage or local file).
+ */
+class HistoryStore {
+  /**
+   * Creates a new instance of the HistoryStore.
+   * @param {import('./cacheFactory').CacheConfig|string} cache The cache configuration, or a Connection String to Azure Table Storage.
+   * @returns {HistoryStore} The new instance.
+   * @constructor
+   */
+  constructor(cache) {
+    this.tableClient = createTableClient(cache, tableName, 'Report history')
+  }
+
+  /**
+   * Add the metrics of a run to the history.
+   * @param {string} scope The enterprise or organization name.
+   * @param {import('./trendReport').RunMetrics} metrics The metrics of the run.
+   * @returns {Promise<void>} Resolves when the metrics are saved.
+   */
+  async append(scope, metrics) {
+    await this.tableClient.createTable()
+    await this.tableClient.upsertEntities([
+      {
+        partitionKey: scope,
+        rowKey: metrics.date,
+        totalUsers: metrics.totalUsers,
+        usersByLicenseType: JSON.stringify(metrics.usersByLicenseType),
+        copilotSeats: metrics.copilotSeats,
+        active30Days: metrics.active30Days,
+        active60Days: metrics.active60Days,
+        active90Days: metrics.active90Days,
+        usersWithout2FA: metrics.usersWithout2FA
+      }
+    ])
+  }
+
+  /**
+   * Get the metrics of all runs, oldest first.
+   * @param {string} scope The enterprise or organization name.
+   * @returns {Promise<Array<import('./trendReport').RunMetrics>>} The metrics of all runs.
+   */
+  async getAll(scope) {
+    const entities = await this.tableClient.getPartition(scope)
+
+    return entities
+      .map(entity => ({
+        date: entity.rowKey,
+        totalUsers: entity.totalUsers,
+        usersByLicenseType: JSON.parse(entity.usersByLicenseType ?? '{}'),
+        copilotSeats: entity.copilotSeats,
+        active30Days: entity.active30Days,
+        active60Days: entity.active60Days,
+        active90Days: entity.active90Days,
+        usersWithout2FA: entity.usersWithout2FA
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date))
+  }
+}
+
+module.exports = { HistoryStore }
@@ -1,35 +1,78 @@
-const { StorageTableClient } = require('./storageTableclient')
+const { createTableClient } = require('./cacheFactory')
+const { syncCachedUsers, DEFAULT_RETENTION_DAYS } = require('./cacheRetention')
+const {
+  DEFAULT_REFRESH_BUDGETS,
+  selectForRefresh,
+  getCacheStaleness
+} = require('./cacheRefresh')
+const {
+  AUDIT_LOG_MODES,
+  DEFAULT_SCAN_DAYS,
+  AuditScanStore
+} = require('./auditScan')
+const { DEFAULT_INACTIVE_DAYS } = require('./userActivity')
 const { UserManager } = require('./userManager')
 const core = require('@actions/core')
 
+const DAY = 1000 * 60 * 60 * 24
+/* audit log pages read between two saves of the scan progress */
+const SCAN_SAVE_EVERY = 10
+
 /**
  * A provider for getting the last activity date for a user.
  * @class
  * @classdesc A provider for getting the last activity date for a user.
  * @property {UserManager} manager The user manager.
- * @property {StorageTableClient} tableClient The table storage client.
+ * @property {import('./cacheFactory').TableCache} tableClient The cache client (Table Storage or local file).
  * @property {string} ent The enterprise name.
- * @property {Array<{partitionKey:string, rowKey:string, lastActivityDate: Date, lastUpdated: Date}>} users The users in the table.
- * @property {integer} rateLimitRemaining The remaining rate limit for the GitHub Enterprise Audit Log API. (default 1750)
+ * @property {Map<string, string>} enterprises The enterprise name by user login, for users from multiple enterprises.
+ * @property {Array<{partitionKey:string, rowKey:string, lastActivityDate: Date, lastUpdated: Date}>} users The users in the table, without departed users.
+ * @property {integer} retentionDays The number of days departed users are kept in the table.
+ * @property {Array<string>} pruned The departed users pruned from the table in this run.
+ * @property {import('./cacheRefresh').RefreshBudget} refreshBudget How many entries are refreshed per run and the reserved rate limit.
+ * @property {{mode: import('./auditScan').AuditLogMode, scanDays: integer, inactiveDays: integer}} auditLog How the last activity is read from the audit log, how many days the first scan reads and after how many days without activity a user is inactive.
+ * @property {AuditScanStore} [scanStore] The progress of audit log scans, only in scan mode with a cache.
+ * @property {Map<string, Date>} [scanned] The latest event by actor login read by the scan of this run, only in scan mode.
+ * @property {Set<string>} [scanFailures] The enterprises whose audit log could not be scanned in this run.
+ * @property {integer} rateLimitRemaining The remaining rate limit for the GitHub Enterprise Audit Log API in the last response, used when the rate limit governor has not seen one. (default 1750)
  */
 class LastActivityProvider {
   /**
    * Creates a new instance of the LastActivityProvider.
    * @param {UserManager} userManager The GitHub token.
-   * @param {string} tableStorageConnectionString Connection String to Azure Table Storage.
+   * @param {import('./cacheFactory').CacheConfig|string} cache The cache configuration, or a Connection String to Azure Table Storage.
    * @param {string} ent The enterprise name
+   * @param {integer} [retentionDays] The number of days departed users are kept in the table.
+   * @param {import('./cacheRefresh').RefreshBudget} [refreshBudget] How many entries are refreshed per run and the reserved rate limit.
+   * @param {{mode: import('./auditScan').AuditLogMode, scanDays: integer, inactiveDays?: integer}} [auditLog] How the last activity is read from the audit log (default a search per user).
    * @returns {LastActivityProvider} The new instance.
    * @constructor
    */
-  constructor(userManager, tableStorageConnectionString, ent) {
+  constructor(
+    userManager,
+    cache,
+    ent,
+    retentionDays = DEFAULT_RETENTION_DAYS,
+    refreshBudget = DEFAULT_REFRESH_BUDGETS.audit,
+    auditLog = { mode: AUDIT_LOG_MODES[0], scanDays: DEFAULT_SCAN_DAYS }
+  ) {
     this.manager = userManager
     this.ent = ent
+    this.retentionDays = retentionDays
+    this.refreshBudget = refreshBudget
+    this.auditLog = {
+      ...auditLog,
+      inactiveDays: auditLog.inactiveDays ?? DEFAULT_INACTIVE_DAYS
+    }
+    this.pruned = []
+    this.enterprises = new Map()
     this.rateLimitRemaining = 1750 // assume we have 1750 calls left
 
-    if (tableStorageConnectionString) {
-      core.info(`Using Azure Table Storage for Audit Cache.`)
-      this.tableClient = new StorageTableClient(tableStorageConnectionString)
-    }
+    this.tableClient = createTableClient(cache, undefined, 'Audit Cache')
+    this.scanStore =
+      this.tableClient && auditLog.mode === 'scan'
+        ? new AuditScanStore(cache)
+        : undefined
   }
 
   /**
@@ -52,52 +95,59 @@ class LastActivityProvider {
    * enterprise_server_emails : Array<string>,
    * visual_studio_license_status: string?,
    * visual_studio_subscription_email: string?,
-   * total_user_accounts : integer
+   * total_user_accounts : integer,
+   * enterprise: string?
    * }>} allUsers all users in the enterprise.
+   * @param {string} [scope] The enterprises or organization of the report, departed users are tracked within it.
    * @returns {Promise<void>} Resolves when the cache is initialized.
    */
-  async initialize(allUsers) {
+  async initialize(allUsers, scope) {
+    // audit log is per enterprise, remember which enterprise to ask for each user
+    for (const user of allUsers) {
+      if (user.enterprise) {
+        this.enterprises.set(user.github_com_login, user.enterprise)
+      }
+    }
+
     if (this.tableClient) {
       await this.tableClient.createTable()
-      this.users = await this.tableClient.getAll()
-
-      // find which users are missing in the cache and add them with empty last activity date
-      const missingUsers = allUsers
-        .filter(
-          user => !this.users.some(u => u.rowKey === user.github_com_login)
-        )
-        .map(user => user.github_com_login)
-
-      if (missingUsers.length > 0) {
-        await this.tableClient.bulkInsert(missingUsers)
-      }
 
-      this.users = await this.tableClient.getAll()
+      // add missing users with empty data, tombstone and prune departed users
+      const { users, pruned } = await syncCachedUsers(
+        this.tableClient,
+        allUsers.map(user => user.github_com_login),
+        scope,
+        this.retentionDays,
+        'Audit Cache'
+      )
+      this.users = users
+      this.pruned = pruned
     } else {
-      core.warning(`⚠️ No Azure Table Storage connection string provided.`)
+      core.warning(
+        `⚠️ No Azure Table Storage connection string or cache file provided.`
+      )
     }
   }
 
   /**
    * Refresh the cache for the users.
-   * It checks which 1750 users have the oldest `lastUpdated` date and refreshes their cache.
+   * It checks which users (1750 by default) have the oldest `lastUpdated` date outside the staleness window and refreshes their cache.
+   * In scan mode the audit log of every enterprise is read since the last scan instead, and all users are updated.
    * @returns {Promise<void>} Resolves when the cache is refreshed.
    * @async
    * @throws {Error} Throws an error when the rate limit is low.
    */
   async refreshUserData() {
+    if (this.auditLog.mode === 'scan') {
+      await this.#scanAuditLog()
+      return
+    }
+
     if (this.tableClient) {
-      // get top 1750 users with oldest `lastUpdated` date
       /**
        * @type {Array<{partitionKey:string, rowKey:string, lastActivityDate: Date, lastUpdated: Date}>}
        */
-      const usersToCheck = this.users
-        .sort((a, b) => {
-          const aDate = a.lastUpdated ? new Date(a.lastUpdated) : new Date(0) // Treat null as the oldest date
-          const bDate = b.lastUpdated ? new Date(b.lastUpdated) : new Date(0) // Treat null as the oldest date
-          return aDate - bDate
-        })
-        .slice(0, 1750)
+      const usersToCheck = selectForRefresh(this.users, this.refreshBudget)
 
       let index = 0
 
@@ -105,7 +155,7 @@ class LastActivityProvider {
         try {
           const lastActivityInfo = await this.manager.getLastActivityForUser(
             user.rowKey,
-            this.ent
+            this.enterprises.get(user.rowKey) ?? this.ent
           )
 
           const updated = await this.tableClient.upsertUser(
@@ -124,7 +174,10 @@ class LastActivityProvider {
             `${percentComplete}%. Refreshed Audit Cache for ${user.rowKey}.`
           )
 
-          if (lastActivityInfo.rateLimitRemaining < 5) {
+          if (
+            lastActivityInfo.rateLimitRemaining <
+            this.refreshBudget.rateLimitFloor
+          ) {
             core.warning(`Rate limit is low. Stopping Audit Cache refresh.`)
             break
           }
@@ -137,27 +190,201 @@ class LastActivityProvider {
     }
   }
 
+  /**
+   * Whether the Audit Log API rate limit reached the reserved floor. The rate limit governor of the user manager
+   * knows about every request made with the token, the last response seen by this provider is the fallback.
+   * @returns {boolean} True when no more calls should be made.
+   */
+  #isRateLimitLow() {
+    const remaining =
+      this.manager.governor?.remaining('audit_log') ?? this.rateLimitRemaining
+    return remaining < this.refreshBudget.rateLimitFloor
+  }
+
+  /**
+   * Read the audit log of every enterprise since its last scan (or `scanDays` back) and keep the latest event of every user.
+   * With a cache, the users found and the latest event read are saved every 10 pages, so that a scan that fails continues from there.
+   * Users of enterprises whose audit log can't be read keep their cached data (or fail without cache).
+   * @param {Date} [now] The current date.
+   * @returns {Promise<void>} Resolves when the audit logs are read.
+   */
+  async #scanAuditLog(now = new Date()) {
+    const enterprises = [...new Set([this.ent, ...this.enterprises.values()])]
+    this.scanned = new Map()
+    this.scannedAt = now
+    this.scanFailures = new Set()
+
+    for (const ent of enterprises) {
+      const progress = this.scanStore ? await this.scanStore.get(ent) : null
+      const since = progress?.lastEventAt
+        ? new Date(progress.lastEventAt)
+        : new Date(now.getTime() - this.auditLog.scanDays * DAY)
+
+      // users found since the last save and the latest event read
+      const found = new Set()
+      let latest = null
+      let pages = 0
+      const saveProgress = async () => {
+        await this.#saveScanned(found)
+        found.clear()
+        await this.scanStore?.save(ent, {
+          lastEventAt: (latest ?? since).toISOString(),
+          scannedAt: now.toISOString()
+        })
+      }
+
+      try {
+        const { lastActivity, latestEvent } = await this.manager.scanAuditLog(
+          ent,
+          since,
+          async (activity, latestPageEvent) => {
+            this.#mergeScanned(activity, found)
+            latest = latestPageEvent
+            if (++pages % SCAN_SAVE_EVERY === 0) {
+              await saveProgress()
+            }
+          }
+        )
+        this.#mergeScanned(lastActivity)
+        await this.scanStore?.save(ent, {
+          lastEventAt: (latestEvent ?? since).toISOString(),
+          scannedAt: now.toISOString()
+        })
+      } catch (error) {
+        core.warning(
+          `Unable to scan the audit log of '${ent}': ${error.message}`
+        )
+        this.scanFailures.add(ent)
+        // keep the pages read before the failure for the next run
+        if (pages > 0) {
+          await saveProgress()
+        }
+      }
+    }
+
+    if (!this.tableClient) {
+      return
+    }
+
+    // users found by the scan were checked, the others only when the scan covers the inactive days,
+    // otherwise a user active before the window would be reported inactive
+    const coversInactiveDays =
+      this.auditLog.scanDays >= this.auditLog.inactiveDays
+    const updated = []
+    for (const user of this.users) {
+      if (
+        this.scanFailures.has(this.enterprises.get(user.rowKey) ?? this.ent)
+      ) {
+        continue
+      }
+      const scanned = this.scanned.get(user.rowKey)
+      if (!scanned && !coversInactiveDays) {
+        continue
+      }
+      const cached = user.lastActivityDate
+        ? new Date(user.lastActivityDate)
+        : null
+      user.lastActivityDate = scanned && !(cached >= scanned) ? scanned : cached
+      user.lastUpdated = now.toISOString()
+      updated.push(toEntity(user))
+    }
+    await this.tableClient.upsertEntities(updated)
+    core.info(
+      `Audit Cache updated for ${updated.length} users from the audit log scan, ${this.scanned.size} active users found.`
+    )
+  }
+
+  /**
+   * Keep the latest event of every user read by the scan.
+   * @param {Map<string, Date>} activity The latest event by actor login.
+   * @param {Set<string>} [found] Collects the logins of the actors.
+   * @returns {void}
+   */
+  #mergeScanned(activity, found) {
+    for (const [login, date] of activity) {
+      if (!(this.scanned.get(login) >= date)) {
+        this.scanned.set(login, date)
+      }
+      found?.add(login)
+    }
+  }
+
+  /**
+   * Save the latest event of cached users found by a scan that is not done yet. They are not marked as checked,
+   * the scan sets `lastUpdated` when it is done.
+   * @param {Set<string>} logins The logins found since the last save.
+   * @returns {Promise<void>} Resolves when the users are saved.
+   */
+  async #saveScanned(logins) {
+    if (!this.tableClient) {
+      return
+    }
+
+    const users = new Map(this.users.map(user => [user.rowKey, user]))
+    const updated = []
+    for (const login of logins) {
+      const user = users.get(login)
+      const scanned = this.scanned.get(login)
+      if (
+        !user ||
+        (user.lastActivityDate && new Date(user.lastActivityDate) >= scanned)
+      ) {
+        continue
+      }
+      user.lastActivityDate = scanned
+      updated.push(toEntity(user))
+    }
+    await this.tableClient.upsertEntities(updated)
+    await this.tableClient.flush()
+  }
+
+  /**
+   * How stale the oldest entry of the cache is.
+   * @param {Date} [now] The current date.
+   * @returns {{oldestDays: integer?, neverRefreshed: integer}|null} The staleness, null without cache.
+   */
+  getStaleness(now = new Date()) {
+    return this.users ? getCacheStaleness(this.users, now) : null
+  }
+
   /**
    * Get the last activity date for a user either by API call or from the cache when table storage is available.
    * @param {string} github_com_login The GitHub login for the user.
-   * @returns {Promise<{lastActivityDate: Date?, lastChecked: Date?, rateLimitRemaining: integer}>} The last activity date.
+   * @returns {Promise<{lastActivityDate: Date?, lastChecked: Date?, rateLimitRemaining: integer, failed: boolean}>} The last activity date. `failed` is set when the audit log lookup was not possible.
    */
   async getLastActivityDateForUser(github_com_login) {
+    if (!this.tableClient && this.scanned) {
+      // without cache, the scan of this run is all there is, users not found were only checked when it covers the inactive days
+      const lastActivityDate = this.scanned.get(github_com_login) ?? null
+      return {
+        lastActivityDate,
+        lastChecked:
+          lastActivityDate ||
+          this.auditLog.scanDays >= this.auditLog.inactiveDays
+            ? this.scannedAt
+            : null,
+        failed: this.scanFailures.has(
+          this.enterprises.get(github_com_login) ?? this.ent
+        )
+      }
+    }
+
     if (!this.tableClient) {
       // when there's no table storage, just call the API
       try {
-        if (this.rateLimitRemaining < 5) {
+        if (this.#isRateLimitLow()) {
           core.warning(`Rate limit is low. Cancelling calls to Audit Log API.`)
           return {
             lastActivityDate: null,
             lastChecked: null,
-            rateLimitRemaining: this.rateLimitRemaining
+            rateLimitRemaining: this.rateLimitRemaining,
+            failed: true
           }
         }
 
         const lastDateFromAuditCall = await this.manager.getLastActivityForUser(
           github_com_login,
-          this.ent,
+          this.enterprises.get(github_com_login) ?? this.ent,
           false // do not sleep on rate limit hit
         )
         // update the rate limit remaining
@@ -166,7 +393,8 @@ class LastActivityProvider {
         return {
           lastActivityDate: lastDateFromAuditCall.lastActivityDate,
           lastChecked: new Date(),
-          rateLimitRemaining: lastDateFromAuditCall.rateLimitRemaining
+          rateLimitRemaining: lastDateFromAuditCall.rateLimitRemaining,
+          failed: false
         }
       } catch (error) {
         core.error(
@@ -175,7 +403,8 @@ class LastActivityProvider {
         return {
           lastActivityDate: null,
           lastChecked: null,
-          rateLimitRemaining: this.rateLimitRemaining
+          rateLimitRemaining: this.rateLimitRemaining,
+          failed: true
         }
       }
     }
@@ -186,13 +415,28 @@ class LastActivityProvider {
     if (user) {
       return {
         lastActivityDate: user.lastActivityDate,
-        lastChecked: user.lastUpdated
+        lastChecked: user.lastUpdated,
+        failed: false
       }
     }
 
     // if the user is not in the cache log a warning
     core.warning(`User ${github_com_login} not found in the Audit Cache.`)
-    return { lastActivityDate: null, lastChecked: null }
+    return { lastActivityDate: null, lastChecked: null, failed: true }
+  }
+}
+
+/**
+ * The entity of a cached user.
+ * @param {{partitionKey:string, rowKey:string, lastActivityDate: Date, lastUpdated: Date}} user The cached user.
+ * @returns {{partitionKey:string, rowKey:string, lastActivityDate: Date, lastUpdated: Date}} The entity to upsert.
+ */
+function toEntity(user) {
+  return {
+    partitionKey: user.partitionKey,
+    rowKey: user.rowKey,
+    lastActivityDate: user.lastActivityDate,
+    lastUpdated: user.lastUpdated
   }
 }
 
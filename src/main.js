@@ -1,26 +1,156 @@
 const core = require('@actions/core')
 const { ReportBuilder } = require('./reportBuilder')
+const { parseOutputFormats } = require('./reportWriter')
+
+/**
+ * Get a list input. Values can be separated by commas or new lines.
+ * @param {string} name The name of the input.
+ * @returns {Array<string>} The non-empty values.
+ */
+function getListInput(name) {
+  return core
+    .getInput(name, { required: false })
+    .split(/[,\n]/)
+    .map(value => value.trim())
+    .filter(value => value)
+}
+
 /**
  * The main function for the action.
  * @returns {Promise<void>} Resolves when the action is complete.
  */
 async function run() {
   try {
-    const ent = core.getInput('github-enterprise', { required: true })
+    const ent = getListInput('github-enterprise')
+    const org = core.getInput('github-org', { required: false })
     const token = core.getInput('github-pat', { required: true })
     const tableStorageConnectionString = core.getInput(
       'table-storage-connection-string',
       { required: false }
     )
+    const mode = core.getInput('mode', { required: false }) || 'report'
+    const outputFormats = parseOutputFormats(getListInput('output-formats'))
+
+    if (ent.length === 0 && !org) {
+      throw new Error(
+        'Input required and not supplied: github-enterprise or github-org'
+      )
+    }
+    if (ent.length > 0 && org) {
+      throw new Error(
+        'Set either github-enterprise or github-org, not both: the report is built for enterprises or for a single organization.'
+      )
+    }
+    if (!['report', 'estimate'].includes(mode)) {
+      throw new Error(
+        `Invalid mode '${mode}'. Supported modes: report, estimate`
+      )
+    }
 
-    const path = await new ReportBuilder(
+    const builder = new ReportBuilder(
       token,
       tableStorageConnectionString,
-      ent
-    ).buildReport()
+      ent,
+      {
+        org,
+        layout: core.getInput('report-layout', { required: false }) || 'merged',
+        outputFormats,
+        columns: getListInput('columns'),
+        apiUrl: core.getInput('api-url', { required: false }),
+        graphqlUrl: core.getInput('graphql-url', { required: false }),
+        inactiveDays: core.getInput('inactive-days', { required: false }),
+        copilotUnusedDays: core.getInput('copilot-unused-days', {
+          required: false
+        }),
+        copilotSeatPrice: core.getInput('copilot-seat-price', {
+          required: false
+        }),
+        previousReports: getListInput('previous-report'),
+        tableStorageSnapshot:
+          core.getInput('table-storage-snapshot', { required: false }) ===
+          'true',
+        tableStorageHistory:
+          core.getInput('table-storage-history', { required: false }) ===
+          'true',
+        checkpoint: {
+          enabled: core.getInput('checkpoint', { required: false }) === 'true',
+          file: core.getInput('checkpoint-file', { required: false }),
+          resume: core.getInput('resume', { required: false }) === 'true'
+        },
+        cacheFile: core.getInput('cache-file', { required: false }),
+        cacheRetentionDays: core.getInput('cache-retention-days', {
+          required: false
+        }),
+        refresh: {
+          auditBudget: core.getInput('audit-refresh-budget', {
+            required: false
+          }),
+          userBudget: core.getInput('user-refresh-budget', { required: false }),
+          auditMaxStaleDays: core.getInput('audit-max-staleness-days', {
+            required: false
+          }),
+          userMaxStaleDays: core.getInput('user-max-staleness-days', {
+            required: false
+          }),
+          rateLimitFloor: core.getInput('rate-limit-floor', { required: false })
+        },
+        concurrency: core.getInput('concurrency', { required: false }),
+        teamsStrategy: core.getInput('teams-strategy', { required: false }),
+        auditLog: {
+          mode: core.getInput('audit-log-mode', { required: false }),
+          scanDays: core.getInput('audit-log-scan-days', { required: false })
+        },
+        retry: {
+          retries: core.getInput('max-retries', { required: false }),
+          rateLimitRetries: core.getInput('max-rate-limit-retries', {
+            required: false
+          })
+        },
+        s3: {
+          bucket: core.getInput('s3-bucket', { required: false }),
+          prefix: core.getInput('s3-prefix', { required: false }),
+          region: core.getInput('s3-region', { required: false }),
+          endpoint: core.getInput('s3-endpoint', { required: false })
+        }
+      }
+    )
+
+    if (mode === 'estimate') {
+      const estimate = await builder.estimate()
+      core.setOutput(
+        'estimated-duration-minutes',
+        Math.ceil(estimate.durationMs / 60000)
+      )
+      core.setOutput('estimated-runs', estimate.runs)
+      return
+    }
+
+    const result = await builder.buildReport()
 
     // Set outputs for other workflow steps to use
-    core.setOutput('file', path)
+    core.setOutput('file', result.file)
+    for (const [format, path] of Object.entries(result.files)) {
+      core.setOutput(`${format}-file`, path)
+    }
+    core.setOutput('orgs-file', result.orgsFile)
+    core.setOutput('teams-file', result.teamsFile)
+    core.setOutput('inactive-file', result.inactiveFile)
+    core.setOutput('inactive-count', result.inactiveCount)
+    core.setOutput('copilot-file', result.copilotFile)
+    core.setOutput('copilot-waste-file', result.copilotWasteFile)
+    core.setOutput('copilot-reclaimable-seats', result.copilotReclaimableSeats)
+    core.setOutput('copilot-monthly-waste', result.copilotMonthlyWaste)
+    core.setOutput('snapshot-file', result.snapshotFile)
+    core.setOutput('pruned-users', result.prunedUsers)
+    if (result.trendFile) {
+      core.setOutput('trend-file', result.trendFile)
+      core.setOutput('trend-chart', result.trendChart)
+    }
+    if (result.changesFile) {
+      core.setOutput('changes-file', result.changesFile)
+      core.setOutput('changes-count', result.changesCount)
+    }
+    core.setOutput('enterprise-files', JSON.stringify(result.enterprises))
   } catch (error) {
     core.error(error)
     // Fail the workflow run if an error occurs
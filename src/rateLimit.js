@@ -1,98 +1,275 @@
 const core = require('@actions/core')
-const github = require('@actions/github')
 
 /**
- * Calls the GitHub API.
- * @param {string} token - The GitHub API token.
- * @param {number} callsNeeded - The number of API calls needed.
- * @returns {Promise<void>}
+ * The rate limit of a single resource (core, graphql, audit_log...), as reported by the `x-ratelimit-*` headers.
+ * @typedef {Object} RateLimitBucket
+ * @property {integer} limit The number of requests (GraphQL: points) per window.
+ * @property {integer} remaining The requests (points) left in the current window.
+ * @property {integer} reset When the window resets, in UTC epoch seconds.
+ * @property {integer} cost The cost of the last request, GraphQL queries cost more than one point.
  */
-async function callGitHubAPI(token, callsNeeded) {
-  try {
-    const octokit = github.getOctokit(token)
 
-    // ignore eslint warning as we need to call the API in a loop
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      // make a dummy request to get the rate limit
-      const remaining = await getRateLimit(token)
+/**
+ * Governors by Octokit instance, so that code holding only the Octokit instance can use its governor.
+ * @type {WeakMap<Object, RateLimitGovernor>}
+ */
+const governors = new WeakMap()
+
+/**
+ * Keeps track of the rate limits of all resources from the headers of every response and waits for the reset when a resource is used up.
+ * It never makes a request just to read the rate limit.
+ * @class
+ * @classdesc A rate limit governor shared by everything that uses the same token.
+ */
+class RateLimitGovernor {
+  /**
+   * Creates a new instance of the RateLimitGovernor.
+   * @param {Object} [options] The governor options.
+   * @param {integer} [options.floor] The number of requests left for other automation sharing the token, waiting requests wait until they can stay above it.
+   * @param {function(integer): Promise<void>} [options.sleep] Waits for the given number of milliseconds.
+   * @param {function(): Date} [options.now] The current date.
+   * @returns {RateLimitGovernor} The new instance.
+   * @constructor
+   */
+  constructor(options = {}) {
+    this.floor = options.floor ?? 0
+    this.sleep =
+      options.sleep ?? (ms => new Promise(resolve => setTimeout(resolve, ms)))
+    this.now = options.now ?? (() => new Date())
+    /**
+     * @type {Map<string, RateLimitBucket>}
+     */
+    this.buckets = new Map()
+    /**
+     * Requests sent but not answered yet by resource, they are not in the last `remaining` yet.
+     * @type {Map<string, integer>}
+     */
+    this.inFlight = new Map()
+    /**
+     * Requests (GraphQL: points) spent by resource, from the responses seen.
+     * @type {Map<string, integer>}
+     */
+    this.spending = new Map()
+    /**
+     * The resource of every request, resolved before other hooks rewrite the url (e.g. a custom GraphQL URL).
+     * @type {WeakMap<Object, string>}
+     */
+    this.requestResources = new WeakMap()
+  }
 
-      const isEnough = await waitIfNotEnoughCalls(remaining, callsNeeded)
+  /**
+   * Track every request of an Octokit instance. Requests to a used up resource wait for its reset.
+   * Requests made at the same time count against the rate limit as soon as they are sent.
+   * @param {import('@octokit/core').Octokit} octokit The Octokit instance.
+   * @returns {void}
+   */
+  attach(octokit) {
+    governors.set(octokit, this)
 
-      if (isEnough) {
-        break
+    octokit.hook.before('request', async options => {
+      // retried attempts keep the resource of the first attempt
+      if (!this.requestResources.has(options)) {
+        this.requestResources.set(options, resourceOf(options.url))
       }
+      await this.acquire(this.requestResources.get(options))
+    })
+    octokit.hook.after('request', (response, options) => {
+      const resource = this.requestResources.get(options)
+      this.#release(resource)
+      this.update(response.headers, resource)
+    })
+    octokit.hook.error('request', (error, options) => {
+      const resource = this.requestResources.get(options)
+      this.#release(resource)
+      if (error.response?.headers) {
+        this.update(error.response.headers, resource)
+      }
+      throw error
+    })
+  }
+
+  /**
+   * Record the rate limit from response headers.
+   * @param {Object<string, string>} headers The response headers.
+   * @param {string} [resource] The resource when the headers don't name it.
+   * @returns {void}
+   */
+  update(headers, resource = 'core') {
+    const remaining = parseInt(headers?.['x-ratelimit-remaining'], 10)
+    if (Number.isNaN(remaining)) {
+      return
     }
-  } catch (error) {
-    core.error(`Error calling GitHub API: ${error}`)
-    core.error(error)
+
+    const name = headers['x-ratelimit-resource'] ?? resource
+    const reset = parseInt(headers['x-ratelimit-reset'], 10)
+    const previous = this.buckets.get(name)
+    // in the same window the drop in remaining points is the cost of the request
+    const cost =
+      previous && previous.reset === reset && previous.remaining > remaining
+        ? previous.remaining - remaining
+        : (previous?.cost ?? 1)
+
+    this.buckets.set(name, {
+      limit: parseInt(headers['x-ratelimit-limit'], 10) || previous?.limit,
+      remaining,
+      reset,
+      cost
+    })
+    this.spending.set(name, (this.spending.get(name) ?? 0) + cost)
+  }
+
+  /**
+   * Record the rate limits of all resources, e.g. from `GET /rate_limit` (which is free).
+   * @param {Object<string, {limit: integer, remaining: integer, reset: integer}>} resources The rate limits by resource.
+   * @returns {void}
+   */
+  seed(resources) {
+    for (const [name, limits] of Object.entries(resources ?? {})) {
+      this.buckets.set(name, {
+        limit: limits.limit,
+        remaining: limits.remaining,
+        reset: limits.reset,
+        cost: this.buckets.get(name)?.cost ?? 1
+      })
+    }
+  }
+
+  /**
+   * The requests (GraphQL: points) left for a resource.
+   * @param {string} resource The resource (core, graphql, audit_log...).
+   * @returns {integer|undefined} The remaining requests, undefined when no response for the resource was seen yet.
+   */
+  remaining(resource) {
+    return this.buckets.get(resource)?.remaining
+  }
+
+  /**
+   * The requests (GraphQL: points) spent on a resource since the governor was created.
+   * Compare two readings to get the cost of the requests made in between.
+   * @param {string} resource The resource (core, graphql, audit_log...).
+   * @returns {integer} The spent requests, 0 when no response for the resource was seen yet.
+   */
+  spent(resource) {
+    return this.spending.get(resource) ?? 0
+  }
+
+  /**
+   * Wait until a single request to the resource can be made and count it as in flight until `#release`.
+   * @param {string} resource The resource.
+   * @returns {Promise<void>} Resolves when the request can be made.
+   */
+  async acquire(resource) {
+    await this.#waitFor(resource, 1, 0, true)
+  }
+
+  /**
+   * A request to the resource was answered.
+   * @param {string} resource The resource.
+   * @returns {void}
+   */
+  #release(resource) {
+    this.inFlight.set(
+      resource,
+      Math.max(0, (this.inFlight.get(resource) ?? 1) - 1)
+    )
+  }
+
+  /**
+   * Wait until the resource has enough requests left for the calls and the reserved floor.
+   * GraphQL calls are multiplied by the cost of the last query.
+   * @param {string} resource The resource.
+   * @param {integer} calls The number of calls needed.
+   * @returns {Promise<void>} Resolves when there are enough requests left, or right away when the rate limit is not known yet.
+   */
+  async reserve(resource, calls) {
+    await this.#waitFor(resource, calls, this.floor)
+  }
+
+  /**
+   * Wait for the reset of the resource when it does not have enough requests left.
+   * @param {string} resource The resource.
+   * @param {integer} calls The number of calls needed.
+   * @param {integer} floor The requests that must be left after the calls.
+   * @param {boolean} [claim] Count a request as in flight, in the same tick as the check so that concurrent requests can't all pass it.
+   * @returns {Promise<void>} Resolves when there are enough requests left.
+   */
+  async #waitFor(resource, calls, floor, claim = false) {
+    const bucket = this.buckets.get(resource)
+    if (claim) {
+      this.inFlight.set(resource, (this.inFlight.get(resource) ?? 0) + 1)
+    }
+    if (!bucket) {
+      return
+    }
+
+    // a window never has more than its limit
+    const needed = Math.min(
+      calls * bucket.cost + floor,
+      bucket.limit ?? Infinity
+    )
+    const waitMs = bucket.reset * 1000 - this.now().getTime()
+    // the requests in flight of other callers, a claimed request is counted in `needed`
+    const pending = (this.inFlight.get(resource) ?? 0) - (claim ? 1 : 0)
+    const available = bucket.remaining - pending * bucket.cost
+    if (available >= needed || !(waitMs > 0)) {
+      return
+    }
+
+    core.info(
+      `⏳ ${resource} rate limit: ${available} of ${needed} needed left. Waiting ${Math.ceil(waitMs / 1000)} seconds for the reset...`
+    )
+    // one more second, the reset time is rounded down
+    await this.sleep(waitMs + 1000)
+    bucket.remaining = bucket.limit ?? bucket.remaining
   }
 }
 
 /**
- * Waits if the remaining API calls are not enough.
- * Parses the rate limit from the response headers and waits for 60 seconds if the remaining calls are less than needed.
- * @param {number} remaining - The remaining GitHub API calls.
- * @param {number} callsNeeded - The number of API calls needed.
- * @returns {Promise<boolean>} - Returns a promise that resolves to `true` if there are enough remaining calls, otherwise `false`.
+ * The rate limit resource a request counts against.
+ * @param {string} url The request URL.
+ * @returns {string} The resource (core, graphql, audit_log).
  */
-async function waitIfNotEnoughCalls(remaining, callsNeeded) {
-  if (remaining < callsNeeded) {
-    core.info('Rate limit approaching, waiting for 60 seconds...')
-    await new Promise(resolve => setTimeout(resolve, 60000))
-    return false
-  } else {
-    core.info(
-      `💥 Rate limit checked. We have ${remaining} remaining, continuing...`
-    )
-    return true
+function resourceOf(url) {
+  if (url?.endsWith('/graphql')) {
+    return 'graphql'
   }
+  if (url?.includes('/audit-log')) {
+    return 'audit_log'
+  }
+  return 'core'
 }
 
 /**
- * This function will call the GitHub API until the rate limit is below the threshold.
- * It will wait for 60 seconds before checking the rate limit again.
+ * Wait until the resource has enough requests left for the calls made with the Octokit instance.
+ * Call it after the first page of a paginated request, with the number of pages left.
+ * The resource is named by the caller, requests made at the same time may count against other resources.
  * @param {number} callsNeeded - The number of API calls needed.
- * @param {string} token - The GitHub API token.
- * @param {Object} [initialHeaders] - Optional initial headers for the API call.
+ * @param {import('@octokit/core').Octokit} octokit - The configured Octokit instance.
+ * @param {string} resource - The resource the calls count against (core, graphql, audit_log).
+ * @param {Object} [initialHeaders] - Optional headers of the last response, used when the Octokit instance is not tracked.
  * @returns {Promise<void>}
  */
 async function hold_until_rate_limit_success(
   callsNeeded,
-  token,
+  octokit,
+  resource,
   initialHeaders
 ) {
-  try {
-    if (initialHeaders) {
-      const isEnough = await waitIfNotEnoughCalls(initialHeaders, callsNeeded)
-
-      if (isEnough) {
-        return
-      }
-    }
-
-    await callGitHubAPI(token, callsNeeded)
-  } catch (error) {
-    core.error(`Error calling GitHub API: ${error}`)
-    core.error(error)
+  let governor = governors.get(octokit)
+  if (!governor) {
+    governor = new RateLimitGovernor()
+    governor.update(initialHeaders, resource)
   }
-}
 
-async function getRateLimit(token) {
   try {
-    const octokit = github.getOctokit(token)
-
-    // make a dummy request to get the rate limit
-    const response = await octokit.request('GET /users/octocat')
-    // parse the rate limit from the response headers
-    const remaining = parseInt(response.headers['x-ratelimit-remaining'], 10)
-
-    return remaining
+    await governor.reserve(resource, callsNeeded)
   } catch (error) {
-    core.error(`Error calling GitHub API: ${error}`)
-    core.error(error)
-    return 0
+    core.error(`Error waiting for the rate limit: ${error}`)
   }
 }
 
-module.exports = { hold_until_rate_limit_success, callGitHubAPI, getRateLimit }
+module.exports = {
+  RateLimitGovernor,
+  hold_until_rate_limit_success,
+  resourceOf
+}
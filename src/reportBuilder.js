@@ -1,170 +1,963 @@
 const { UserManager } = require('./userManager')
-const { toCSV } = require('./csvHelper')
+const { writeReport } = require('./reportWriter')
+const { parseColumns, buildRow, defaultColumns } = require('./reportColumns')
+const { getReportStatistics, writeSummary } = require('./reportSummary')
+const { estimateBudget, reportEstimate } = require('./budgetEstimator')
+const { getUserActivity, parseInactiveDays } = require('./userActivity')
+const {
+  getReclaimableSeats,
+  getCopilotWaste,
+  parseUnusedDays,
+  parseSeatPrice,
+  SEAT_FIELDS,
+  WASTE_FIELDS
+} = require('./copilotReport')
+const {
+  toSnapshotEntry,
+  diffSnapshots,
+  readSnapshots
+} = require('./reportDiff')
+const { SnapshotStore } = require('./snapshotStore')
+const { toCacheConfig, isCacheEnabled, flushCaches } = require('./cacheFactory')
+const { HistoryStore } = require('./historyStore')
+const { CHECKPOINT_EVERY, CheckpointStore } = require('./checkpoint')
+const { parseRetentionDays } = require('./cacheRetention')
+const { parseRefreshBudgets } = require('./cacheRefresh')
+const { parseRetryOptions } = require('./requestRetry')
+const { mapWithConcurrency, parseConcurrency } = require('./workerPool')
+const { parseAuditLogMode, parseScanDays } = require('./auditScan')
+const {
+  parseTeamsStrategy,
+  buildTeamIndex,
+  estimatePerUserPoints
+} = require('./teamIndex')
+const { getRunMetrics, toTrendRows, writeTrendChart } = require('./trendReport')
 const { LastActivityProvider } = require('./lastActivityprovider')
 const { UserAccountProvider } = require('./userAccountprovider')
 const core = require('@actions/core')
 
+/* columns of the teams report, written as the header when there are no teams */
+const TEAMS_REPORT_FIELDS = [
+  'org',
+  'name',
+  'slug',
+  'parent_team',
+  'privacy',
+  'member_count',
+  'maintainers',
+  'members',
+  'assigns_copilot',
+  'copilot_seats'
+]
+
 class ReportBuilder {
   /**
    * Creates a new instance of the ReportBuilder.
    * @param {string} token The GitHub token.
    * @param {string} tableStorageConnectionString Connection String to Azure Table Storage.
-   * @param {string} ent The enterprise name
+   * @param {string|Array<string>} ent The enterprise name, or a list of enterprise names
+   * @param {Object} [options] Additional report options.
+   * @param {string} [options.org] The organization login. When set, the report is built for the organization instead of the enterprise.
+   * @param {'merged'|'separate'} [options.layout] Write one merged report for all enterprises or one report per enterprise (default merged).
+   * @param {Array<string>} [options.outputFormats] The output formats to write (default csv).
+   * @param {string} [options.apiUrl] The GitHub REST API base URL (default https://api.github.com).
+   * @param {string} [options.graphqlUrl] The GitHub GraphQL API URL (default derived from the REST API base URL).
+   * @param {Array<string>} [options.columns] The report columns in order, optionally with custom labels: `name:Label` (default all columns).
+   * @param {integer|string} [options.inactiveDays] The number of days without activity after which a user is inactive (default 90).
+   * @param {integer|string} [options.copilotUnusedDays] The number of days without Copilot activity after which a seat can be reclaimed (default 30).
+   * @param {number|string} [options.copilotSeatPrice] The monthly price of a Copilot seat (default 19).
+   * @param {Array<string>} [options.previousReports] Paths to report snapshots from a previous run to report changes against.
+   * @param {boolean} [options.tableStorageSnapshot] Keep the report snapshot in the cache and report changes against it.
+   * @param {boolean} [options.tableStorageHistory] Keep per-run metrics in the cache and write the trend report.
+   * @param {{enabled?: boolean, file?: string, resume?: boolean}} [options.checkpoint] Save the progress of the run in the cache (or a local checkpoint file) and resume the last run.
+   * @param {string} [options.cacheFile] Path to a local cache file, used instead of Azure Table Storage.
+   * @param {import('./s3Tableclient').S3CacheConfig} [options.s3] S3-compatible bucket for the caches, used instead of Azure Table Storage.
+   * @param {integer|string} [options.cacheRetentionDays] The number of days users who no longer consume a license are kept in the caches (default 30).
+   * @param {{auditBudget?: integer|string, userBudget?: integer|string, auditMaxStaleDays?: integer|string, userMaxStaleDays?: integer|string, rateLimitFloor?: integer|string}} [options.refresh] The cache refresh budgets, staleness windows and the reserved rate limit.
+   * @param {{retries?: integer|string, rateLimitRetries?: integer|string}} [options.retry] Attempts after server errors and after rate limit errors.
+   * @param {integer|string} [options.concurrency] The number of users processed at the same time (default 4).
+   * @param {import('./teamIndex').TeamsStrategy} [options.teamsStrategy] How team memberships of users are read (default crawl).
+   * @param {{mode?: string, scanDays?: integer|string}} [options.auditLog] How the last activity is read from the audit log (default per-user) and how many days the first scan reads (default 90).
    * @returns {ReportBuilder} The new instance.
    * @constructor
    * @property {UserManager} manager The user manager.
    * @property {LastActivityProvider} lastActivityProvider The last activity provider.
-   * @property {string} ent The enterprise name.
+   * @property {string} ent The (first) enterprise name.
+   * @property {Array<string>} enterprises The enterprise names.
+   * @property {'merged'|'separate'} layout The report layout for multiple enterprises.
+   * @property {string} [org] The organization login (organization mode).
+   * @property {Array<string>} outputFormats The output formats to write.
+   * @property {Array<{name: string, label: string}>} columns The report columns.
+   * @property {integer} concurrency The number of users processed at the same time.
+   * @property {import('./teamIndex').TeamsStrategy} teamsStrategy How team memberships of users are read.
+   * @property {integer} inactiveDays The number of days without activity after which a user is inactive.
+   * @property {{mode: import('./auditScan').AuditLogMode, scanDays: integer, inactiveDays: integer}} auditLog How the last activity is read from the audit log.
+   * @property {integer} copilotUnusedDays The number of days without Copilot activity after which a seat can be reclaimed.
+   * @property {number} copilotSeatPrice The monthly price of a Copilot seat.
+   * @property {Array<string>} previousReports Paths to report snapshots from a previous run.
+   * @property {import('./cacheFactory').CacheConfig} cache The cache configuration.
+   * @property {SnapshotStore} [snapshotStore] The snapshot store.
+   * @property {HistoryStore} [historyStore] The history store.
+   * @property {CheckpointStore} [checkpointStore] The checkpoint store.
+   * @property {boolean} resume Whether to continue from the checkpoint of the last run.
    */
-  constructor(token, tableStorageConnectionString, ent) {
+  constructor(token, tableStorageConnectionString, ent, options = {}) {
     // Validate input parameters
     if (typeof token !== 'string' || token.trim() === '') {
       throw new Error('Invalid GitHub token. It must be a non-empty string.')
     }
-    if (typeof ent !== 'string' || ent.trim() === '') {
+    const enterprises = [].concat(ent ?? [])
+    if (
+      !options.org &&
+      (enterprises.length === 0 ||
+        enterprises.some(e => typeof e !== 'string' || e.trim() === ''))
+    ) {
       throw new Error('Invalid enterprise name. It must be a non-empty string.')
     }
+    const cache = toCacheConfig({
+      connectionString: tableStorageConnectionString,
+      file: options.cacheFile,
+      s3: options.s3
+    })
+    if (options.tableStorageSnapshot && !isCacheEnabled(cache)) {
+      throw new Error(
+        'Report snapshots require a cache: a Table Storage connection string, a cache file or an S3 bucket.'
+      )
+    }
+    if (options.tableStorageHistory && !isCacheEnabled(cache)) {
+      throw new Error(
+        'Report history requires a cache: a Table Storage connection string, a cache file or an S3 bucket.'
+      )
+    }
+    const checkpoint = options.checkpoint ?? {}
+    const checkpointCache = checkpoint.file ? { file: checkpoint.file } : cache
+    const checkpointEnabled = Boolean(
+      checkpoint.enabled || checkpoint.file || checkpoint.resume
+    )
+    if (checkpointEnabled && !isCacheEnabled(checkpointCache)) {
+      throw new Error(
+        'Checkpoints require a cache: a Table Storage connection string, a cache file, an S3 bucket or a checkpoint file.'
+      )
+    }
+    if (!['merged', 'separate'].includes(options.layout ?? 'merged')) {
+      throw new Error(
+        `Invalid report layout '${options.layout}'. Supported layouts: merged, separate`
+      )
+    }
 
-    this.manager = new UserManager(token)
-    this.ent = ent
-    this.lastActivityProvider = new LastActivityProvider(
-      this.manager,
-      tableStorageConnectionString,
-      ent
+    const refreshBudgets = parseRefreshBudgets(options.refresh)
+
+    this.manager = new UserManager(token, {
+      apiUrl: options.apiUrl,
+      graphqlUrl: options.graphqlUrl,
+      rateLimitFloor: refreshBudgets.audit.rateLimitFloor,
+      retry: parseRetryOptions(options.retry)
+    })
+    this.enterprises = enterprises
+    this.ent = enterprises[0]
+    this.org = options.org || undefined
+    this.layout = options.layout ?? 'merged'
+    this.cache = cache
+    this.cacheEnabled = isCacheEnabled(cache)
+    this.refreshBudgets = refreshBudgets
+    this.outputFormats = options.outputFormats ?? ['csv']
+    this.concurrency = parseConcurrency(options.concurrency)
+    this.teamsStrategy = parseTeamsStrategy(options.teamsStrategy)
+    this.inactiveDays = parseInactiveDays(options.inactiveDays)
+    this.copilotUnusedDays = parseUnusedDays(options.copilotUnusedDays)
+    this.copilotSeatPrice = parseSeatPrice(options.copilotSeatPrice)
+    const retentionDays = parseRetentionDays(options.cacheRetentionDays)
+    // merged report for multiple enterprises needs to tell the enterprises apart
+    this.columns = parseColumns(
+      !options.columns?.length &&
+        !this.org &&
+        this.layout === 'merged' &&
+        enterprises.length > 1
+        ? ['enterprise', ...defaultColumns]
+        : options.columns
     )
+    this.auditLog = {
+      mode: parseAuditLogMode(options.auditLog?.mode),
+      scanDays: parseScanDays(options.auditLog?.scanDays),
+      inactiveDays: this.inactiveDays
+    }
+    // enterprise audit log is not available in organization mode
+    this.lastActivityProvider = this.org
+      ? undefined
+      : new LastActivityProvider(
+          this.manager,
+          cache,
+          this.ent,
+          retentionDays,
+          refreshBudgets.audit,
+          this.auditLog
+        )
     this.userAccountProvider = new UserAccountProvider(
       this.manager,
-      tableStorageConnectionString,
-      ent
+      cache,
+      retentionDays,
+      refreshBudgets.user
+    )
+    this.previousReports = options.previousReports ?? []
+    this.snapshotStore = options.tableStorageSnapshot
+      ? new SnapshotStore(cache)
+      : undefined
+    this.historyStore = options.tableStorageHistory
+      ? new HistoryStore(cache)
+      : undefined
+    this.checkpointStore = checkpointEnabled
+      ? new CheckpointStore(checkpointCache, {
+          // the audit log settings include the inactive days
+          columns: this.columns.map(column => `${column.name}:${column.label}`),
+          auditLog: this.auditLog
+        })
+      : undefined
+    this.resume = Boolean(checkpoint.resume)
+  }
+
+  /**
+   * Estimate the API budget for a report run without building the report.
+   * Only the organizations and license totals are fetched.
+   * @returns {Promise<{calls: {rest: integer, graphql: integer, auditLog: integer}, durationMs: integer, runs: integer}>} The estimate.
+   */
+  async estimate() {
+    if (this.org) {
+      throw new Error('Estimate mode is only available for enterprises.')
+    }
+
+    const counts = []
+    for (const ent of this.enterprises) {
+      core.info(`Estimating API budget for '${ent}'`)
+      const orgs = await this.manager.getAllOrganizationsInEnterprise(ent)
+      const totals = await this.manager.getConsumedLicensesTotal(ent)
+      counts.push({ orgs: orgs.length, users: totals.total_seats_consumed })
+    }
+    const rateLimits = await this.manager.getRateLimits()
+
+    const estimate = estimateBudget(
+      counts,
+      rateLimits,
+      this.cacheEnabled,
+      new Date(),
+      this.refreshBudgets,
+      this.teamsStrategy,
+      this.auditLog
     )
+    await reportEstimate(
+      this.enterprises.join(', '),
+      {
+        orgs: counts.reduce((acc, c) => acc + c.orgs, 0),
+        users: counts.reduce((acc, c) => acc + c.users, 0)
+      },
+      rateLimits,
+      estimate
+    )
+
+    return estimate
   }
 
   /**
-   * Build a report for the given enterprise.
-   * @param {string} storageAccount The Azure Storage account name.
-   * @param {string} storageSas The Azure Storage SAS token.
-   * @returns {Promise<string>} The path to the CSV file.
+   * Build a report for the given enterprises or organization.
+   * @returns {Promise<{file: string, files: Object<string, string>, enterprises: Object<string, Object<string, string>>, orgsFile: string, teamsFile: string, inactiveFile: string, inactiveCount: integer, copilotFile: string, copilotWasteFile: string, copilotReclaimableSeats: integer, copilotMonthlyWaste: number, snapshotFile: string, changesFile: string?, changesCount: integer?, trendFile: string?, trendChart: string?, prunedUsers: integer}>} The path to the report in the first output format, paths to all written formats, paths by enterprise, the paths to the organizations, teams, inactive users and Copilot reports, the number of inactive users, the Copilot totals, the path to the report snapshot, the changes since the previous run (only when there was a previous run), the trend report and chart of the first enterprise (only with the report history) and the number of departed users pruned from the caches.
    */
   async buildReport() {
-    // first get all orgs in the enterprise - this should be 1 API call
-    core.info(`Getting orgs in '${this.ent}'`)
-    const orgs = await this.manager.getAllOrganizationsInEnterprise(this.ent)
-    toCSV(orgs, `orgs_in_${this.ent}`)
+    let result
+    try {
+      result = await this.#build()
+    } catch (error) {
+      // local cache files are saved even when the report fails, so that the next run continues from here
+      // a failed save is only logged, the error of the run is the one to report
+      try {
+        await flushCaches()
+      } catch (flushError) {
+        core.error(`Unable to save the caches: ${flushError.message}`)
+      }
+      throw error
+    }
+    await flushCaches()
+    return result
+  }
 
+  /**
+   * Build the report, see `buildReport`.
+   * @returns {Promise<Object>} The paths to the reports and the totals.
+   */
+  async #build() {
+    const scopes = this.org ? [this.org] : this.enterprises
+
+    /**
+     * @type {Array<{scope: string, orgs: Array<Object>, users: Array<Object>, copilotSeats: Map<string, Object>}>}
+     */
+    const datasets = []
+    for (const scope of scopes) {
+      datasets.push(await this.#loadDataset(scope))
+    }
+
+    // initialize the caches once for users from all enterprises
+    const allUsers = [
+      ...new Map(
+        datasets.flatMap(d => d.users).map(u => [u.github_com_login, u])
+      ).values()
+    ]
+    // workflows sharing the caches only track the departed users of their own scope
+    const cacheScope = scopes.join(',')
+    if (this.lastActivityProvider) {
+      await this.lastActivityProvider.initialize(allUsers, cacheScope)
+      await this.lastActivityProvider.refreshUserData()
+    }
+    await this.userAccountProvider.initialize(allUsers, cacheScope)
+    // stale profiles are looked up 100 at a time before the rows are built
+    await this.userAccountProvider.refreshUserData()
+
+    const now = new Date()
+    for (const dataset of datasets) {
+      await this.#buildOrgsReport(dataset)
+      await this.#buildTeamsReport(dataset)
+      await this.#buildRows(dataset, now)
+    }
+
+    for (const dataset of datasets) {
+      dataset.copilotReport = getReclaimableSeats(
+        dataset.copilotSeats,
+        this.copilotUnusedDays,
+        now
+      )
+      dataset.copilotWaste = getCopilotWaste(
+        dataset.copilotReport,
+        this.copilotSeatPrice
+      )
+    }
+
+    const hasPrevious = await this.#diffWithPreviousRun(datasets)
+
+    const merged = this.layout === 'merged' && datasets.length > 1
+    const groups = merged
+      ? [{ name: scopes.join('_'), datasets }]
+      : datasets.map(d => ({ name: d.scope, datasets: [d] }))
+
+    // reports written next to the users report, rows of the merged report are tagged with the enterprise
+    // inactive users use the report columns, which already include the enterprise
+    // reports without rows are written with their header only, or empty when the columns are not known
+    const fields = this.columns.map(column => column.label)
+    const separators = Object.fromEntries(
+      this.columns
+        .filter(column => column.separator)
+        .map(column => [column.label, column.separator])
+    )
+    const reports = [
+      { name: 'orgs', rows: d => d.orgsReport, tag: true },
+      {
+        name: 'teams',
+        rows: d => d.teamsReport,
+        tag: true,
+        fields: TEAMS_REPORT_FIELDS
+      },
+      {
+        name: 'inactive_users',
+        rows: d => d.inactiveReport,
+        tag: false,
+        fields,
+        separators
+      },
+      {
+        name: 'copilot_seats',
+        rows: d => d.copilotReport,
+        tag: true,
+        fields: SEAT_FIELDS
+      },
+      {
+        name: 'copilot_waste',
+        rows: d => d.copilotWaste.rows,
+        tag: true,
+        fields: WASTE_FIELDS
+      },
+      { name: 'snapshot', rows: d => d.snapshot, formats: ['json'] },
+      hasPrevious && {
+        name: 'changes',
+        rows: d => d.changes,
+        tag: true,
+        fields: ['login', 'change', 'added', 'removed']
+      }
+    ].filter(report => report)
+
+    /**
+     * @type {Object<string, Object<string, string>>}
+     */
+    const enterprises = {}
+    /**
+     * Files of the additional reports by report name and enterprise.
+     * @type {Object<string, Object<string, Object<string, string>>>}
+     */
+    const reportFiles = {}
+    for (const group of groups) {
+      const files = await writeReport(
+        group.datasets.flatMap(d => d.report),
+        `users_in_${group.name}`,
+        this.outputFormats,
+        fields,
+        separators
+      )
+      for (const dataset of group.datasets) {
+        enterprises[dataset.scope] = files
+      }
+
+      for (const report of reports) {
+        const rows = group.datasets.flatMap(d =>
+          merged && report.tag
+            ? report.rows(d).map(r => ({ enterprise: d.scope, ...r }))
+            : report.rows(d)
+        )
+        const reportFilesForGroup = await writeReport(
+          rows,
+          `${report.name}_in_${group.name}`,
+          report.formats ?? this.outputFormats,
+          report.fields && merged && report.tag
+            ? ['enterprise', ...report.fields]
+            : report.fields,
+          report.separators
+        )
+
+        reportFiles[report.name] = reportFiles[report.name] ?? {}
+        for (const dataset of group.datasets) {
+          reportFiles[report.name][dataset.scope] = reportFilesForGroup
+        }
+      }
+    }
+
+    /**
+     * @type {Object<string, {file: string, chart: string}>}
+     */
+    const trends = {}
+    if (this.historyStore) {
+      for (const dataset of datasets) {
+        trends[dataset.scope] = await this.#writeTrend(dataset, now)
+      }
+    }
+
+    for (const dataset of datasets) {
+      const stats = getReportStatistics({
+        orgs: dataset.orgs,
+        users: dataset.users,
+        copilotSeats: dataset.copilotSeats,
+        auditLookupFailures: dataset.auditLookupFailures,
+        inactiveUsers: dataset.inactiveReport.length,
+        copilotWaste: dataset.copilotWaste,
+        enterpriseData: !this.org,
+        cacheStaleness: {
+          audit: this.lastActivityProvider?.getStaleness(now) ?? null,
+          user: this.userAccountProvider.getStaleness(now) ?? null
+        }
+      })
+      await writeSummary(dataset.scope, stats)
+    }
+
+    // the run is complete, the next one starts from scratch
+    for (const scope of scopes) {
+      await this.checkpointStore?.clear(scope)
+    }
+
+    const files = enterprises[scopes[0]]
+    const firstFile = (name, format = this.outputFormats[0]) =>
+      reportFiles[name]?.[scopes[0]][format]
+    const total = value => datasets.reduce((acc, d) => acc + value(d), 0)
+    return {
+      file: files[this.outputFormats[0]],
+      files,
+      enterprises,
+      orgsFile: firstFile('orgs'),
+      teamsFile: firstFile('teams'),
+      inactiveFile: firstFile('inactive_users'),
+      inactiveCount: total(d => d.inactiveReport.length),
+      copilotFile: firstFile('copilot_seats'),
+      copilotWasteFile: firstFile('copilot_waste'),
+      copilotReclaimableSeats: total(d => d.copilotWaste.reclaimableSeats),
+      copilotMonthlyWaste:
+        Math.round(total(d => d.copilotWaste.monthlyWaste) * 100) / 100,
+      snapshotFile: firstFile('snapshot', 'json'),
+      changesFile: firstFile('changes'),
+      changesCount: hasPrevious ? total(d => d.changes.length) : undefined,
+      trendFile: trends[scopes[0]]?.file,
+      trendChart: trends[scopes[0]]?.chart,
+      prunedUsers: new Set([
+        ...(this.lastActivityProvider?.pruned ?? []),
+        ...(this.userAccountProvider.pruned ?? [])
+      ]).size
+    }
+  }
+
+  /**
+   * Build the report snapshots and compare them with the previous run, from files or the cache.
+   * Sets `snapshot` and `changes` on every dataset and saves the new snapshots in the cache.
+   * Teams in organizations whose teams could not be crawled are carried over from the previous snapshot.
+   * @param {Array<{scope: string, users: Array<Object>, copilotSeats: Map<string, Object>, teamRoles: Map<string, Array<string>>, uncrawledOrgs?: Array<string>}>} datasets The data for the report.
+   * @returns {Promise<boolean>} Whether there was a previous run to compare with.
+   */
+  async #diffWithPreviousRun(datasets) {
+    const fromFiles =
+      this.previousReports.length > 0
+        ? readSnapshots(this.previousReports)
+        : undefined
+
+    for (const dataset of datasets) {
+      let previous
+      if (fromFiles) {
+        previous = fromFiles.filter(entry => entry.scope === dataset.scope)
+      } else if (this.snapshotStore) {
+        previous = await this.snapshotStore.load(dataset.scope)
+      }
+
+      const uncrawled = new Set(dataset.uncrawledOrgs ?? [])
+      const previousTeams = new Map(
+        (previous ?? []).map(entry => [entry.login, entry.teams ?? []])
+      )
+      const inUncrawledOrg = team => uncrawled.has(team.split('/')[0])
+
+      dataset.snapshot = dataset.users
+        .map(user => {
+          const entry = toSnapshotEntry(
+            dataset.scope,
+            user,
+            dataset.copilotSeats.get(user.github_com_login),
+            dataset.teamRoles?.get(user.github_com_login)
+          )
+          if (uncrawled.size > 0) {
+            // no team data this run, keep the teams of the previous run instead of reporting them as removed
+            entry.teams = [
+              ...entry.teams.filter(team => !inUncrawledOrg(team)),
+              ...(previousTeams.get(entry.login) ?? []).filter(inUncrawledOrg)
+            ].sort()
+          }
+          return entry
+        })
+        .sort((a, b) => a.login.localeCompare(b.login))
+
+      if (previous) {
+        if (previous.length === 0) {
+          core.warning(
+            `No previous report snapshot for '${dataset.scope}'. All users are reported as added.`
+          )
+        }
+        dataset.changes = diffSnapshots(previous, dataset.snapshot).map(
+          ({ scope, ...change }) => change
+        )
+        core.info(
+          `Found ${dataset.changes.length} changes since the previous run in '${dataset.scope}'`
+        )
+      }
+
+      if (this.snapshotStore) {
+        await this.snapshotStore.save(dataset.scope, dataset.snapshot)
+      }
+    }
+
+    return Boolean(fromFiles || this.snapshotStore)
+  }
+
+  /**
+   * Save the metrics of this run to the history and write the trend report (CSV) and chart (SVG) for the dataset.
+   * @param {{scope: string, users: Array<Object>, copilotSeats: Map<string, Object>}} dataset The data for the report.
+   * @param {Date} now The date of the run.
+   * @returns {Promise<{file: string, chart: string}>} The paths to the trend report and chart.
+   */
+  async #writeTrend(dataset, now) {
+    await this.historyStore.append(
+      dataset.scope,
+      getRunMetrics(dataset.users, dataset.copilotSeats, now)
+    )
+    const history = await this.historyStore.getAll(dataset.scope)
     core.info(
-      `Found ${orgs.length} orgs in '${this.ent}': ${orgs.map(o => `'${o.login}'`).join(', ')}`
+      `Found ${history.length} runs in the history of '${dataset.scope}'`
     )
 
-    // get all the users in the enterprise - number_of_users / 100 API calls
-    core.info(`Getting users in '${this.ent}'`)
-    const users = await this.manager.getConsumedLicenses(this.ent)
-    core.info(`Found ${users.length} users in '${this.ent}'`)
+    const rows = toTrendRows(history)
+    const files = await writeReport(rows, `trend_in_${dataset.scope}`, ['csv'])
+    const chart = writeTrendChart(rows, dataset.scope)
 
-    // initialize the last activity provider
-    await this.lastActivityProvider.initialize(users)
-    await this.lastActivityProvider.refreshUserData()
-    await this.userAccountProvider.initialize(users)
+    return { file: files.csv, chart }
+  }
+
+  /**
+   * Get the data for an enterprise (or organization) from the checkpoint of the last run when resuming,
+   * otherwise fetch it and start a new checkpoint.
+   * @param {string} scope The enterprise or organization name.
+   * @returns {Promise<{scope: string, orgs: Array<Object>, users: Array<Object>, copilotSeats: Map<string, Object>, completedRows?: Map<string, import('./checkpoint').CheckpointRow>}>} The data for the report, with the rows completed by the last run.
+   */
+  async #loadDataset(scope) {
+    const checkpoint = this.resume
+      ? await this.checkpointStore.load(scope)
+      : null
+    if (checkpoint) {
+      core.info(
+        `Resuming '${scope}' from the checkpoint of ${checkpoint.startedAt}: ${checkpoint.rows.size} of ${checkpoint.users.length} users done`
+      )
+      const { orgs, users, copilotSeats, rows } = checkpoint
+      return { scope, orgs, users, copilotSeats, completedRows: rows }
+    }
+    if (this.resume) {
+      core.warning(`No checkpoint for '${scope}'. Starting from scratch.`)
+    }
+
+    const dataset = await this.#getDataset(scope)
+    await this.checkpointStore?.start(scope, dataset)
+    return dataset
+  }
+
+  /**
+   * Get the organizations, users and copilot seats for an enterprise (or the organization in organization mode).
+   * @param {string} scope The enterprise or organization name.
+   * @returns {Promise<{scope: string, orgs: Array<Object>, users: Array<Object>, copilotSeats: Map<string, Object>}>} The data for the report.
+   */
+  async #getDataset(scope) {
+    // first get all orgs in the enterprise - this should be 1 API call
+    core.info(`Getting orgs in '${scope}'`)
+    const orgs = this.org
+      ? [await this.manager.getOrganization(this.org)]
+      : await this.manager.getAllOrganizationsInEnterprise(scope)
 
-    core.info(`Getting copilot seats 💺💺💺 in '${this.ent}'`)
-    const copilotSeats = await this.manager.getCopilotSeats(this.ent)
     core.info(
-      `Found ${copilotSeats.size} copilot seats 💺💺💺 in '${this.ent}'`
+      `Found ${orgs.length} orgs in '${scope}': ${orgs.map(o => `'${o.login}'`).join(', ')}`
     )
 
-    // this is were it gets tricky - for each user we need to get the orgs and teams they are in
-    // this is where we need to be careful with the rate limit
-    const report = []
+    // get all the users in the enterprise - number_of_users / 100 API calls
+    core.info(`Getting users in '${scope}'`)
+    const users = this.org
+      ? await this.#getOrganizationUsers()
+      : await this.manager.getConsumedLicenses(scope)
+    core.info(`Found ${users.length} users in '${scope}'`)
+
     for (const user of users) {
-      const percentComplete = Math.floor((report.length / users.length) * 100)
+      user.enterprise = this.org ? null : scope
+    }
+
+    core.info(`Getting copilot seats 💺💺💺 in '${scope}'`)
+    const copilotSeats = this.org
+      ? await this.manager.getOrganizationCopilotSeats(this.org)
+      : await this.manager.getCopilotSeats(scope)
+    core.info(`Found ${copilotSeats.size} copilot seats 💺💺💺 in '${scope}'`)
+
+    return { scope, orgs, users, copilotSeats }
+  }
+
+  /**
+   * Build the organizations report with member, owner, team, pending invitation and copilot seat counts.
+   * Sets `orgsReport` on the dataset. Details that can't be read are left blank.
+   * @param {{orgs: Array<{login: string, id: string, url: string}>, copilotSeats: Map<string, Object>}} dataset The data for the report.
+   * @returns {Promise<void>} Resolves when the organizations report is built.
+   */
+  async #buildOrgsReport(dataset) {
+    const seatsPerOrg = new Map()
+    for (const seat of dataset.copilotSeats.values()) {
+      const login = seat.organization?.login
+      seatsPerOrg.set(login, (seatsPerOrg.get(login) ?? 0) + 1)
+    }
+
+    const orgsReport = []
+    for (const org of dataset.orgs) {
+      core.info(`Getting details for '${org.login}' org`)
+      let details = null
+      let owners = null
+      try {
+        details = await this.manager.getOrganizationDetails(org.login)
+        // in organization mode the owners were read with the members
+        owners =
+          org.login === this.org && this.orgOwners
+            ? this.orgOwners
+            : await this.manager.getOrganizationOwners(org.login)
+      } catch (error) {
+        core.warning(
+          `Unable to get details for '${org.login}' org: ${error.message}`
+        )
+      }
+
+      orgsReport.push({
+        login: org.login,
+        id: org.id,
+        url: org.url,
+        name: details?.name ?? null,
+        created_at: details?.createdAt ?? null,
+        two_factor_requirement_enabled:
+          details?.requiresTwoFactorAuthentication ?? null,
+        member_count: details?.membersWithRole?.totalCount ?? null,
+        owner_count: owners?.length ?? null,
+        owners: owners ?? [],
+        team_count: details?.teams?.totalCount ?? null,
+        pending_invitation_count: details?.pendingMembers?.totalCount ?? null,
+        copilot_seats: seatsPerOrg.get(org.login) ?? 0
+      })
+    }
+
+    dataset.orgsReport = orgsReport
+  }
+
+  /**
+   * Build the teams report with parent team, privacy, maintainers, members and copilot seats assigned through the team.
+   * Sets `teamsReport`, `teamRoles` (team roles by user login), `teamIndex` (teams by user login) and `uncrawledOrgs` on the dataset.
+   * Organizations whose teams can't be read are skipped in the teams report and listed in `uncrawledOrgs`.
+   * @param {{orgs: Array<{login: string}>, users: Array<Object>, copilotSeats: Map<string, Object>}} dataset The data for the report.
+   * @returns {Promise<void>} Resolves when the teams report is built.
+   */
+  async #buildTeamsReport(dataset) {
+    const seatsPerTeam = new Map()
+    for (const seat of dataset.copilotSeats.values()) {
+      if (seat.assigning_team) {
+        const key = `${seat.organization?.login}/${seat.assigning_team.slug}`
+        seatsPerTeam.set(key, (seatsPerTeam.get(key) ?? 0) + 1)
+      }
+    }
+
+    const teamsReport = []
+    /**
+     * @type {Map<string, Array<string>>}
+     */
+    const teamRoles = new Map()
+    const orgTeams = []
+    const uncrawledOrgs = []
+    const spentBefore = this.manager.governor?.spent('graphql') ?? 0
+    for (const org of dataset.orgs) {
+      core.info(`Getting teams in '${org.login}' org`)
+      let teams = []
+      try {
+        teams = await this.manager.getOrganizationTeams(org.login)
+        orgTeams.push({ org: org.login, teams })
+      } catch (error) {
+        core.warning(
+          `Unable to get teams in '${org.login}' org: ${error.message}`
+        )
+        uncrawledOrgs.push(org.login)
+      }
+
+      for (const team of teams) {
+        const key = `${org.login}/${team.slug}`
+        const copilotSeats = seatsPerTeam.get(key) ?? 0
+
+        teamsReport.push({
+          org: org.login,
+          name: team.name,
+          slug: team.slug,
+          parent_team: team.parentTeam?.slug ?? null,
+          privacy: team.privacy?.toLowerCase() ?? null,
+          member_count: team.members.length,
+          maintainers: team.members
+            .filter(m => m.role === 'MAINTAINER')
+            .map(m => m.login),
+          members: team.members
+            .filter(m => m.role !== 'MAINTAINER')
+            .map(m => m.login),
+          assigns_copilot: copilotSeats > 0,
+          copilot_seats: copilotSeats
+        })
+
+        for (const member of team.members) {
+          const role = member.role === 'MAINTAINER' ? 'Maintainer' : 'Member'
+          const roles = teamRoles.get(member.login) ?? []
+          roles.push(`${key}:${role}`)
+          teamRoles.set(member.login, roles)
+        }
+      }
+    }
+
+    dataset.teamsReport = teamsReport
+    dataset.teamRoles = teamRoles
+    dataset.teamIndex = buildTeamIndex(orgTeams)
+    dataset.uncrawledOrgs = uncrawledOrgs
+
+    if (this.teamsStrategy === 'crawl') {
+      // the crawl pages and the per-user queries of the orgs that couldn't be crawled are not saved
+      const crawlPoints =
+        (this.manager.governor?.spent('graphql') ?? 0) - spentBefore
+      const saved =
+        estimatePerUserPoints(dataset.users.length, dataset.orgs.length) -
+        crawlPoints -
+        dataset.users.length * uncrawledOrgs.length
       core.info(
-        `${percentComplete}%. Building report for ${user.github_com_login}.`
+        `Team memberships of ${dataset.users.length} users in '${dataset.scope}' are read from the teams of ${orgTeams.length} orgs. About ${Math.max(0, saved)} GraphQL points saved.`
       )
+    }
+  }
+
+  /**
+   * Build the report rows for all users in the dataset.
+   * Sets `report`, `inactiveReport` and `auditLookupFailures` on the dataset.
+   * Rows completed by the last run are reused, new rows are saved to the checkpoint every `CHECKPOINT_EVERY` users and on failure.
+   * @param {{scope: string, users: Array<Object>, copilotSeats: Map<string, Object>, completedRows?: Map<string, import('./checkpoint').CheckpointRow>}} dataset The data for the report.
+   * @param {Date} now The date inactivity is computed against.
+   * @returns {Promise<void>} Resolves when the rows are built.
+   */
+  async #buildRows(dataset, now) {
+    const { scope, users, completedRows } = dataset
 
-      const userTeamsReport = await this.manager.getTeamsForUser(
-        user.github_com_login,
-        this.ent
+    if (completedRows?.size) {
+      core.info(
+        `Reusing ${completedRows.size} rows of '${scope}' from the checkpoint`
       )
+    }
+
+    // this is were it gets tricky - for each user we need to get the orgs and teams they are in
+    // requests of all workers go through the same rate limit governor
+    let done = 0
+    // completed rows not saved to the checkpoint yet
+    const pending = []
+    const saveCheckpoint = () =>
+      this.checkpointStore?.saveRows(scope, pending.splice(0))
+
+    let rows
+    try {
+      rows = await mapWithConcurrency(users, this.concurrency, async user => {
+        const completed = completedRows?.get(user.github_com_login)
+        if (completed) {
+          done++
+          Object.assign(user, completed.activity)
+          return completed
+        }
+
+        const row = await this.#buildRow(dataset, user, now)
+        const percentComplete = Math.floor((++done / users.length) * 100)
+        core.info(
+          `${percentComplete}%. Built report for ${user.github_com_login}.`
+        )
+
+        pending.push({
+          login: user.github_com_login,
+          ...row,
+          activity: {
+            lastActivityAudit: user.lastActivityAudit,
+            lastActivityAuditChecked: user.lastActivityAuditChecked,
+            lastActivity: user.lastActivity
+          }
+        })
+        if (pending.length >= CHECKPOINT_EVERY) {
+          await saveCheckpoint()
+        }
+        return row
+      })
+    } finally {
+      // keep the rows built before a failure for the next run
+      await saveCheckpoint()
+    }
+
+    // rows keep the order of the users
+    const report = rows.map(row => row.entry)
+    const inactiveReport = rows
+      .filter(row => row.inactive)
+      .map(row => row.entry)
+    const auditLookupFailures = rows.filter(row => row.auditFailed).length
+
+    core.info(
+      `Built report for ${report.length} users in '${scope}', ${inactiveReport.length} inactive for ${this.inactiveDays}+ days`
+    )
+    dataset.report = report
+    dataset.inactiveReport = inactiveReport
+    dataset.auditLookupFailures = auditLookupFailures
+  }
 
-      const lastActivityAudit =
-        await this.lastActivityProvider.getLastActivityDateForUser(
+  /**
+   * Build the report row of a single user.
+   * @param {{scope: string, copilotSeats: Map<string, Object>, teamRoles?: Map<string, Array<string>>}} dataset The data for the report.
+   * @param {Object} user The user consuming a license.
+   * @param {Date} now The date inactivity is computed against.
+   * @returns {Promise<{entry: Object, inactive: boolean, auditFailed: boolean}>} The report row, whether the user is inactive and whether the audit log lookup failed.
+   */
+  async #buildRow(dataset, user, now) {
+    const { copilotSeats } = dataset
+
+    const userTeamsReport = await this.#getUserTeams(dataset, user)
+
+    const lastActivityAudit = this.lastActivityProvider
+      ? await this.lastActivityProvider.getLastActivityDateForUser(
           user.github_com_login
         )
-      user.lastActivityAudit = lastActivityAudit.lastActivityDate
-      user.lastActivityAuditChecked = lastActivityAudit.lastChecked
+      : { lastActivityDate: null, lastChecked: null, failed: false }
+    user.lastActivityAudit = lastActivityAudit.lastActivityDate
+    user.lastActivityAuditChecked = lastActivityAudit.lastChecked
 
-      const publicUserData = await this.userAccountProvider.getUserData(
-        user.github_com_login
-      )
+    const publicUserData = await this.userAccountProvider.getUserData(
+      user.github_com_login
+    )
 
-      const newEntry = {
-        github_com_login: user.github_com_login,
-        github_com_name: user.github_com_name,
-        visual_studio_subscription_user: user.visual_studio_subscription_user,
-        license_type: user.license_type,
-        github_com_profile: user.github_com_profile,
-        'Account Creation Date': publicUserData.created_at,
-        'Account Last Updated': publicUserData.updated_at,
-        'Account Company': publicUserData.company,
-        'User Team Membership': userTeamsReport.orgs
-          .map(o => o.teams)
-          .filter(t => t)
-          .flat()
-          .map(t => t.name)
-          .join(','),
-        'User Organization Membership': user.github_com_member_roles
-          .map(r => r.split(':')[0])
-          .join(','),
-        'User Organization Ownership': user.github_com_member_roles
-          .filter(r => r.endsWith(':Owner'))
-          .map(r => r.split(':')[0])
-          .join(','),
-        'Last Activity Profile': 'n/a',
-        'Last Activity Audit Log': user.lastActivityAudit,
-        'Last Activity Audit Log Checked': user.lastActivityAuditChecked,
-        'Enterprise Roles': user.github_com_enterprise_roles.join(', '),
-        'Member Roles': user.github_com_member_roles.join(', '),
-        'Verified Domain E-Mails':
-          user.github_com_verified_domain_emails.join(','),
-        github_com_saml_name_id: user.github_com_saml_name_id,
-        'Pending Invites': user.github_com_orgs_with_pending_invites.join(','),
-        github_com_two_factor_auth: user.github_com_two_factor_auth,
-        'VS License Status': user.visual_studio_license_status,
-        'VS Subscription E-mail': user.visual_studio_subscription_email,
-        'Copilot Created At':
-          copilotSeats.get(user.github_com_login)?.created_at ?? '',
-        'Copilot Updated At':
-          copilotSeats.get(user.github_com_login)?.updated_at ?? '',
-        'Copilot Last Activity At':
-          copilotSeats.get(user.github_com_login)?.last_activity_at ?? '',
-        'Copilot Last Activity Editor':
-          copilotSeats.get(user.github_com_login)?.last_activity_editor ?? '',
-        'Copilot Assigning Team':
-          copilotSeats.get(user.github_com_login)?.assigning_team?.name ?? '',
-        'Copilot Assigning Org':
-          copilotSeats.get(user.github_com_login)?.organization?.login ?? '',
-        'Copilot Pending Cancellation Date':
-          copilotSeats.get(user.github_com_login)?.pending_cancellation_date ??
-          ''
-      }
+    const copilotSeat = copilotSeats.get(user.github_com_login)
+    const activity = getUserActivity(
+      {
+        auditLogDate: user.lastActivityAudit,
+        auditLogChecked: user.lastActivityAuditChecked,
+        copilotSeat
+      },
+      this.inactiveDays,
+      now
+    )
 
-      // for all the properties added to the report, remove newlines
-      const objectKeys = Object.keys(newEntry)
+    user.lastActivity = activity.lastActivity
 
-      for (const key of objectKeys) {
-        if (newEntry[key] && typeof newEntry[key] === 'string') {
-          newEntry[key] = newEntry[key]
-            .replace(/[\r\n]+/gm, '')
-            .replace('+rok', '')
-        }
-      }
+    const entry = buildRow(
+      {
+        user,
+        teams: userTeamsReport,
+        teamRoles: dataset.teamRoles?.get(user.github_com_login) ?? [],
+        publicUserData,
+        copilotSeat,
+        activity
+      },
+      this.columns
+    )
 
-      report.push(newEntry)
+    return {
+      entry,
+      inactive: activity.inactive,
+      auditFailed: Boolean(lastActivityAudit.failed)
+    }
+  }
+
+  /**
+   * Get the teams of a user, from the crawled teams or with a query per user depending on the teams strategy.
+   * Organizations whose teams could not be crawled are queried for the user.
+   * @param {{scope: string, teamIndex?: Map<string, Object>, uncrawledOrgs?: Array<string>}} dataset The data for the report.
+   * @param {Object} user The user consuming a license.
+   * @returns {Promise<{orgs: Array<{org: {login: string}, teams: Array<{name: string, slug: string}>}>}>} The organizations and teams of the user.
+   */
+  async #getUserTeams(dataset, user) {
+    const login = user.github_com_login
+    if (this.teamsStrategy === 'per-user' || !dataset.teamIndex) {
+      return this.org
+        ? await this.manager.getTeamsForUserInOrganization(login, this.org)
+        : await this.manager.getTeamsForUser(login, dataset.scope)
     }
 
-    core.info(`Built report for ${report.length} users`)
-    const csvPath = toCSV(report, `users_in_${this.ent}`)
+    const orgs = [...(dataset.teamIndex.get(login)?.orgs ?? [])]
+    for (const org of dataset.uncrawledOrgs ?? []) {
+      const teams = await this.manager.getTeamsForUserInOrganization(login, org)
+      orgs.push(...teams.orgs)
+    }
+    return { orgs }
+  }
+
+  /**
+   * Get the organization members in the same shape as users consuming enterprise licenses.
+   * Enterprise-only properties are left blank. Sets `orgOwners`, reused by the organizations report.
+   * @returns {Promise<Array<Object>>} The users in the organization.
+   */
+  async #getOrganizationUsers() {
+    this.orgOwners = await this.manager.getOrganizationOwners(this.org)
+    const members = await this.manager.getOrganizationMembers(
+      this.org,
+      this.orgOwners
+    )
 
-    return csvPath
+    return members.map(member => ({
+      github_com_login: member.login,
+      github_com_name: null,
+      visual_studio_subscription_user: null,
+      license_type: null,
+      github_com_profile: member.html_url,
+      github_com_member_roles: [
+        `${this.org}:${member.role === 'admin' ? 'Owner' : 'Member'}`
+      ],
+      github_com_enterprise_roles: [],
+      github_com_verified_domain_emails: [],
+      github_com_saml_name_id: null,
+      github_com_orgs_with_pending_invites: [],
+      github_com_two_factor_auth: member.two_factor_auth,
+      visual_studio_license_status: null,
+      visual_studio_subscription_email: null
+    }))
   }
 }
 
@@ -0,0 +1,278 @@
+/**
+ * The data available when building a single row of the user report.
+ * @typedef {Object} UserContext
+ * @property {Object} user The user consuming a license (from the consumed-licenses API).
+ * @property {{orgs: Array<{org: {login: string}, teams: Array<{name: string, slug: string}>}>}} teams The organizations and teams for the user.
+ * @property {Array<string>} [teamRoles] The team roles of the user in `org/team-slug:Maintainer` or `org/team-slug:Member` form.
+ * @property {{created_at: string, updated_at: string, company: string}} publicUserData The public user data.
+ * @property {Object} [copilotSeat] The copilot seat assigned to the user.
+ * @property {{daysSinceLastActivity: integer?, inactive: boolean?, source: string?}} [activity] The combined activity of the user.
+ */
+
+/**
+ * All columns available in the user report, in the default order.
+ * The key is the column name used in the `columns` input, `label` is the default header.
+ * Optional columns are only included when selected. `separator` joins list values in CSV and XLSX (default ',').
+ * @type {Object<string, {label: string, value: function(UserContext): any, optional?: boolean, separator?: string}>}
+ */
+const reportColumns = {
+  enterprise: {
+    label: 'Enterprise',
+    value: ({ user }) => user.enterprise ?? null,
+    optional: true
+  },
+  github_com_login: {
+    label: 'github_com_login',
+    value: ({ user }) => user.github_com_login
+  },
+  github_com_name: {
+    label: 'github_com_name',
+    value: ({ user }) => user.github_com_name
+  },
+  visual_studio_subscription_user: {
+    label: 'visual_studio_subscription_user',
+    value: ({ user }) => user.visual_studio_subscription_user
+  },
+  license_type: {
+    label: 'license_type',
+    value: ({ user }) => user.license_type
+  },
+  github_com_profile: {
+    label: 'github_com_profile',
+    value: ({ user }) => user.github_com_profile
+  },
+  account_creation_date: {
+    label: 'Account Creation Date',
+    value: ({ publicUserData }) => publicUserData.created_at
+  },
+  account_last_updated: {
+    label: 'Account Last Updated',
+    value: ({ publicUserData }) => publicUserData.updated_at
+  },
+  account_company: {
+    label: 'Account Company',
+    value: ({ publicUserData }) => publicUserData.company
+  },
+  team_membership: {
+    label: 'User Team Membership',
+    value: ({ teams }) =>
+      teams.orgs
+        .map(o => o.teams)
+        .filter(t => t)
+        .flat()
+        .map(t => t.name)
+  },
+  team_roles: {
+    label: 'User Team Roles',
+    value: ({ teamRoles }) => teamRoles ?? [],
+    optional: true
+  },
+  organization_membership: {
+    label: 'User Organization Membership',
+    value: ({ user }) => user.github_com_member_roles.map(r => r.split(':')[0])
+  },
+  organization_ownership: {
+    label: 'User Organization Ownership',
+    value: ({ user }) =>
+      user.github_com_member_roles
+        .filter(r => r.endsWith(':Owner'))
+        .map(r => r.split(':')[0])
+  },
+  last_activity_profile: {
+    label: 'Last Activity Profile',
+    value: () => 'n/a'
+  },
+  last_activity_audit_log: {
+    label: 'Last Activity Audit Log',
+    value: ({ user }) => toISODate(user.lastActivityAudit)
+  },
+  last_activity_audit_log_checked: {
+    label: 'Last Activity Audit Log Checked',
+    value: ({ user }) => toISODate(user.lastActivityAuditChecked)
+  },
+  enterprise_roles: {
+    label: 'Enterprise Roles',
+    value: ({ user }) => user.github_com_enterprise_roles,
+    // roles are joined with ', ' in flat formats like the report always did, other lists with ','
+    separator: ', '
+  },
+  member_roles: {
+    label: 'Member Roles',
+    value: ({ user }) => user.github_com_member_roles,
+    separator: ', '
+  },
+  verified_domain_emails: {
+    label: 'Verified Domain E-Mails',
+    value: ({ user }) => user.github_com_verified_domain_emails
+  },
+  github_com_saml_name_id: {
+    label: 'github_com_saml_name_id',
+    value: ({ user }) => user.github_com_saml_name_id
+  },
+  pending_invites: {
+    label: 'Pending Invites',
+    value: ({ user }) => user.github_com_orgs_with_pending_invites
+  },
+  github_com_two_factor_auth: {
+    label: 'github_com_two_factor_auth',
+    value: ({ user }) => user.github_com_two_factor_auth
+  },
+  vs_license_status: {
+    label: 'VS License Status',
+    value: ({ user }) => user.visual_studio_license_status
+  },
+  vs_subscription_email: {
+    label: 'VS Subscription E-mail',
+    value: ({ user }) => user.visual_studio_subscription_email
+  },
+  copilot_created_at: {
+    label: 'Copilot Created At',
+    value: ({ copilotSeat }) => copilotSeat?.created_at ?? null
+  },
+  copilot_updated_at: {
+    label: 'Copilot Updated At',
+    value: ({ copilotSeat }) => copilotSeat?.updated_at ?? null
+  },
+  copilot_last_activity_at: {
+    label: 'Copilot Last Activity At',
+    value: ({ copilotSeat }) => copilotSeat?.last_activity_at ?? null
+  },
+  copilot_last_activity_editor: {
+    label: 'Copilot Last Activity Editor',
+    value: ({ copilotSeat }) => copilotSeat?.last_activity_editor ?? null
+  },
+  copilot_assigning_team: {
+    label: 'Copilot Assigning Team',
+    value: ({ copilotSeat }) => copilotSeat?.assigning_team?.name ?? null
+  },
+  copilot_assigning_org: {
+    label: 'Copilot Assigning Org',
+    value: ({ copilotSeat }) => copilotSeat?.organization?.login ?? null
+  },
+  copilot_pending_cancellation_date: {
+    label: 'Copilot Pending Cancellation Date',
+    value: ({ copilotSeat }) => copilotSeat?.pending_cancellation_date ?? null
+  },
+  days_since_last_activity: {
+    label: 'Days Since Last Activity',
+    value: ({ activity }) => activity?.daysSinceLastActivity ?? null
+  },
+  inactive: {
+    label: 'Inactive',
+    value: ({ activity }) => activity?.inactive ?? null
+  },
+  last_activity_source: {
+    label: 'Last Activity Source',
+    value: ({ activity }) => activity?.source ?? null
+  }
+}
+
+/**
+ * Names of the columns included in the report when no columns are selected.
+ * @type {Array<string>}
+ */
+const defaultColumns = Object.keys(reportColumns).filter(
+  name => !reportColumns[name].optional
+)
+
+/**
+ * Parse the columns selection. Each entry is a column name, optionally followed by a custom header label: `name:Label`.
+ * @param {Array<string>} entries The selected columns in the order they should appear in the report.
+ * @returns {Array<{name: string, label: string, value: function(UserContext): any, separator?: string}>} The selected columns. Default columns when nothing was selected.
+ * @throws {Error} Throws an error if a column is unknown or a header label is used twice.
+ */
+function parseColumns(entries) {
+  if (!entries || entries.length === 0) {
+    return defaultColumns.map(name => ({
+      name,
+      label: reportColumns[name].label,
+      value: reportColumns[name].value,
+      separator: reportColumns[name].separator
+    }))
+  }
+
+  const selected = entries.map(entry => {
+    const separator = entry.indexOf(':')
+    const name = (separator >= 0 ? entry.substring(0, separator) : entry).trim()
+    const label = separator >= 0 ? entry.substring(separator + 1).trim() : ''
+
+    const column = reportColumns[name]
+    if (!column) {
+      throw new Error(
+        `Unknown report column '${name}'. Valid columns: ${Object.keys(reportColumns).join(', ')}`
+      )
+    }
+
+    return {
+      name,
+      label: label || column.label,
+      value: column.value,
+      separator: column.separator
+    }
+  })
+
+  const labels = new Set()
+  for (const column of selected) {
+    if (labels.has(column.label)) {
+      throw new Error(
+        `Report column header '${column.label}' is used more than once.`
+      )
+    }
+    labels.add(column.label)
+  }
+
+  return selected
+}
+
+/**
+ * Build a single report row from the selected columns.
+ * @param {UserContext} context The data for the user.
+ * @param {Array<{label: string, value: function(UserContext): any}>} columns The selected columns.
+ * @returns {Object} The report row where keys are the column header labels.
+ */
+function buildRow(context, columns) {
+  const row = {}
+
+  for (const column of columns) {
+    const value = column.value(context)
+
+    // for all the properties added to the report, remove newlines
+    row[column.label] = Array.isArray(value)
+      ? value.map(sanitize)
+      : sanitize(value)
+  }
+
+  return row
+}
+
+/**
+ * Remove newlines from string values.
+ * @param {any} value The value to sanitize.
+ * @returns {any} The sanitized value, non-string values are returned as is.
+ */
+function sanitize(value) {
+  if (value && typeof value === 'string') {
+    return value.replace(/[\r\n]+/gm, '').replace('+rok', '')
+  }
+  return value
+}
+
+/**
+ * Convert a date (or a date string) to an ISO string.
+ * @param {Date|string|null} value The date.
+ * @returns {string|null} The ISO string or null when there's no date.
+ */
+function toISODate(value) {
+  if (!value) {
+    return null
+  }
+  return new Date(value).toISOString()
+}
+
+module.exports = {
+  reportColumns,
+  defaultColumns,
+  parseColumns,
+  buildRow,
+  toISODate
+}
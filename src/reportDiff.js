@@ -0,0 +1,157 @@
+const core = require('@actions/core')
+const fs = require('fs')
+
+/**
+ * The state of a single user kept between runs to detect changes.
+ * @typedef {Object} SnapshotEntry
+ * @property {string} scope The enterprise (or organization) the user belongs to.
+ * @property {string} login The GitHub login.
+ * @property {string?} license_type The license type.
+ * @property {Array<string>} enterprise_roles The enterprise roles.
+ * @property {Array<string>} org_ownership The organizations owned by the user.
+ * @property {boolean} copilot_seat Whether the user has a copilot seat.
+ * @property {Array<string>} teams The teams of the user in `org/team-slug` form.
+ */
+
+/**
+ * Order of the changes for users with more than one change.
+ * @type {Array<string>}
+ */
+const changeTypes = [
+  'added',
+  'removed',
+  'enterprise_roles_changed',
+  'org_ownership_changed',
+  'copilot_seat_added',
+  'copilot_seat_removed',
+  'teams_changed'
+]
+
+/**
+ * Build the snapshot entry for a user.
+ * @param {string} scope The enterprise (or organization) name.
+ * @param {{github_com_login: string, license_type: string?, github_com_enterprise_roles: Array<string>, github_com_member_roles: Array<string>}} user The user consuming a license.
+ * @param {Object} [copilotSeat] The copilot seat assigned to the user.
+ * @param {Array<string>} [teamRoles] The team roles of the user in `org/team-slug:Role` form.
+ * @returns {SnapshotEntry} The snapshot entry.
+ */
+function toSnapshotEntry(scope, user, copilotSeat, teamRoles = []) {
+  return {
+    scope,
+    login: user.github_com_login,
+    license_type: user.license_type ?? null,
+    enterprise_roles: [...(user.github_com_enterprise_roles ?? [])].sort(),
+    org_ownership: (user.github_com_member_roles ?? [])
+      .filter(r => r.endsWith(':Owner'))
+      .map(r => r.split(':')[0])
+      .sort(),
+    copilot_seat: Boolean(copilotSeat),
+    teams: teamRoles.map(r => r.substring(0, r.lastIndexOf(':'))).sort()
+  }
+}
+
+/**
+ * Compare two snapshots and list the changes, ordered by scope, login and change type.
+ * @param {Array<SnapshotEntry>} previous The snapshot from the previous run.
+ * @param {Array<SnapshotEntry>} current The snapshot from this run.
+ * @returns {Array<{scope: string, login: string, change: string, added: Array<string>, removed: Array<string>}>} The changes. `added` and `removed` list the roles, organizations or teams that changed.
+ */
+function diffSnapshots(previous, current) {
+  const key = entry => `${entry.scope}/${entry.login}`
+  const before = new Map(previous.map(entry => [key(entry), entry]))
+  const after = new Map(current.map(entry => [key(entry), entry]))
+
+  const changes = []
+  const push = (entry, change, added = [], removed = []) =>
+    changes.push({
+      scope: entry.scope,
+      login: entry.login,
+      change,
+      added,
+      removed
+    })
+
+  for (const [id, entry] of after) {
+    const old = before.get(id)
+    if (!old) {
+      push(entry, 'added')
+      continue
+    }
+
+    const lists = {
+      enterprise_roles_changed: 'enterprise_roles',
+      org_ownership_changed: 'org_ownership',
+      teams_changed: 'teams'
+    }
+    for (const [change, property] of Object.entries(lists)) {
+      const added = difference(entry[property], old[property])
+      const removed = difference(old[property], entry[property])
+      if (added.length > 0 || removed.length > 0) {
+        push(entry, change, added, removed)
+      }
+    }
+
+    if (entry.copilot_seat && !old.copilot_seat) {
+      push(entry, 'copilot_seat_added')
+    } else if (!entry.copilot_seat && old.copilot_seat) {
+      push(entry, 'copilot_seat_removed')
+    }
+  }
+
+  for (const [id, entry] of before) {
+    if (!after.has(id)) {
+      push(entry, 'removed')
+    }
+  }
+
+  return changes.sort(
+    (a, b) =>
+      a.scope.localeCompare(b.scope) ||
+      a.login.localeCompare(b.login) ||
+      changeTypes.indexOf(a.change) - changeTypes.indexOf(b.change)
+  )
+}
+
+/**
+ * Read snapshots written by previous runs.
+ * @param {Array<string>} paths The paths to the snapshot files.
+ * @returns {Array<SnapshotEntry>} The entries from all files.
+ * @throws {Error} Throws an error if a file can't be read or is not a snapshot.
+ */
+function readSnapshots(paths) {
+  const entries = []
+
+  for (const path of paths) {
+    core.info(`Reading previous report snapshot from ${path}`)
+    let data
+    try {
+      data = JSON.parse(fs.readFileSync(path, 'utf8'))
+    } catch (error) {
+      throw new Error(
+        `Unable to read previous report snapshot '${path}': ${error.message}`
+      )
+    }
+
+    if (!Array.isArray(data) || data.some(e => !e.scope || !e.login)) {
+      throw new Error(
+        `Previous report snapshot '${path}' is not a snapshot written by this action.`
+      )
+    }
+    entries.push(...data)
+  }
+
+  return entries
+}
+
+/**
+ * Get the items that are in the first list but not in the second one.
+ * @param {Array<string>} a The first list.
+ * @param {Array<string>} b The second list.
+ * @returns {Array<string>} The difference.
+ */
+function difference(a = [], b = []) {
+  const set = new Set(b)
+  return a.filter(item => !set.has(item))
+}
+
+module.exports = { toSnapshotEntry, diffSnapshots, readSnapshots }
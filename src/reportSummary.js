@@ -0,0 +1,142 @@
+const core = require('@actions/core')
+
+const DAY = 1000 * 60 * 60 * 24
+
+/**
+ * Compute enterprise-level statistics for the report.
+ * @param {Object} data The data collected for the report.
+ * @param {Array<{login: string}>} data.orgs The organizations in the enterprise.
+ * @param {Array<{github_com_login: string, license_type: string, github_com_two_factor_auth: boolean?, github_com_saml_name_id: string?, github_com_orgs_with_pending_invites: Array<string>}>} data.users The users consuming licenses.
+ * @param {Map<string, {last_activity_at: string?}>} data.copilotSeats The copilot seats by assignee login.
+ * @param {integer} data.auditLookupFailures The number of users whose audit log lookup failed.
+ * @param {integer} [data.inactiveUsers] The number of inactive users.
+ * @param {{reclaimableSeats: integer, monthlyWaste: number}} [data.copilotWaste] The reclaimable copilot seats and their monthly cost.
+ * @param {boolean} [data.enterpriseData] Whether enterprise-only data (SAML identities, pending invites, audit log) is available (default true).
+ * @param {{audit: {oldestDays: integer?, neverRefreshed: integer}?, user: {oldestDays: integer?, neverRefreshed: integer}?}} [data.cacheStaleness] How stale the oldest entry of the Audit and User caches is after the run.
+ * @param {Date} [now] The current date.
+ * @returns {{totalUsers: integer, usersByLicenseType: Object<string, integer>, orgs: integer, copilotSeats: integer, copilotSeatsActive: integer, usersWithout2FA: integer, usersWithoutSAML: integer?, usersWithPendingInvites: integer?, auditLookupFailures: integer?, inactiveUsers: integer?, copilotReclaimableSeats: integer?, copilotMonthlyWaste: number?, auditCacheStaleness: {oldestDays: integer?, neverRefreshed: integer}?, userCacheStaleness: {oldestDays: integer?, neverRefreshed: integer}?}} The statistics. Enterprise-only statistics are `null` without enterprise data.
+ */
+function getReportStatistics(data, now = new Date()) {
+  const enterpriseData = data.enterpriseData ?? true
+  const usersByLicenseType = {}
+  for (const user of data.users) {
+    const type = user.license_type ?? 'unknown'
+    usersByLicenseType[type] = (usersByLicenseType[type] ?? 0) + 1
+  }
+
+  const copilotSeatsActive = [...data.copilotSeats.values()].filter(
+    seat =>
+      seat.last_activity_at && now - new Date(seat.last_activity_at) <= 30 * DAY
+  ).length
+
+  return {
+    totalUsers: data.users.length,
+    usersByLicenseType,
+    orgs: data.orgs.length,
+    copilotSeats: data.copilotSeats.size,
+    copilotSeatsActive,
+    usersWithout2FA: data.users.filter(
+      u => u.github_com_two_factor_auth === false
+    ).length,
+    usersWithoutSAML: enterpriseData
+      ? data.users.filter(u => !u.github_com_saml_name_id).length
+      : null,
+    usersWithPendingInvites: enterpriseData
+      ? data.users.filter(
+          u => u.github_com_orgs_with_pending_invites?.length > 0
+        ).length
+      : null,
+    auditLookupFailures: enterpriseData ? data.auditLookupFailures : null,
+    inactiveUsers: data.inactiveUsers ?? null,
+    copilotReclaimableSeats: data.copilotWaste?.reclaimableSeats ?? null,
+    copilotMonthlyWaste: data.copilotWaste?.monthlyWaste ?? null,
+    auditCacheStaleness: data.cacheStaleness?.audit ?? null,
+    userCacheStaleness: data.cacheStaleness?.user ?? null
+  }
+}
+
+/**
+ * Describe the staleness of a cache for the summary.
+ * @param {{oldestDays: integer?, neverRefreshed: integer}|null} staleness The staleness, null without cache.
+ * @returns {string} E.g. `12 days (40 never refreshed)`, `n/a` without cache.
+ */
+function formatStaleness(staleness) {
+  if (!staleness) {
+    return 'n/a'
+  }
+
+  const oldest =
+    staleness.oldestDays === null
+      ? 'never refreshed'
+      : `${staleness.oldestDays} days`
+  return staleness.neverRefreshed > 0 && staleness.oldestDays !== null
+    ? `${oldest} (${staleness.neverRefreshed} never refreshed)`
+    : oldest
+}
+
+/**
+ * Write the job summary with enterprise-level statistics.
+ * The summary is skipped (with a warning) when the job summary is not available, e.g. when running locally.
+ * @param {string} ent The enterprise (or organization) name.
+ * @param {ReturnType<getReportStatistics>} stats The report statistics.
+ * @returns {Promise<void>} Resolves when the summary is written.
+ */
+async function writeSummary(ent, stats) {
+  const header = [
+    { data: 'Metric', header: true },
+    { data: 'Value', header: true }
+  ]
+  const licenseRows = Object.entries(stats.usersByLicenseType).map(
+    ([type, count]) => [type, `${count}`]
+  )
+
+  try {
+    await core.summary
+      .addHeading(`GitHub users report for '${ent}'`)
+      .addTable([
+        header,
+        ['Licensed users', `${stats.totalUsers}`],
+        ['Organizations', `${stats.orgs}`],
+        ['Copilot seats assigned', `${stats.copilotSeats}`],
+        [
+          'Copilot seats active in the last 30 days',
+          `${stats.copilotSeatsActive}`
+        ],
+        ['Users without 2FA', `${stats.usersWithout2FA}`],
+        ['Users without a SAML identity', `${stats.usersWithoutSAML ?? 'n/a'}`],
+        [
+          'Users with pending invites',
+          `${stats.usersWithPendingInvites ?? 'n/a'}`
+        ],
+        [
+          'Users whose audit log lookup failed',
+          `${stats.auditLookupFailures ?? 'n/a'}`
+        ],
+        ['Inactive users', `${stats.inactiveUsers ?? 'n/a'}`],
+        [
+          'Reclaimable Copilot seats',
+          `${stats.copilotReclaimableSeats ?? 'n/a'}`
+        ],
+        ['Monthly Copilot waste', `${stats.copilotMonthlyWaste ?? 'n/a'}`],
+        [
+          'Oldest Audit Cache entry',
+          formatStaleness(stats.auditCacheStaleness)
+        ],
+        ['Oldest User Cache entry', formatStaleness(stats.userCacheStaleness)]
+      ])
+      .addHeading('Users per license type', 3)
+      .addTable([
+        [
+          { data: 'License type', header: true },
+          { data: 'Users', header: true }
+        ],
+        ...licenseRows
+      ])
+      .write()
+  } catch (error) {
+    core.warning(`Unable to write the job summary: ${error.message}`)
+    core.summary.emptyBuffer()
+  }
+}
+
+module.exports = { getReportStatistics, writeSummary }
@@ -0,0 +1,123 @@
+const ExcelJS = require('exceljs')
+const core = require('@actions/core')
+const fs = require('fs')
+const { toCSV, flattenRow, removeExisting } = require('./csvHelper')
+
+/**
+ * Write data as a pretty printed JSON array.
+ * @param {Array<Object>} data The report rows.
+ * @param {string} type The report type used in the file name.
+ * @returns {Promise<string>} The path to the JSON file.
+ */
+async function toJSON(data, type) {
+  const jsonPath = `github_${type}_output.json`
+
+  removeExisting(jsonPath)
+
+  fs.writeFileSync(jsonPath, JSON.stringify(data, null, 2))
+  return jsonPath
+}
+
+/**
+ * Write data as newline delimited JSON - one row per line.
+ * @param {Array<Object>} data The report rows.
+ * @param {string} type The report type used in the file name.
+ * @returns {Promise<string>} The path to the NDJSON file.
+ */
+async function toNDJSON(data, type) {
+  const ndjsonPath = `github_${type}_output.ndjson`
+
+  removeExisting(ndjsonPath)
+
+  const lines = data.map(row => `${JSON.stringify(row)}\n`)
+  fs.writeFileSync(ndjsonPath, lines.join(''))
+  return ndjsonPath
+}
+
+/**
+ * Write data as an Excel workbook with a single worksheet.
+ * @param {Array<Object>} data The report rows.
+ * @param {string} type The report type used in the file name.
+ * @param {Array<string>} [fields] The column headers, used when there are no rows.
+ * @param {Object<string, string>} [separators] The separators of list values by column label.
+ * @returns {Promise<string>} The path to the XLSX file.
+ */
+async function toXLSX(data, type, fields, separators) {
+  const xlsxPath = `github_${type}_output.xlsx`
+
+  removeExisting(xlsxPath)
+
+  const workbook = new ExcelJS.Workbook()
+  const worksheet = workbook.addWorksheet(type.substring(0, 31))
+  const rows = data.map(row => flattenRow(row, separators))
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : (fields ?? [])
+
+  worksheet.columns = headers.map(header => ({ header, key: header }))
+  worksheet.addRows(rows)
+
+  await workbook.xlsx.writeFile(xlsxPath)
+  return xlsxPath
+}
+
+/**
+ * Writers for all supported output formats.
+ * @type {Object<string, function(Array<Object>, string, Array<string>=, Object<string, string>=): Promise<string>|string>}
+ */
+const writers = {
+  csv: toCSV,
+  json: toJSON,
+  ndjson: toNDJSON,
+  xlsx: toXLSX
+}
+
+/**
+ * Validate the requested output formats.
+ * @param {Array<string>} formats The requested output formats.
+ * @returns {Array<string>} The normalized (lower case, de-duplicated) formats.
+ * @throws {Error} Throws an error if a format is not supported.
+ */
+function parseOutputFormats(formats) {
+  const normalized = [...new Set(formats.map(f => f.trim().toLowerCase()))]
+
+  if (normalized.length === 0) {
+    return ['csv']
+  }
+
+  for (const format of normalized) {
+    if (!writers[format]) {
+      throw new Error(
+        `Unsupported output format '${format}'. Supported formats: ${Object.keys(writers).join(', ')}`
+      )
+    }
+  }
+
+  return normalized
+}
+
+/**
+ * Write the report in all requested formats.
+ * @param {Array<Object>} data The report rows.
+ * @param {string} type The report type used in the file name.
+ * @param {Array<string>} formats The output formats.
+ * @param {Array<string>} [fields] The column headers of a report without rows (CSV and XLSX).
+ * @param {Object<string, string>} [separators] The separators of list values by column label (CSV and XLSX), JSON keeps the lists.
+ * @returns {Promise<Object<string, string>>} The paths to the written files by format.
+ */
+async function writeReport(data, type, formats, fields, separators) {
+  const files = {}
+
+  for (const format of formats) {
+    files[format] = await writers[format](data, type, fields, separators)
+    core.info(`Wrote ${format.toUpperCase()} report to ${files[format]}`)
+  }
+
+  return files
+}
+
+module.exports = {
+  writeReport,
+  parseOutputFormats,
+  toJSON,
+  toNDJSON,
+  toXLSX
+}
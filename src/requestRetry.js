@@ -0,0 +1,168 @@
+const core = require('@actions/core')
+
+/* server errors worth another attempt, 500 is also used by Octokit for network errors */
+const TRANSIENT_STATUSES = [500, 502, 503, 504]
+/* GitHub asks to wait at least a minute after a secondary rate limit without retry-after */
+const SECONDARY_RATE_LIMIT_DELAY_MS = 60 * 1000
+
+/**
+ * How failed requests are retried.
+ * @typedef {Object} RetryOptions
+ * @property {integer} retries Attempts after a server or network error.
+ * @property {integer} rateLimitRetries Attempts after a rate limit error (403 or 429).
+ * @property {integer} [retryDelayMs] Delay before the first retry, doubled on every attempt.
+ * @property {function(integer): Promise<void>} [sleep] Waits for the given number of milliseconds.
+ */
+
+/**
+ * Default retry options.
+ * @type {RetryOptions}
+ */
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  rateLimitRetries: 5,
+  retryDelayMs: 1000
+}
+
+/**
+ * Retry every request of an Octokit instance with exponential backoff. Rate limit errors wait for `retry-after` or the rate limit reset.
+ * Register it after the hooks that should run for every attempt (e.g. the rate limit governor).
+ * @param {import('@octokit/core').Octokit} octokit The Octokit instance.
+ * @param {RetryOptions} [options] The retry options.
+ * @returns {void}
+ */
+function retryRequests(octokit, options = {}) {
+  const { retries, rateLimitRetries, retryDelayMs } = {
+    ...DEFAULT_RETRY_OPTIONS,
+    ...options
+  }
+  const sleep =
+    options.sleep ?? (ms => new Promise(resolve => setTimeout(resolve, ms)))
+
+  octokit.hook.wrap('request', async (request, requestOptions) => {
+    let errors = 0
+    let rateLimits = 0
+
+    for (;;) {
+      try {
+        return await request(requestOptions)
+      } catch (error) {
+        const rateLimited = isRateLimited(error)
+        const attempt = rateLimited ? ++rateLimits : ++errors
+        const maxAttempts = rateLimited ? rateLimitRetries : retries
+        if ((!rateLimited && !isTransient(error)) || attempt > maxAttempts) {
+          throw error
+        }
+
+        const delay = rateLimited
+          ? rateLimitDelay(error, retryDelayMs * 2 ** (attempt - 1))
+          : retryDelayMs * 2 ** (attempt - 1)
+        core.warning(
+          `${requestOptions.method} ${requestOptions.url} ${rateLimited ? 'hit a rate limit' : 'failed'} (${error.status}). Retrying in ${delay} ms (${attempt}/${maxAttempts}).`
+        )
+        await sleep(delay)
+      }
+    }
+  })
+}
+
+/**
+ * Whether a request failed on a primary or secondary rate limit.
+ * @param {Error} error The request error.
+ * @returns {boolean} True on a rate limit error.
+ */
+function isRateLimited(error) {
+  if (![403, 429].includes(error.status)) {
+    return false
+  }
+  const headers = error.response?.headers ?? {}
+  return (
+    error.status === 429 ||
+    headers['retry-after'] !== undefined ||
+    headers['x-ratelimit-remaining'] === '0' ||
+    /rate limit/i.test(error.message)
+  )
+}
+
+/**
+ * Whether a request failed on a server or network error.
+ * @param {Error} error The request error.
+ * @returns {boolean} True when the request may succeed on another attempt.
+ */
+function isTransient(error) {
+  return TRANSIENT_STATUSES.includes(error.status)
+}
+
+/**
+ * How long to wait after a rate limit error: `retry-after`, the rate limit reset when it's used up, or at least a minute.
+ * @param {Error} error The request error.
+ * @param {integer} backoff The exponential backoff delay.
+ * @param {Date} [now] The current date.
+ * @returns {integer} The delay in milliseconds.
+ */
+function rateLimitDelay(error, backoff, now = new Date()) {
+  const headers = error.response?.headers ?? {}
+  const retryAfter = Number(headers['retry-after'])
+  if (retryAfter > 0) {
+    return retryAfter * 1000
+  }
+
+  const reset = Number(headers['x-ratelimit-reset'])
+  if (headers['x-ratelimit-remaining'] === '0' && reset > 0) {
+    // one more second, the reset time is rounded down
+    return Math.max(0, reset * 1000 - now.getTime()) + 1000
+  }
+  return Math.max(SECONDARY_RATE_LIMIT_DELAY_MS, backoff)
+}
+
+/**
+ * Parse the retry attempt counts.
+ * @param {Object} inputs The raw inputs, empty values use the defaults.
+ * @param {string|integer} [inputs.retries] Attempts after a server or network error.
+ * @param {string|integer} [inputs.rateLimitRetries] Attempts after a rate limit error.
+ * @returns {RetryOptions} The retry options.
+ * @throws {Error} Throws an error if a count is not a non-negative integer.
+ */
+function parseRetryOptions(inputs = {}) {
+  return {
+    ...DEFAULT_RETRY_OPTIONS,
+    retries: parseAttempts(
+      inputs.retries,
+      DEFAULT_RETRY_OPTIONS.retries,
+      'max retries'
+    ),
+    rateLimitRetries: parseAttempts(
+      inputs.rateLimitRetries,
+      DEFAULT_RETRY_OPTIONS.rateLimitRetries,
+      'max rate limit retries'
+    )
+  }
+}
+
+/**
+ * Parse an attempt count.
+ * @param {string|integer|undefined} value The value, empty for the default.
+ * @param {integer} defaultValue The default value.
+ * @param {string} name Name of the value used in the error.
+ * @returns {integer} The attempt count.
+ * @throws {Error} Throws an error if the value is not a non-negative integer.
+ */
+function parseAttempts(value, defaultValue, name) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue
+  }
+
+  const count = Number(value)
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(
+      `Invalid ${name} '${value}'. It must be a non-negative integer.`
+    )
+  }
+  return count
+}
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  retryRequests,
+  parseRetryOptions
+}
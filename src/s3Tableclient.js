@@ -0,0 +1,409 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand
+} = require('@aws-sdk/client-s3')
+const core = require('@actions/core')
+
+const tableName = 'usersaudit'
+const partitionKey = 'audit'
+
+/* number of writes after which the table object is saved, so that a failed run keeps most of its progress */
+const FLUSH_EVERY = 500
+/* number of times a save is retried after another run changed the object */
+const MAX_CONFLICT_RETRIES = 5
+
+/**
+ * Where the cache objects are kept in an S3-compatible bucket.
+ * @typedef {Object} S3CacheConfig
+ * @property {string} bucket The bucket name.
+ * @property {string} [prefix] Prefix of the object keys, e.g. `gh-user-report/`.
+ * @property {string} [region] The bucket region. Defaults to the AWS_REGION environment variable.
+ * @property {string} [endpoint] Custom endpoint for S3-compatible storage (MinIO). Path-style addressing is used with it.
+ */
+
+/**
+ * Table objects loaded in this run, shared by all clients using the same object.
+ * `changes` holds the entities written since the last save (null for deleted ones), they are applied again on top of the object saved by another run.
+ * `saving` chains the saves of the object, so that a save never runs while another one is in flight.
+ * @type {Map<string, {client: S3Client, bucket: string, key: string, etag: string|null, partitions: Object<string, Object<string, Object>>, changes: Map<string, Object|null>, loaded: Promise<void>, saving: Promise<void>}>}
+ */
+const documents = new Map()
+
+/**
+ * A client with the same interface as the StorageTableClient that keeps every table in a JSON object in an S3-compatible bucket.
+ * Objects are saved with conditional writes (ETags): when another run saved the object in the meantime, it's loaded again and the changes of this run are applied on top of it.
+ * @class
+ * @classdesc A client for a table stored in an S3 bucket.
+ */
+class S3TableClient {
+  /**
+   * Creates a new instance of the S3TableClient.
+   * @param {S3CacheConfig} config The bucket configuration.
+   * @param {string} [table] The table name.
+   * @returns {S3TableClient} The new instance.
+   * @constructor
+   */
+  constructor(config, table = tableName) {
+    this.bucket = config.bucket
+    this.key = `${config.prefix ?? ''}${table}.json`
+    this.table = table
+    this.s3 = new S3Client({
+      region: config.region || process.env.AWS_REGION || 'us-east-1',
+      endpoint: config.endpoint || undefined,
+      forcePathStyle: Boolean(config.endpoint)
+    })
+  }
+
+  /**
+   * Create the table if it does not exist
+   * @returns {Promise<void>} Resolves when the table is created
+   */
+  async createTable() {
+    // the object is created on the first save
+    await this.#document()
+  }
+
+  /**
+   * Get all entities in the table
+   * @returns {Promise<Array<{partitionKey:string, rowKey:string, lastUpdated: Date, any}>} The entities in the table
+   */
+  async getAll() {
+    const { partitions } = await this.#document()
+    return Object.values(partitions).flatMap(partition =>
+      Object.values(partition).map(entity => ({ ...entity }))
+    )
+  }
+
+  /**
+   * Get all entities in a partition
+   * @param {string} partition The partition key
+   * @returns {Promise<Array<{partitionKey:string, rowKey:string, any}>>} The entities in the partition
+   */
+  async getPartition(partition) {
+    const { partitions } = await this.#document()
+    return Object.values(partitions[partition] ?? {}).map(entity => ({
+      ...entity
+    }))
+  }
+
+  /**
+   * Upsert a user entity
+   * @param {string} login The login of the user
+   * @param {string} lastActivityDate The last activity date
+   * @returns {Promise<{partitionKey:string, rowKey:string, lastActivityDate: Date, lastUpdated: Date}>} The entity that was upserted
+   */
+  async upsertUser(login, lastActivityDate) {
+    const entity = {
+      partitionKey,
+      rowKey: login,
+      lastActivityDate,
+      lastUpdated: new Date().toISOString()
+    }
+    await this.#write([entity])
+
+    return entity
+  }
+
+  /**
+   * Upsert a user entity
+   * @param {string} login The login of the user
+   * @param {{login:string, id:number, type:string, created_at: Date, updated_at: Date, company: string, name: string}} user User object
+   * @returns {Promise<{partitionKey:string, rowKey:string, login:string, id:number, type:string, created_at: Date, updated_at: Date, company: string, name: string, lastUpdated: Date}>} The entity that was upserted
+   */
+  async upsertUserData(login, user) {
+    const entity = {
+      partitionKey,
+      rowKey: login,
+      id: user.id,
+      login: user.login,
+      type: user.type,
+      created_at: user.created_at,
+      updated_at: user.updated_at,
+      company: user.company,
+      name: user.name,
+      lastUpdated: new Date().toISOString()
+    }
+    await this.#write([entity])
+
+    return entity
+  }
+
+  /**
+   * Get a user entity
+   * @param {string} login The login of the user
+   * @returns {Promise<{partitionKey:string, rowKey:string, lastActivityDate: Date, lastUpdated: Date}>} The entity that was retrieved
+   * @throws {Error} If the entity is not found
+   */
+  async getUser(login) {
+    const { partitions } = await this.#document()
+    const entity = partitions[partitionKey]?.[login]
+    if (!entity) {
+      throw new Error(`User ${login} not found in ${this.table}`)
+    }
+    return { ...entity }
+  }
+
+  /**
+   * Bulk insert user logins
+   * @param {Array<string>} userLogins The user logins to insert
+   * @returns {Promise<void>} Resolves when the bulk insert is complete
+   */
+  async bulkInsert(userLogins) {
+    await this.#write(
+      userLogins.map(login => ({
+        partitionKey,
+        rowKey: login,
+        lastActivityDate: null,
+        lastUpdated: null
+      }))
+    )
+  }
+
+  /**
+   * Upsert entities, properties are merged into existing entities
+   * @param {Array<{partitionKey:string, rowKey:string, any}>} entities The entities to upsert
+   * @returns {Promise<void>} Resolves when all entities are upserted
+   */
+  async upsertEntities(entities) {
+    await this.#write(entities)
+  }
+
+  /**
+   * Delete entities
+   * @param {Array<{partitionKey:string, rowKey:string}>} entities The entities to delete
+   * @returns {Promise<void>} Resolves when all entities are deleted
+   */
+  async deleteEntities(entities) {
+    await this.#write(entities, true)
+  }
+
+  /**
+   * Save the table object.
+   * @returns {Promise<void>} Resolves when the object is saved
+   */
+  async flush() {
+    await saveDocument(await this.#document())
+  }
+
+  /**
+   * Identifies the table object in this run.
+   * @returns {string} The bucket and key.
+   */
+  #id() {
+    return `${this.bucket}/${this.key}`
+  }
+
+  /**
+   * Load the table object on first use.
+   * @returns {Promise<{partitions: Object<string, Object<string, Object>>, changes: Map<string, Object|null>}>} The table document.
+   */
+  async #document() {
+    const id = this.#id()
+    if (!documents.has(id)) {
+      const document = {
+        client: this.s3,
+        bucket: this.bucket,
+        key: this.key,
+        etag: null,
+        partitions: {},
+        changes: new Map(),
+        saving: Promise.resolve()
+      }
+      // clients of the same table can load it at the same time, wait for the first load
+      document.loaded = loadDocument(document)
+      documents.set(id, document)
+    }
+    const document = documents.get(id)
+    await document.loaded
+    return document
+  }
+
+  /**
+   * Insert, replace or delete entities and save the object every `FLUSH_EVERY` changes.
+   * @param {Array<{partitionKey:string, rowKey:string}>} entities The entities.
+   * @param {boolean} [remove] Delete the entities instead.
+   * @returns {Promise<void>} Resolves when the entities are written.
+   */
+  async #write(entities, remove = false) {
+    const document = await this.#document()
+    for (const entity of entities) {
+      // like a Table Storage upsert, properties are merged into the existing entity
+      const change = remove
+        ? null
+        : {
+            ...document.partitions[entity.partitionKey]?.[entity.rowKey],
+            ...entity
+          }
+      applyChange(document.partitions, entity, change)
+      document.changes.set(
+        JSON.stringify([entity.partitionKey, entity.rowKey]),
+        change
+      )
+      if (document.changes.size >= FLUSH_EVERY) {
+        await saveDocument(document)
+      }
+    }
+  }
+}
+
+/**
+ * Insert, replace or delete a single entity.
+ * @param {Object<string, Object<string, Object>>} partitions The entities by partition key and row key.
+ * @param {{partitionKey:string, rowKey:string}} entity The entity keys.
+ * @param {Object|null} change The new entity, null to delete it.
+ * @returns {void}
+ */
+function applyChange(partitions, entity, change) {
+  if (change) {
+    partitions[entity.partitionKey] = partitions[entity.partitionKey] ?? {}
+    partitions[entity.partitionKey][entity.rowKey] = change
+  } else {
+    delete partitions[entity.partitionKey]?.[entity.rowKey]
+  }
+}
+
+/**
+ * Load the table object from the bucket and apply the changes not saved yet.
+ * @param {{client: S3Client, bucket: string, key: string, etag: string|null, partitions: Object, changes: Map<string, Object|null>}} document The table document.
+ * @returns {Promise<void>} Resolves when the object is loaded.
+ */
+async function loadDocument(document) {
+  try {
+    const response = await document.client.send(
+      new GetObjectCommand({ Bucket: document.bucket, Key: document.key })
+    )
+    document.partitions =
+      JSON.parse(await response.Body.transformToString()).partitions ?? {}
+    document.etag = response.ETag
+    core.info(`Loaded cache object s3://${document.bucket}/${document.key}`)
+  } catch (error) {
+    if (error.name !== 'NoSuchKey' && error.$metadata?.httpStatusCode !== 404) {
+      throw new Error(
+        `Unable to load cache object s3://${document.bucket}/${document.key}: ${error.message}`
+      )
+    }
+    document.partitions = {}
+    document.etag = null
+    core.info(
+      `Cache object s3://${document.bucket}/${document.key} does not exist. Starting empty.`
+    )
+  }
+
+  for (const [id, change] of document.changes) {
+    const [pk, rk] = JSON.parse(id)
+    applyChange(document.partitions, { partitionKey: pk, rowKey: rk }, change)
+  }
+}
+
+/**
+ * Save a table object once the saves already in flight are done, see `putDocument`.
+ * @param {{changes: Map<string, Object|null>, saving: Promise<void>}} [document] The table document.
+ * @returns {Promise<void>} Resolves when the object is saved.
+ * @throws {Error} Throws an error if the object keeps changing or can't be saved.
+ */
+async function saveDocument(document) {
+  if (!document) {
+    return
+  }
+
+  const previous = document.saving
+  const save = (async () => {
+    await previous
+    await putDocument(document)
+  })()
+  document.saving = (async () => {
+    try {
+      await save
+    } catch {
+      // a failed save is reported to its caller, the next save still runs
+    }
+  })()
+  await save
+}
+
+/**
+ * Save a table object when it has changes. The write only succeeds when the object was not changed since it was loaded,
+ * otherwise the object is loaded again, the changes are applied on top of it and the save is retried.
+ * @param {{client: S3Client, bucket: string, key: string, etag: string|null, partitions: Object, changes: Map<string, Object|null>}} document The table document.
+ * @returns {Promise<void>} Resolves when the object is saved.
+ * @throws {Error} Throws an error if the object keeps changing or can't be saved.
+ */
+async function putDocument(document) {
+  if (document.changes.size === 0) {
+    return
+  }
+
+  for (let attempt = 0; attempt <= MAX_CONFLICT_RETRIES; attempt++) {
+    // changes written while the object is uploaded are kept for the next save
+    const saved = new Map(document.changes)
+    try {
+      const response = await document.client.send(
+        new PutObjectCommand({
+          Bucket: document.bucket,
+          Key: document.key,
+          Body: JSON.stringify({ partitions: document.partitions }),
+          ContentType: 'application/json',
+          // only replace the version we loaded, or only create the object when we started empty
+          ...(document.etag ? { IfMatch: document.etag } : { IfNoneMatch: '*' })
+        })
+      )
+      document.etag = response.ETag
+      for (const [id, change] of saved) {
+        if (document.changes.get(id) === change) {
+          document.changes.delete(id)
+        }
+      }
+      return
+    } catch (error) {
+      if (!isConflict(error)) {
+        throw new Error(
+          `Unable to save cache object s3://${document.bucket}/${document.key}: ${error.message}`
+        )
+      }
+      core.warning(
+        `Cache object s3://${document.bucket}/${document.key} was changed by another run. Merging ${document.changes.size} changes.`
+      )
+      await loadDocument(document)
+    }
+  }
+
+  throw new Error(
+    `Unable to save cache object s3://${document.bucket}/${document.key}: it was changed by another run ${MAX_CONFLICT_RETRIES + 1} times.`
+  )
+}
+
+/**
+ * Whether a failed write was rejected because the object changed (412) or is being written concurrently (409).
+ * @param {Error} error The error from the S3 client.
+ * @returns {boolean} True on a conflict.
+ */
+function isConflict(error) {
+  const status = error.$metadata?.httpStatusCode
+  return (
+    status === 412 ||
+    status === 409 ||
+    ['PreconditionFailed', 'ConditionalRequestConflict'].includes(error.name)
+  )
+}
+
+/**
+ * Save all table objects loaded in this run.
+ * @returns {Promise<void>} Resolves when all objects are saved.
+ */
+async function flushAll() {
+  for (const document of documents.values()) {
+    await document.loaded
+    await saveDocument(document)
+  }
+}
+
+/**
+ * Forget the table objects loaded in this run, they are loaded again on next use.
+ * @returns {void}
+ */
+function reset() {
+  documents.clear()
+}
+
+module.exports = { S3TableClient, flushAll, reset }
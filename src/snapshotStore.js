@@ -0,0 +1,63 @@
+const { createTableClient } = require('./cacheFactory')
+const core = require('@actions/core')
+
+/* table with report snapshots, one partition per report scope */
+const tableName = 'reportsnapshots'
+
+/**
+ * A store for report snapshots in the cache (Azure Table Storage or a local file).
+ * @class
+ * @classdesc Keeps the snapshot of the last report run so that the next run can report changes.
+ * @property {import('./cacheFactory').TableCache} tableClient The cache client (Table Storage or local file).
+ */
+class SnapshotStore {
+  /**
+   * Creates a new instance of the SnapshotStore.
+   * @param {import('./cacheFactory').CacheConfig|string} cache The cache configuration, or a Connection String to Azure Table Storage.
+   * @returns {SnapshotStore} The new instance.
+   * @constructor
+   */
+  constructor(cache) {
+    this.tableClient = createTableClient(cache, tableName, 'Report snapshots')
+  }
+
+  /**
+   * Load the snapshot of an enterprise (or organization).
+   * @param {string} scope The enterprise or organization name.
+   * @returns {Promise<Array<import('./reportDiff').SnapshotEntry>>} The snapshot, empty when there was no previous run.
+   */
+  async load(scope) {
+    await this.tableClient.createTable()
+    const entities = await this.tableClient.getPartition(scope)
+
+    return entities.map(entity => JSON.parse(entity.snapshot))
+  }
+
+  /**
+   * Replace the snapshot of an enterprise (or organization).
+   * @param {string} scope The enterprise or organization name.
+   * @param {Array<import('./reportDiff').SnapshotEntry>} entries The snapshot.
+   * @returns {Promise<void>} Resolves when the snapshot is saved.
+   */
+  async save(scope, entries) {
+    const logins = new Set(entries.map(entry => entry.login))
+    const existing = await this.tableClient.getPartition(scope)
+
+    await this.tableClient.upsertEntities(
+      entries.map(entry => ({
+        partitionKey: scope,
+        rowKey: entry.login,
+        snapshot: JSON.stringify(entry),
+        lastUpdated: new Date().toISOString()
+      }))
+    )
+    await this.tableClient.deleteEntities(
+      existing.filter(entity => !logins.has(entity.rowKey))
+    )
+    core.info(
+      `Saved report snapshot with ${entries.length} users for '${scope}'`
+    )
+  }
+}
+
+module.exports = { SnapshotStore }
@@ -1,9 +1,16 @@
-const { TableClient, TableTransaction } = require('@azure/data-tables')
+const { TableClient, TableTransaction, odata } = require('@azure/data-tables')
 const core = require('@actions/core')
 
 const tableName = 'usersaudit'
 const partitionKey = 'audit'
 
+/* maximum number of entities in a single transaction */
+const TRANSACTION_LIMIT = 100
+/* number of times a throttled request is retried */
+const MAX_RETRIES = 5
+/* HTTP status codes returned when the storage account is throttling requests */
+const THROTTLED_STATUSES = [429, 503]
+
 /**
  * A client for interacting with Azure Table Storage.
  * @class
@@ -13,14 +20,19 @@ class StorageTableClient {
   /**
    * Creates a new instance of the StorageTableClient.
    * @param {string} tableStorageConnectionString Connection String to Azure Table Storage.
+   * @param {string} [table] The table name.
+   * @param {{retryDelayMs?: integer}} [options] `retryDelayMs` is the first delay before retrying a throttled request, doubled on every retry.
    * @returns {StorageTableClient} The new instance.
    * @constructor
    */
-  constructor(tableStorageConnectionString, table = tableName) {
+  constructor(tableStorageConnectionString, table = tableName, options = {}) {
     this.tableClient = TableClient.fromConnectionString(
       tableStorageConnectionString,
-      table
+      table,
+      { allowInsecureConnection: isInsecure(tableStorageConnectionString) }
     )
+    this.table = table
+    this.retryDelayMs = options.retryDelayMs ?? 1000
   }
 
   /**
@@ -28,10 +40,10 @@ class StorageTableClient {
    * @returns {Promise<void>} Resolves when the table is created
    */
   async createTable() {
-    await this.tableClient.createTable(tableName, {
+    await this.tableClient.createTable({
       onResponse: response => {
         if (response.status === 409) {
-          core.warning(`Table ${tableName} already exists`)
+          core.info(`Table ${this.table} already exists`)
         }
       }
     })
@@ -68,7 +80,7 @@ class StorageTableClient {
       lastActivityDate,
       lastUpdated: new Date().toISOString()
     }
-    await this.tableClient.upsertEntity(entity)
+    await this.#withRetry(() => this.tableClient.upsertEntity(entity))
 
     return entity
   }
@@ -92,7 +104,7 @@ class StorageTableClient {
       name: user.name,
       lastUpdated: new Date().toISOString()
     }
-    await this.tableClient.upsertEntity(entity)
+    await this.#withRetry(() => this.tableClient.upsertEntity(entity))
 
     return entity
   }
@@ -104,12 +116,12 @@ class StorageTableClient {
    * @throws {Error} If the entity is not found
    */
   async getUser(login) {
-    const entity = await this.tableClient.getEntity(login, login)
+    const entity = await this.tableClient.getEntity(partitionKey, login)
     return entity
   }
 
   /**
-   * Bulk insert user logins
+   * Bulk insert user logins. Entities are merged, so a login inserted by a previous (failed) run keeps its data.
    * @param {Array<string>} userLogins The user logins to insert
    * @returns {Promise<void>} Resolves when the bulk insert is complete
    * @throws {Error} If the bulk insert fails
@@ -125,14 +137,126 @@ class StorageTableClient {
       }
     })
 
-    const transaction = new TableTransaction()
+    // null properties are not sent, merging does not clear existing dates
+    await this.#submitInBatches(entities, (transaction, entity) =>
+      transaction.upsertEntity(entity, 'Merge')
+    )
+  }
+
+  /**
+   * Get all entities in a partition
+   * @param {string} partition The partition key
+   * @returns {Promise<Array<{partitionKey:string, rowKey:string, any}>>} The entities in the partition
+   */
+  async getPartition(partition) {
+    const entitiesIterator = this.tableClient.listEntities({
+      queryOptions: { filter: odata`PartitionKey eq ${partition}` }
+    })
+
+    const entities = []
+    for await (const entity of entitiesIterator) {
+      entities.push(entity)
+    }
+    return entities
+  }
+
+  /**
+   * Upsert entities in transactions.
+   * @param {Array<{partitionKey:string, rowKey:string, any}>} entities The entities to upsert
+   * @returns {Promise<void>} Resolves when all entities are upserted
+   */
+  async upsertEntities(entities) {
+    await this.#submitInBatches(entities, (transaction, entity) =>
+      transaction.upsertEntity(entity)
+    )
+  }
+
+  /**
+   * Delete entities in transactions.
+   * @param {Array<{partitionKey:string, rowKey:string}>} entities The entities to delete
+   * @returns {Promise<void>} Resolves when all entities are deleted
+   */
+  async deleteEntities(entities) {
+    await this.#submitInBatches(entities, (transaction, entity) =>
+      transaction.deleteEntity(entity.partitionKey, entity.rowKey)
+    )
+  }
+
+  /**
+   * Nothing to save, Table Storage writes are applied right away. Same interface as the file and S3 caches.
+   * @returns {Promise<void>} Resolves immediately
+   */
+  async flush() {}
 
+  /**
+   * Submit actions in transactions of at most 100 entities of the same partition (the Table Storage limits).
+   * @param {Array<{partitionKey:string, rowKey:string}>} entities The entities
+   * @param {function(TableTransaction, Object): void} addAction Adds the action for an entity to the transaction
+   * @returns {Promise<void>} Resolves when all transactions are submitted
+   */
+  async #submitInBatches(entities, addAction) {
+    const partitions = new Map()
     for (const entity of entities) {
-      transaction.createEntity(entity)
+      const partition = partitions.get(entity.partitionKey) ?? []
+      partition.push(entity)
+      partitions.set(entity.partitionKey, partition)
+    }
+
+    for (const partition of partitions.values()) {
+      for (let i = 0; i < partition.length; i += TRANSACTION_LIMIT) {
+        const transaction = new TableTransaction()
+        for (const entity of partition.slice(i, i + TRANSACTION_LIMIT)) {
+          addAction(transaction, entity)
+        }
+        await this.#withRetry(() =>
+          this.tableClient.submitTransaction(transaction.actions)
+        )
+      }
     }
+  }
+
+  /**
+   * Run a write and retry it with exponential backoff while the storage account is throttling (429/503).
+   * The `retry-after` header is used when present.
+   * @param {function(): Promise<any>} operation The write.
+   * @returns {Promise<any>} The result of the write.
+   * @throws {Error} Throws the last error when the write is still throttled after all retries, or any other error.
+   */
+  async #withRetry(operation) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation()
+      } catch (error) {
+        if (
+          !THROTTLED_STATUSES.includes(error.statusCode) ||
+          attempt >= MAX_RETRIES
+        ) {
+          throw error
+        }
 
-    await this.tableClient.submitTransaction(transaction.actions)
+        const retryAfter = Number(error.response?.headers?.get('retry-after'))
+        const delay =
+          retryAfter > 0 ? retryAfter * 1000 : this.retryDelayMs * 2 ** attempt
+        core.warning(
+          `Table ${this.table} is throttling requests (${error.statusCode}). Retrying in ${delay} ms (${attempt + 1}/${MAX_RETRIES}).`
+        )
+        await new Promise(resolve => setTimeout(resolve, delay))
+      }
+    }
   }
 }
 
+/**
+ * Whether a connection string points to an http endpoint, like the ones of Azurite.
+ * @param {string} connectionString Connection String to Azure Table Storage.
+ * @returns {boolean} True for the development storage and http endpoints.
+ */
+function isInsecure(connectionString) {
+  return (
+    /UseDevelopmentStorage=true/i.test(connectionString) ||
+    /DefaultEndpointsProtocol=http;/i.test(connectionString) ||
+    /Endpoint=http:\/\//i.test(connectionString)
+  )
+}
+
 module.exports = { StorageTableClient }
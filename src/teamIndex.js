@@ -0,0 +1,72 @@
+/**
+ * How team memberships of users are read:
+ * - `crawl` - from the teams and members of every organization, crawled once for the teams report,
+ * - `per-user` - with a query per user that walks all organizations and their teams.
+ * @typedef {'crawl'|'per-user'} TeamsStrategy
+ */
+
+/**
+ * Supported teams strategies, the first one is the default.
+ * @type {Array<TeamsStrategy>}
+ */
+const TEAMS_STRATEGIES = ['crawl', 'per-user']
+
+/**
+ * Parse the teams strategy.
+ * @param {string|undefined} value The strategy, empty for the default.
+ * @returns {TeamsStrategy} The strategy.
+ * @throws {Error} Throws an error if the strategy is not supported.
+ */
+function parseTeamsStrategy(value) {
+  if (value === undefined || value === null || value === '') {
+    return TEAMS_STRATEGIES[0]
+  }
+  if (!TEAMS_STRATEGIES.includes(value)) {
+    throw new Error(
+      `Invalid teams strategy '${value}'. Supported strategies: ${TEAMS_STRATEGIES.join(', ')}`
+    )
+  }
+  return value
+}
+
+/**
+ * Index the crawled teams by member login, in the shape returned by `UserManager.getTeamsForUser`.
+ * Only organizations where the user is a member of a team are listed.
+ * @param {Array<{org: string, teams: Array<{name: string, slug: string, members: Array<{login: string}>}>}>} orgTeams The teams of every organization.
+ * @returns {Map<string, {orgs: Array<{org: {login: string}, teams: Array<{name: string, slug: string}>}>}>} The organizations and teams by user login.
+ */
+function buildTeamIndex(orgTeams) {
+  const index = new Map()
+  for (const { org, teams } of orgTeams) {
+    for (const team of teams) {
+      for (const member of team.members) {
+        const entry = index.get(member.login) ?? { orgs: [] }
+        let orgEntry = entry.orgs.find(o => o.org.login === org)
+        if (!orgEntry) {
+          orgEntry = { org: { login: org }, teams: [] }
+          entry.orgs.push(orgEntry)
+        }
+        orgEntry.teams.push({ name: team.name, slug: team.slug })
+        index.set(member.login, entry)
+      }
+    }
+  }
+  return index
+}
+
+/**
+ * The GraphQL points the per-user strategy would spend: a query per user and page of 100 organizations, at least a point each.
+ * @param {integer} users The number of users.
+ * @param {integer} orgs The number of organizations.
+ * @returns {integer} The GraphQL points.
+ */
+function estimatePerUserPoints(users, orgs) {
+  return users * Math.max(1, Math.ceil(orgs / 100))
+}
+
+module.exports = {
+  TEAMS_STRATEGIES,
+  parseTeamsStrategy,
+  buildTeamIndex,
+  estimatePerUserPoints
+}
@@ -0,0 +1,183 @@
+const fs = require('fs')
+const { removeExisting } = require('./csvHelper')
+
+const DAY = 1000 * 60 * 60 * 24
+
+/**
+ * The aggregates of a single report run.
+ * @typedef {Object} RunMetrics
+ * @property {string} date The date of the run (ISO string).
+ * @property {integer} totalUsers The number of users consuming licenses.
+ * @property {Object<string, integer>} usersByLicenseType The number of users per license type.
+ * @property {integer} copilotSeats The number of copilot seats.
+ * @property {integer} active30Days The number of users active in the last 30 days.
+ * @property {integer} active60Days The number of users active in the last 60 days.
+ * @property {integer} active90Days The number of users active in the last 90 days.
+ * @property {integer} usersWithout2FA The number of users with two-factor authentication disabled.
+ */
+
+/* series drawn on the trend chart */
+const chartSeries = [
+  { key: 'total_users', label: 'Licensed users', color: '#0969da' },
+  { key: 'copilot_seats', label: 'Copilot seats', color: '#8250df' },
+  { key: 'active_30_days', label: 'Active (30 days)', color: '#1a7f37' }
+]
+
+/**
+ * Compute the metrics of a report run.
+ * @param {Array<{license_type: string?, github_com_two_factor_auth: boolean?, lastActivity: Date?}>} users The users in the report, with their combined last activity.
+ * @param {Map<string, Object>} copilotSeats The copilot seats by assignee login.
+ * @param {Date} [now] The date of the run.
+ * @returns {RunMetrics} The metrics.
+ */
+function getRunMetrics(users, copilotSeats, now = new Date()) {
+  const usersByLicenseType = {}
+  for (const user of users) {
+    const type = user.license_type ?? 'unknown'
+    usersByLicenseType[type] = (usersByLicenseType[type] ?? 0) + 1
+  }
+  const activeIn = days =>
+    users.filter(u => u.lastActivity && now - u.lastActivity <= days * DAY)
+      .length
+
+  return {
+    date: now.toISOString(),
+    totalUsers: users.length,
+    usersByLicenseType,
+    copilotSeats: copilotSeats.size,
+    active30Days: activeIn(30),
+    active60Days: activeIn(60),
+    active90Days: activeIn(90),
+    usersWithout2FA: users.filter(u => u.github_com_two_factor_auth === false)
+      .length
+  }
+}
+
+/**
+ * Convert the run history to report rows, one per run. License types become `seats_<type>` columns.
+ * @param {Array<RunMetrics>} history The metrics of all runs, oldest first.
+ * @returns {Array<Object>} The trend rows.
+ */
+function toTrendRows(history) {
+  const licenseTypes = [
+    ...new Set(history.flatMap(run => Object.keys(run.usersByLicenseType)))
+  ].sort()
+
+  return history.map(run => {
+    const row = { date: run.date, total_users: run.totalUsers }
+    for (const type of licenseTypes) {
+      const column = `seats_${type.toLowerCase().replace(/\W+/g, '_')}`
+      row[column] = run.usersByLicenseType[type] ?? 0
+    }
+    return {
+      ...row,
+      copilot_seats: run.copilotSeats,
+      active_30_days: run.active30Days,
+      active_60_days: run.active60Days,
+      active_90_days: run.active90Days,
+      users_without_2fa: run.usersWithout2FA
+    }
+  })
+}
+
+/**
+ * Render the trend as an SVG line chart of licensed users, copilot seats and active users.
+ * @param {Array<Object>} rows The trend rows.
+ * @param {string} title The chart title.
+ * @returns {string} The SVG document.
+ */
+function renderTrendChart(rows, title) {
+  const width = 800
+  const height = 400
+  const left = 60
+  const right = 20
+  const top = 40
+  const bottom = 60
+  const plotWidth = width - left - right
+  const plotHeight = height - top - bottom
+
+  const max = Math.max(
+    1,
+    ...rows.flatMap(row => chartSeries.map(s => row[s.key] ?? 0))
+  )
+  const x = i =>
+    left +
+    (rows.length > 1 ? (i / (rows.length - 1)) * plotWidth : plotWidth / 2)
+  const y = value => top + plotHeight - (value / max) * plotHeight
+  const round = value => Math.round(value * 10) / 10
+
+  const grid = [0, 0.25, 0.5, 0.75, 1].map(step => {
+    const value = Math.round(max * step)
+    return `<line x1="${left}" y1="${round(y(value))}" x2="${width - right}" y2="${round(y(value))}" stroke="#d0d7de"/><text x="${left - 8}" y="${round(y(value)) + 4}" text-anchor="end">${value}</text>`
+  })
+
+  const labels = rows.length > 0 ? [0, rows.length - 1] : []
+  const dates = [...new Set(labels)].map(
+    i =>
+      `<text x="${round(x(i))}" y="${height - bottom + 20}" text-anchor="middle">${rows[i].date.substring(0, 10)}</text>`
+  )
+
+  const lines = chartSeries.map(series => {
+    const points = rows
+      .map((row, i) => `${round(x(i))},${round(y(row[series.key] ?? 0))}`)
+      .join(' ')
+    return `<polyline fill="none" stroke="${series.color}" stroke-width="2" points="${points}"/>`
+  })
+
+  const legend = chartSeries.map(
+    (series, i) =>
+      `<rect x="${left + i * 180}" y="${height - 22}" width="12" height="12" fill="${series.color}"/><text x="${left + i * 180 + 18}" y="${height - 12}">${escape(series.label)}</text>`
+  )
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" role="img" aria-label="${escape(title)}">`,
+    `<title>${escape(title)}</title>`,
+    `<rect width="${width}" height="${height}" fill="#fff"/>`,
+    `<g font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="12" fill="#24292f">`,
+    `<text x="${width / 2}" y="24" text-anchor="middle" font-size="16">${escape(title)}</text>`,
+    ...grid,
+    ...dates,
+    ...lines,
+    ...legend,
+    '</g>',
+    '</svg>'
+  ].join('')
+}
+
+/**
+ * Write the trend chart.
+ * @param {Array<Object>} rows The trend rows.
+ * @param {string} scope The enterprise or organization name.
+ * @returns {string} The path to the SVG file.
+ */
+function writeTrendChart(rows, scope) {
+  const svgPath = `github_trend_in_${scope}.svg`
+
+  removeExisting(svgPath)
+
+  fs.writeFileSync(
+    svgPath,
+    renderTrendChart(rows, `GitHub license trend for '${scope}'`)
+  )
+  return svgPath
+}
+
+/**
+ * Escape text for use in SVG.
+ * @param {string} text The text.
+ * @returns {string} The escaped text.
+ */
+function escape(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+module.exports = {
+  getRunMetrics,
+  toTrendRows,
+  renderTrendChart,
+  writeTrendChart
+}
@@ -1,38 +1,59 @@
-const { StorageTableClient } = require('./storageTableclient')
+const { createTableClient } = require('./cacheFactory')
+const { syncCachedUsers, DEFAULT_RETENTION_DAYS } = require('./cacheRetention')
+const {
+  DEFAULT_REFRESH_BUDGETS,
+  selectForRefresh,
+  isStale,
+  getCacheStaleness
+} = require('./cacheRefresh')
 const { UserManager } = require('./userManager')
 const core = require('@actions/core')
 
 /* table with users public data */
 const tableName = 'userspublicdata'
+/* profiles looked up per GraphQL query, the rate limit is checked between them */
+const PROFILE_BATCH_SIZE = 100
 
 /**
  * A provider for getting the last activity date for a user.
  * @class
  * @classdesc A provider for getting the last activity date for a user.
  * @property {UserManager} manager The user manager.
- * @property {StorageTableClient} tableClient The table storage client.
- * @property {Array<{partitionKey:string, rowKey:string, id:number, type:string, created_at: Date, updated_at: Date, company: string, name: string, lastUpdated: Date}>} users The users in the table.
- * @property {integer} rateLimitRemaining The remaining rate limit for the GitHub Enterprise API. (default 5000)
+ * @property {import('./cacheFactory').TableCache} tableClient The cache client (Table Storage or local file).
+ * @property {Array<{partitionKey:string, rowKey:string, id:number, type:string, created_at: Date, updated_at: Date, company: string, name: string, lastUpdated: Date}>} users The users in the table, without departed users.
+ * @property {integer} retentionDays The number of days departed users are kept in the table.
+ * @property {Array<string>} pruned The departed users pruned from the table in this run.
+ * @property {import('./cacheRefresh').RefreshBudget} refreshBudget How many entries are refreshed per run, the staleness window and the reserved rate limit.
+ * @property {integer} refreshed The number of entries refreshed in this run.
+ * @property {boolean} budgetReached Whether the refresh budget was used up in this run.
+ * @property {Map<string, Object>} [profiles] The profiles by login, fetched by `initialize` when there is no cache.
+ * @property {integer} rateLimitRemaining The remaining rate limit assumed when the rate limit governor has not seen a response yet. (default 1000)
  */
 class UserAccountProvider {
   /**
    * Creates a new instance of the UserAccountProvider.
    * @param {UserManager} userManager The GitHub token.
-   * @param {string} tableStorageConnectionString Connection String to Azure Table Storage.
+   * @param {import('./cacheFactory').CacheConfig|string} cache The cache configuration, or a Connection String to Azure Table Storage.
+   * @param {integer} [retentionDays] The number of days departed users are kept in the table.
+   * @param {import('./cacheRefresh').RefreshBudget} [refreshBudget] How many entries are refreshed per run, the staleness window and the reserved rate limit.
    * @returns {UserAccountProvider} The new instance.
    * @constructor
    */
-  constructor(userManager, tableStorageConnectionString) {
+  constructor(
+    userManager,
+    cache,
+    retentionDays = DEFAULT_RETENTION_DAYS,
+    refreshBudget = DEFAULT_REFRESH_BUDGETS.user
+  ) {
     this.manager = userManager
+    this.retentionDays = retentionDays
+    this.refreshBudget = refreshBudget
+    this.refreshed = 0
+    this.budgetReached = false
+    this.pruned = []
     this.rateLimitRemaining = 1000 // assume we have 1000 calls left
 
-    if (tableStorageConnectionString) {
-      core.info(`Using Azure Table Storage for User Cache.`)
-      this.tableClient = new StorageTableClient(
-        tableStorageConnectionString,
-        tableName
-      )
-    }
+    this.tableClient = createTableClient(cache, tableName, 'User Cache')
   }
 
   /**
@@ -40,84 +61,127 @@ class UserAccountProvider {
    * @param {Array<{
    * github_com_login : string,
    * }>} allUsers all users in the enterprise.
+   * @param {string} [scope] The enterprises or organization of the report, departed users are tracked within it.
    * @returns {Promise<void>} Resolves when the cache is initialized.
    */
-  async initialize(allUsers) {
+  async initialize(allUsers, scope) {
     if (this.tableClient) {
       await this.tableClient.createTable()
-      this.users = await this.tableClient.getAll()
 
-      // find which users are missing in the cache and add them with empty last activity date
-      const missingUsers = allUsers
-        .filter(
-          user => !this.users.some(u => u.rowKey === user.github_com_login)
-        )
-        .map(user => user.github_com_login)
+      // add missing users with empty data, tombstone and prune departed users
+      const { users, pruned } = await syncCachedUsers(
+        this.tableClient,
+        allUsers.map(user => user.github_com_login),
+        scope,
+        this.retentionDays,
+        'User Cache'
+      )
+      this.users = users
+      this.pruned = pruned
+    } else {
+      core.warning(
+        `⚠️ No Azure Table Storage connection string or cache file provided.`
+      )
+      await this.#fetchProfiles(allUsers.map(user => user.github_com_login))
+    }
+  }
 
-      if (missingUsers.length > 0) {
-        await this.tableClient.bulkInsert(missingUsers)
+  /**
+   * Look up the profiles of all users without cache, 100 at a time with GraphQL.
+   * Users whose profile could not be fetched are left out and reported as not checked.
+   * @param {Array<string>} logins The logins of all users.
+   * @returns {Promise<void>} Resolves when the profiles are fetched.
+   */
+  async #fetchProfiles(logins) {
+    this.profiles = new Map()
+    for (let i = 0; i < logins.length; i += PROFILE_BATCH_SIZE) {
+      if (this.#isRateLimitLow()) {
+        core.warning(`Rate limit is low. Cancelling calls to the API.`)
+        return
       }
 
-      this.users = await this.tableClient.getAll()
-    } else {
-      core.warning(`⚠️ No Azure Table Storage connection string provided.`)
+      const batch = logins.slice(i, i + PROFILE_BATCH_SIZE)
+      try {
+        const profiles = await this.manager.getUsers(batch)
+        for (const [login, profile] of profiles) {
+          this.profiles.set(login, profile)
+        }
+      } catch (error) {
+        core.error(
+          `Error getting user data for ${batch.length} users for User API: ${error}`
+        )
+      }
     }
   }
 
   /**
    * Refresh the cache for the users.
-   * It checks which 2000 users have the oldest `lastUpdated` date and refreshes their cache.
+   * It checks which users (50000 by default) have the oldest `lastUpdated` date outside the staleness window and refreshes their cache.
    * @returns {Promise<void>} Resolves when the cache is refreshed.
    * @async
-   * @throws {Error} Throws an error when the rate limit is low.
    */
   async refreshUserData() {
     if (this.tableClient) {
-      // get top 2000 users with oldest `lastUpdated` date
-
       /**
        * @type {Array<{partitionKey:string, rowKey:string, created_at: Date, updated_at: Date, company: string, name: string, lastUpdated: Date}>}
        */
-      const usersToCheck = this.users
-        .sort((a, b) => {
-          const aDate = a.lastUpdated ? new Date(a.lastUpdated) : new Date(0) // Treat null as the oldest date
-          const bDate = b.lastUpdated ? new Date(b.lastUpdated) : new Date(0) // Treat null as the oldest date
-          return aDate - bDate
-        })
-        .slice(0, 2000)
+      const usersToCheck = selectForRefresh(
+        this.users,
+        this.refreshBudget
+      ).slice(0, Math.max(0, this.refreshBudget.budget - this.refreshed))
+
+      const stale = this.users.filter(user =>
+        isStale(user, this.refreshBudget.maxStaleDays)
+      ).length
+      if (stale > usersToCheck.length) {
+        core.warning(
+          `User Cache refresh budget of ${this.refreshBudget.budget} reached. Using cached data for the remaining users.`
+        )
+        this.budgetReached = true
+      }
 
-      let index = 0
+      // profiles are looked up 100 at a time with GraphQL
+      for (let i = 0; i < usersToCheck.length; i += PROFILE_BATCH_SIZE) {
+        if (this.#isRateLimitLow()) {
+          core.warning(`Rate limit is low. Stopping User Cache refresh.`)
+          break
+        }
 
-      for (const user of usersToCheck) {
+        const batch = usersToCheck.slice(i, i + PROFILE_BATCH_SIZE)
         try {
-          const response = await this.manager.getUser(user.rowKey)
-
-          const updated = await this.tableClient.upsertUserData(
-            user.rowKey,
-            response.userData
+          const profiles = await this.manager.getUsers(
+            batch.map(user => user.rowKey)
           )
-          // update the cache
-          user.lastUpdated = updated.lastUpdated
-          user.created_at = updated.created_at
-          user.updated_at = updated.updated_at
-          user.company = updated.company
-          user.name = updated.name
+
+          for (const user of batch) {
+            const profile = profiles.get(user.rowKey)
+            if (!profile) {
+              continue
+            }
+            const updated = await this.tableClient.upsertUserData(
+              user.rowKey,
+              profile
+            )
+            // update the cache
+            user.lastUpdated = updated.lastUpdated
+            user.id = updated.id
+            user.type = updated.type
+            user.created_at = updated.created_at
+            user.updated_at = updated.updated_at
+            user.company = updated.company
+            user.name = updated.name
+            this.refreshed++
+          }
 
           const percentComplete = Math.floor(
-            (index / usersToCheck.length) * 100
+            ((i + batch.length) / usersToCheck.length) * 100
           )
-          index++
           core.info(
-            `${percentComplete}%. Refreshed User Cache for ${user.rowKey}.`
+            `${percentComplete}%. Refreshed User Cache for ${batch.length} users.`
           )
-
-          if (response.rateLimitRemaining < 5) {
-            core.warning(`Rate limit is low. Stopping User Cache refresh.`)
-            break
-          }
         } catch (error) {
           core.warning(
-            `Error getting last activity for ${user.rowKey}: ${error}`
+            `Error getting user data for ${batch.length} users: ${error}`
           )
         }
       }
@@ -125,41 +189,36 @@ class UserAccountProvider {
   }
 
   /**
-   * Get the user data, either by API call or from the cache when table storage is available.
+   * Whether the GraphQL rate limit of the batched lookups reached the reserved floor. The rate limit governor of the user manager
+   * knows about every request made with the token, `rateLimitRemaining` is the fallback.
+   * @returns {boolean} True when no more calls should be made.
+   */
+  #isRateLimitLow() {
+    const remaining =
+      this.manager.governor?.remaining('graphql') ?? this.rateLimitRemaining
+    return remaining < this.refreshBudget.rateLimitFloor
+  }
+
+  /**
+   * How stale the oldest entry of the cache is.
+   * @param {Date} [now] The current date.
+   * @returns {{oldestDays: integer?, neverRefreshed: integer}|null} The staleness, null without cache.
+   */
+  getStaleness(now = new Date()) {
+    return this.users ? getCacheStaleness(this.users, now) : null
+  }
+
+  /**
+   * Get the user data from the cache when table storage is available, stale entries were refreshed by `refreshUserData`.
+   * Without cache, the profiles were fetched by `initialize`.
    * @param {string} github_com_login The GitHub login for the user.
    * @returns {Promise<{login:string, id:number, type:string, created_at: Date, updated_at: Date, company: string, name: string, lastChecked: Date}>} User data
    */
   async getUserData(github_com_login) {
     if (!this.tableClient) {
-      // when there's no table storage, just call the API
-      try {
-        if (this.rateLimitRemaining < 5) {
-          core.warning(`Rate limit is low. Cancelling calls to the API.`)
-          return {
-            login: github_com_login,
-            lastChecked: null,
-            id: null,
-            type: null,
-            created_at: null,
-            updated_at: null,
-            company: null,
-            name: null
-          }
-        }
-
-        const userDataResponse = await this.manager.getUser(
-          github_com_login,
-          false // do not sleep on rate limit hit
-        )
-        // update the rate limit remaining
-        this.rateLimitRemaining = userDataResponse.rateLimitRemaining
-
-        return userDataResponse.userData
-      } catch (error) {
-        core.error(
-          `Error getting last activity for ${github_com_login} for User API: ${error}`
-        )
-        return {
+      // when there's no table storage, the profiles were fetched in batches by `initialize`
+      return (
+        this.profiles?.get(github_com_login) ?? {
           login: github_com_login,
           lastChecked: null,
           id: null,
@@ -169,7 +228,7 @@ class UserAccountProvider {
           company: null,
           name: null
         }
-      }
+      )
     }
 
     // if table storage is available, check the cache first
@@ -186,79 +245,21 @@ class UserAccountProvider {
         created_at: null,
         updated_at: null,
         company: null,
-        name: null,
-        rateLimitRemaining: this.rateLimitRemaining
-      }
-    }
-
-    // if the user data is empty or wasn't updated in 3 days, refresh it
-    let needToUpdate = false
-
-    if (user.lastUpdated) {
-      const lastUpdatedDate = new Date(user.lastUpdated)
-      const currentDate = new Date()
-      const diffTime = Math.abs(currentDate - lastUpdatedDate)
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24))
-
-      if (diffDays > 3) {
-        core.info(
-          `User ${github_com_login} was not updated in ${diffDays} days. Refreshing data.`
-        )
-        needToUpdate = true
-      }
-    } else {
-      // no lastUpdated date means the user needs to be updated
-      needToUpdate = true
-    }
-
-    if (!needToUpdate) {
-      // user is fresh
-      core.info(`User ${github_com_login} is fresh. No need to update.`)
-      return {
-        login: github_com_login,
-        lastChecked: user.lastChecked,
-        id: user.id,
-        type: user.type,
-        created_at: user.created_at,
-        updated_at: user.updated_at,
-        company: user.company,
-        name: user.name
+        name: null
       }
     }
 
-    if (this.rateLimitRemaining < 5) {
-      core.warning(`Rate limit is low. Cancelling calls to the API.`)
-      return {
-        login: github_com_login,
-        lastChecked: user.lastChecked,
-        id: user.id,
-        type: user.type,
-        created_at: user.created_at,
-        updated_at: user.updated_at,
-        company: user.company,
-        name: user.name
-      }
+    // entries left stale by the refresh budget or the rate limit are refreshed by the next runs
+    return {
+      login: github_com_login,
+      lastChecked: user.lastChecked,
+      id: user.id,
+      type: user.type,
+      created_at: user.created_at,
+      updated_at: user.updated_at,
+      company: user.company,
+      name: user.name
     }
-    const userResponse = await this.manager.getUser(github_com_login, false)
-    // update the rate limit remaining
-    this.rateLimitRemaining = userResponse.rateLimitRemaining
-
-    // update table storage
-    const updated = await this.tableClient.upsertUserData(
-      github_com_login,
-      userResponse.userData
-    )
-
-    // update the cache
-    user.lastUpdated = updated.lastUpdated
-    user.created_at = updated.created_at
-    user.updated_at = updated.updated_at
-    user.company = updated.company
-    user.name = updated.name
-    user.id = updated.id
-    user.type = updated.type
-
-    return userResponse.userData
   }
 }
 
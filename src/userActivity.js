@@ -0,0 +1,78 @@
+const DAY = 1000 * 60 * 60 * 24
+
+/**
+ * Default number of days without activity after which a user is considered inactive.
+ * @type {integer}
+ */
+const DEFAULT_INACTIVE_DAYS = 90
+
+/**
+ * Combine the activity signals for a user and decide whether the user is inactive.
+ * The most recent of the audit log date and the copilot last activity date wins.
+ * Recent activity makes the user active. Without recent activity, the user is inactive only if the audit log was checked,
+ * otherwise the status is unknown (`null`): a newer activity may be in the audit log.
+ * @param {Object} signals The activity signals.
+ * @param {Date|string|null} signals.auditLogDate The last activity date from the audit log.
+ * @param {Date|string|null} signals.auditLogChecked When the audit log was checked for the user.
+ * @param {{last_activity_at: string?}} [signals.copilotSeat] The copilot seat assigned to the user.
+ * @param {integer} inactiveDays The number of days without activity after which the user is inactive.
+ * @param {Date} [now] The current date.
+ * @returns {{lastActivity: Date?, source: 'audit_log'|'copilot'|null, daysSinceLastActivity: integer?, inactive: boolean?}} The combined activity.
+ */
+function getUserActivity(signals, inactiveDays, now = new Date()) {
+  const candidates = [
+    { source: 'audit_log', date: signals.auditLogDate },
+    { source: 'copilot', date: signals.copilotSeat?.last_activity_at }
+  ]
+    .filter(c => c.date)
+    .map(c => ({ source: c.source, date: new Date(c.date) }))
+    .sort((a, b) => b.date - a.date)
+
+  if (candidates.length === 0) {
+    return {
+      lastActivity: null,
+      source: null,
+      daysSinceLastActivity: null,
+      inactive: signals.auditLogChecked ? true : null
+    }
+  }
+
+  const { source, date } = candidates[0]
+  const daysSinceLastActivity = Math.max(0, Math.floor((now - date) / DAY))
+
+  let inactive = null
+  if (daysSinceLastActivity < inactiveDays) {
+    inactive = false
+  } else if (signals.auditLogChecked) {
+    inactive = true
+  }
+
+  return {
+    lastActivity: date,
+    source,
+    daysSinceLastActivity,
+    inactive
+  }
+}
+
+/**
+ * Parse the inactive days threshold.
+ * @param {string|integer|undefined} value The threshold, empty for the default.
+ * @returns {integer} The number of days.
+ * @throws {Error} Throws an error if the value is not a positive integer.
+ */
+function parseInactiveDays(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_INACTIVE_DAYS
+  }
+
+  const days = Number(value)
+  if (!Number.isInteger(days) || days <= 0) {
+    throw new Error(
+      `Invalid inactive days '${value}'. It must be a positive integer.`
+    )
+  }
+  return days
+}
+
+module.exports = { getUserActivity, parseInactiveDays, DEFAULT_INACTIVE_DAYS }
@@ -1,6 +1,12 @@
 const core = require('@actions/core')
-// const github = require('@actions/github')
-const { hold_until_rate_limit_success } = require('./rateLimit')
+const {
+  RateLimitGovernor,
+  hold_until_rate_limit_success
+} = require('./rateLimit')
+const { retryRequests } = require('./requestRetry')
+
+/* number of users looked up in a single GraphQL query, each one is an aliased `user(login:)` field */
+const USER_BATCH_SIZE = 100
 
 // IMPORTANT
 //   Enterprise API Docs: https://docs.github.com/en/enterprise-cloud@latest/rest/enterprise-admin?apiVersion=2022-11-28
@@ -11,10 +17,31 @@ const { hold_until_rate_limit_success } = require('./rateLimit')
  * @class
  * @classdesc A class for managing users.
  * @property {string} token The GitHub token.
+ * @property {string} [apiUrl] The REST API base URL (default https://api.github.com).
+ * @property {string} [graphqlUrl] The GraphQL API URL (default derived from the REST API base URL).
+ * @property {integer} rateLimitFloor The number of requests left for other automation sharing the token (default 5).
+ * @property {RateLimitGovernor} governor Tracks the rate limits of all requests made with the token.
+ * @property {import('./requestRetry').RetryOptions} [retry] How failed requests are retried (default 3 retries after server errors, 5 after rate limits).
  */
 class UserManager {
-  constructor(token) {
+  /**
+   * Creates a new instance of the UserManager.
+   * @param {string} token The GitHub token.
+   * @param {Object} [options] The API options.
+   * @param {string} [options.apiUrl] The REST API base URL, e.g. https://HOSTNAME/api/v3 for GitHub Enterprise Server.
+   * @param {string} [options.graphqlUrl] The GraphQL API URL, when it can't be derived from the REST API base URL.
+   * @param {integer} [options.rateLimitFloor] The number of requests left for other automation sharing the token.
+   * @param {RateLimitGovernor} [options.governor] The rate limit governor, a new one is created by default.
+   * @param {import('./requestRetry').RetryOptions} [options.retry] How failed requests are retried.
+   */
+  constructor(token, options = {}) {
     this.token = token
+    this.apiUrl = options.apiUrl || undefined
+    this.graphqlUrl = options.graphqlUrl || undefined
+    this.rateLimitFloor = options.rateLimitFloor ?? 5
+    this.governor =
+      options.governor ?? new RateLimitGovernor({ floor: this.rateLimitFloor })
+    this.retry = options.retry
   }
 
   /**
@@ -44,11 +71,20 @@ class UserManager {
       paginateRest.paginateRest
     )
 
-    this.octokit = new NewOctokit({ auth: this.token })
+    this.octokit = new NewOctokit({ auth: this.token, baseUrl: this.apiUrl })
+    if (this.graphqlUrl) {
+      // GraphQL requests go to the URL derived from the base URL, redirect them to the custom URL
+      this.octokit.hook.before('request', options => {
+        if (options.url.endsWith('/graphql')) {
+          options.url = this.graphqlUrl
+        }
+      })
+    }
+    // the rate limits are read from the responses, no request is spent on them
+    this.governor.attach(this.octokit)
+    // every attempt goes through the governor
+    retryRequests(this.octokit, this.retry)
     this.graphql = this.octokit.graphql
-
-    // no point in starting if we can't get the rate limit
-    await hold_until_rate_limit_success(100, this.token)
   }
 
   /**
@@ -106,7 +142,11 @@ class UserManager {
           core.info(`${totalCount} total orgs. Performing rate limit check...`)
 
           const totalCalls = Math.ceil(totalCount / 100)
-          await hold_until_rate_limit_success(totalCalls + 10, this.token)
+          await hold_until_rate_limit_success(
+            totalCalls + 10,
+            this.octokit,
+            'graphql'
+          )
           page_check_done = true
         }
       }
@@ -179,7 +219,8 @@ class UserManager {
           )
           await hold_until_rate_limit_success(
             totalCalls + 10,
-            this.token,
+            this.octokit,
+            'core',
             response.headers
           )
           page_check_done = true
@@ -193,12 +234,66 @@ class UserManager {
     }
   }
 
+  /**
+   * Get the number of users consuming licenses in an enterprise without fetching the users.
+   * @param {string} ent The enterprise name.
+   * @returns {Promise<{total_seats_consumed: integer, total_seats_purchased: integer}>} The license totals.
+   * @async
+   * @function
+   * @instance
+   * @memberof UserManager
+   * @name getConsumedLicensesTotal
+   * @access public
+   * @throws {Error} Throws an error if there is an issue fetching the totals.
+   */
+  async getConsumedLicensesTotal(ent) {
+    await this.#init()
+
+    try {
+      const response = await this.octokit.request(
+        `GET /enterprises/${ent}/consumed-licenses?per_page=1`
+      )
+
+      return {
+        total_seats_consumed: response.data.total_seats_consumed,
+        total_seats_purchased: response.data.total_seats_purchased
+      }
+    } catch (error) {
+      core.error(`Error fetching license totals in '${ent}'`)
+      throw error
+    }
+  }
+
+  /**
+   * Get the current rate limits. This call does not count against the rate limit.
+   * @returns {Promise<Object<string, {limit: integer, remaining: integer, reset: integer, used: integer}>>} The rate limits by resource (core, graphql, audit_log...).
+   * @async
+   * @function
+   * @instance
+   * @memberof UserManager
+   * @name getRateLimits
+   * @access public
+   * @throws {Error} Throws an error if there is an issue fetching the rate limits.
+   */
+  async getRateLimits() {
+    await this.#init()
+
+    try {
+      const response = await this.octokit.request('GET /rate_limit')
+      this.governor.seed(response.data.resources)
+      return response.data.resources
+    } catch (error) {
+      core.error(`Error fetching rate limits`)
+      throw error
+    }
+  }
+
   /**
    * Get all teams for a user in an enterprise. Returns only teams from the organizations that are in the enterprise.
-   * In case of an error, it will return an empty array.
    * @param {string} username The GitHub username.
    * @param {string} enterprise The enterprise name.
    * @returns {Promise<{orgs: Array<{org: {login: string, name: string, description: string}, teams: Array<{name: string, slug: string, description: string}>}}>} The organizations and teams for the user.
+   * @throws {Error} Throws an error if the teams can't be fetched after all retries, a user without teams would be reported otherwise.
    * @async
    * @function
    * @instance
@@ -298,8 +393,7 @@ enterprise(slug: $ent) {
     } catch (error) {
       core.error(`Error fetching teams and orgs for a user : ${username}`)
       core.error(error)
-      // do not throw error, just return empty array
-      return { orgs: [] }
+      throw error
     }
   }
 
@@ -349,7 +443,11 @@ enterprise(slug: $ent) {
           )
 
           const totalCalls = Math.ceil(totalCount / 100)
-          await hold_until_rate_limit_success(totalCalls + 10, this.token)
+          await hold_until_rate_limit_success(
+            totalCalls + 10,
+            this.octokit,
+            'graphql'
+          )
           page_check_done = true
         }
       }
@@ -365,13 +463,17 @@ enterprise(slug: $ent) {
    * Get the last activity for a user in an enterprise.
    * @param {string} username the GitHub username
    * @param {string} ent the enterprise name
-   * @param {boolean} sleepOnRateLimit
+   * @param {boolean} sleepOnRateLimit Wait for the rate limit reset instead of going below the reserved floor.
    * @returns {Promise<{lastActivityDate: Date, rateLimitRemaining: int}>}
    */
   async getLastActivityForUser(username, ent, sleepOnRateLimit = true) {
     await this.#init()
 
     try {
+      if (sleepOnRateLimit) {
+        await this.governor.reserve('audit_log', 1)
+      }
+
       const date = new Date().toISOString().split('T')[0]
       const phrase = `created:<=${date} actor:${username}`
       const encodedPhrase = encodeURIComponent(phrase)
@@ -385,10 +487,6 @@ enterprise(slug: $ent) {
       core.info(
         `Audit Log API has a rate limit of 1,750 queries per hour per user and IP address. Rate limit check - ${remaining} remaining`
       )
-      if (remaining < 25 && sleepOnRateLimit) {
-        core.info('Rate limit approaching, waiting for 5 minutes...')
-        await new Promise(resolve => setTimeout(resolve, 5 * 60000))
-      }
 
       if (response.data.length === 0) {
         // no activity found
@@ -414,16 +512,84 @@ enterprise(slug: $ent) {
     }
   }
 
+  /**
+   * Read all audit log events of an enterprise since a date and keep the latest event of every actor.
+   * Events are searched by day, so events of the day of `since` are read again and earlier ones are skipped.
+   * Events are read oldest first, so the latest event read so far is where a scan that fails can continue from.
+   * @param {string} ent The enterprise name.
+   * @param {Date} since The date of the oldest events to read.
+   * @param {function(Map<string, Date>, Date?): Promise<void>} [onPage] Called after every page with the latest event by actor login of the page and the latest event read so far.
+   * @returns {Promise<{lastActivity: Map<string, Date>, latestEvent: Date?, events: integer, pages: integer}>} The latest event by actor login, the latest event of all, the number of events and pages read.
+   * @async
+   * @function
+   * @instance
+   * @memberof UserManager
+   * @name scanAuditLog
+   * @access public
+   * @throws {Error} Throws an error if there is an issue reading the audit log.
+   */
+  async scanAuditLog(ent, since, onPage) {
+    await this.#init()
+
+    try {
+      const lastActivity = new Map()
+      let latestEvent = null
+      let events = 0
+      let pages = 0
+      const phrase = `created:>=${since.toISOString().split('T')[0]}`
+
+      for await (const response of this.octokit.paginate.iterator(
+        `GET /enterprises/${ent}/audit-log`,
+        {
+          phrase,
+          order: 'asc',
+          per_page: 100
+        }
+      )) {
+        pages++
+        const pageActivity = new Map()
+        for (const event of response.data) {
+          events++
+          const timestamp = new Date(event['@timestamp'])
+          if (!latestEvent || timestamp > latestEvent) {
+            latestEvent = timestamp
+          }
+          if (event.actor && !(pageActivity.get(event.actor) >= timestamp)) {
+            pageActivity.set(event.actor, timestamp)
+          }
+        }
+        for (const [actor, timestamp] of pageActivity) {
+          if (!(lastActivity.get(actor) >= timestamp)) {
+            lastActivity.set(actor, timestamp)
+          }
+        }
+        await onPage?.(pageActivity, latestEvent)
+      }
+
+      core.info(
+        `Read ${events} audit log events in ${pages} pages of '${ent}' since ${phrase.slice(10)}.`
+      )
+      return { lastActivity, latestEvent, events, pages }
+    } catch (error) {
+      core.error(`Error reading the audit log of '${ent}' enterprise.`)
+      throw error
+    }
+  }
+
   /**
    * Get the last activity for a user in an enterprise.
    * @param {string} username the GitHub username
-   * @param {boolean} sleepOnRateLimit
+   * @param {boolean} sleepOnRateLimit Wait for the rate limit reset instead of going below the reserved floor.
    * @returns {Promise<{userData: {login:string, id:number, type:string, created_at: Date, updated_at: Date, company: string, name: string}, rateLimitRemaining: int}>}
    */
   async getUser(username, sleepOnRateLimit = true) {
     await this.#init()
 
     try {
+      if (sleepOnRateLimit) {
+        await this.governor.reserve('core', 1)
+      }
+
       const response = await this.octokit.request(`GET /users/${username}`)
 
       // perform a rate limit check by reading X-RateLimit-Remaining header
@@ -431,10 +597,6 @@ enterprise(slug: $ent) {
       core.info(
         `GitHub API has a rate limit of 5000 queries per hour per user and IP address. Rate limit check - ${remaining} remaining`
       )
-      if (remaining < 25 && sleepOnRateLimit) {
-        core.info('Rate limit approaching, waiting for 1 minute...')
-        await new Promise(resolve => setTimeout(resolve, 1 * 60000))
-      }
 
       /**
        * @type {{login:string, id:number, type:string, created_at: Date, updated_at: Date, company: string, name: string}}
@@ -450,6 +612,69 @@ enterprise(slug: $ent) {
     }
   }
 
+  /**
+   * Get the profiles of many users with GraphQL, up to 100 users per query.
+   * Users that can't be found (e.g. renamed or deleted) are left out.
+   * @param {Array<string>} logins The GitHub usernames.
+   * @returns {Promise<Map<string, {login:string, id:number, type:string, created_at: Date, updated_at: Date, company: string, name: string}>>} The profiles by login, in the shape of `getUser`.
+   * @async
+   * @function
+   * @instance
+   * @memberof UserManager
+   * @name getUsers
+   * @access public
+   * @throws {Error} Throws an error if there is an issue fetching the users.
+   */
+  async getUsers(logins) {
+    await this.#init()
+
+    const users = new Map()
+    for (let i = 0; i < logins.length; i += USER_BATCH_SIZE) {
+      const batch = logins.slice(i, i + USER_BATCH_SIZE)
+      const query = `
+    query(${batch.map((_, j) => `$login${j}: String!`).join(', ')}) {
+${batch.map((_, j) => `        user${j}: user(login: $login${j}) { login databaseId createdAt updatedAt company name }`).join('\n')}
+    }`
+      const variables = Object.fromEntries(
+        batch.map((login, j) => [`login${j}`, login])
+      )
+
+      let data
+      try {
+        data = await this.graphql(query, variables)
+      } catch (error) {
+        // users that don't exist are reported as errors next to the data of the others
+        if (!error.data || error.errors?.some(e => e.type !== 'NOT_FOUND')) {
+          core.error(`Error fetching user data for ${batch.length} users`)
+          throw error
+        }
+        data = error.data
+      }
+
+      for (const [j, login] of batch.entries()) {
+        const user = data[`user${j}`]
+        if (!user) {
+          core.warning(`User ${login} not found.`)
+          continue
+        }
+        users.set(login, {
+          login: user.login,
+          id: user.databaseId,
+          type: 'User',
+          created_at: user.createdAt,
+          updated_at: user.updatedAt,
+          company: user.company,
+          name: user.name
+        })
+      }
+      core.info(
+        `Fetched user data for ${Math.min(i + USER_BATCH_SIZE, logins.length)} of ${logins.length} users.`
+      )
+    }
+
+    return users
+  }
+
   /**
    * Get the copilot seats for an enterprise.
    * @param {string} ent The enterprise name.
@@ -466,42 +691,417 @@ enterprise(slug: $ent) {
     await this.#init()
 
     try {
-      const page_size = 100
-      /**
-       * @type {Array<{created_at: string, updated_at: string, pending_cancellation_date: string, last_activity_at: string, last_activity_editor: string, assignee: {login: string}, assigning_team: {slug: string}, organization: {login: string}>}
-       */
-      const seats = []
+      return await this.#getCopilotSeats(
+        `GET /enterprises/${ent}/copilot/billing/seats`
+      )
+    } catch (error) {
+      core.error(`Error fetching copilot billing seats in '${ent}'`)
+      throw error
+    }
+  }
+
+  /**
+   * Get the copilot seats for an organization.
+   * @param {string} org The organization login.
+   * @returns {Promise<Map<string, {created_at: string, updated_at: string, pending_cancellation_date: string, last_activity_at: string, last_activity_editor: string, assignee: {login: string}, assigning_team: {slug: string}, organization: {login: string}}>} The map with copilot seats for the organization where the key is the assignee login.
+   * @async
+   * @function
+   * @instance
+   * @memberof UserManager
+   * @name getOrganizationCopilotSeats
+   * @access public
+   * @throws {Error} Throws an error if there is an issue fetching the copilot seats.
+   */
+  async getOrganizationCopilotSeats(org) {
+    await this.#init()
+
+    try {
+      const map = await this.#getCopilotSeats(
+        `GET /orgs/${org}/copilot/billing/seats`
+      )
+
+      // organization seats are not tagged with the organization
+      for (const seat of map.values()) {
+        seat.organization = seat.organization ?? { login: org }
+      }
+      return map
+    } catch (error) {
+      core.error(`Error fetching copilot billing seats in '${org}' org`)
+      throw error
+    }
+  }
+
+  /**
+   * Get the copilot seats from the billing seats endpoint.
+   * @param {string} route The billing seats route.
+   * @returns {Promise<Map<string, Object>>} The map with copilot seats where the key is the assignee login.
+   */
+  async #getCopilotSeats(route) {
+    const page_size = 100
+    /**
+     * @type {Array<{created_at: string, updated_at: string, pending_cancellation_date: string, last_activity_at: string, last_activity_editor: string, assignee: {login: string}, assigning_team: {slug: string}, organization: {login: string}>}
+     */
+    const seats = []
+    let page_check_done = false
+
+    for await (const response of this.octokit.paginate.iterator(route, {
+      per_page: page_size
+    })) {
+      seats.push(...response.data.seats)
+
+      // perform a rate limit check after the first page
+      if (!page_check_done && response.data.total_seats > page_size) {
+        core.info(
+          `${response.data.total_seats} total seats. Performing rate limit check...`
+        )
+
+        const totalCalls = Math.ceil(response.data.total_seats / page_size)
+        await hold_until_rate_limit_success(
+          totalCalls + 10,
+          this.octokit,
+          'core',
+          response.headers
+        )
+        page_check_done = true
+      }
+    }
+
+    // convert seats to object
+    const map = new Map(seats.map(seat => [seat.assignee.login, seat]))
+    return map
+  }
+
+  /**
+   * Get an organization.
+   * @param {string} org The organization login.
+   * @returns {Promise<{login: string, id: string, url: string}>} The organization in the same shape as organizations in an enterprise.
+   * @async
+   * @function
+   * @instance
+   * @memberof UserManager
+   * @name getOrganization
+   * @access public
+   * @throws {Error} Throws an error if there is an issue fetching the organization.
+   */
+  async getOrganization(org) {
+    await this.#init()
+
+    try {
+      const response = await this.octokit.request(`GET /orgs/${org}`)
+
+      return {
+        login: response.data.login,
+        id: response.data.node_id,
+        url: response.data.html_url
+      }
+    } catch (error) {
+      core.error(`Error fetching '${org}' org`)
+      throw error
+    }
+  }
+
+  /**
+   * Get all members of an organization with their role.
+   * Two-factor authentication status is only available to organization owners, it's `null` otherwise.
+   * @param {string} org The organization login.
+   * @param {Array<string>} [owners] The owner logins when they were already read, otherwise they are fetched.
+   * @returns {Promise<Array<{login: string, html_url: string, role: 'admin'|'member', two_factor_auth: boolean?}>>} The organization members.
+   * @async
+   * @function
+   * @instance
+   * @memberof UserManager
+   * @name getOrganizationMembers
+   * @access public
+   * @throws {Error} Throws an error if there is an issue fetching the members.
+   */
+  async getOrganizationMembers(org, owners) {
+    await this.#init()
+
+    try {
+      const members = await this.octokit.paginate(`GET /orgs/${org}/members`, {
+        per_page: 100
+      })
+      const adminLogins = new Set(
+        owners ?? (await this.getOrganizationOwners(org))
+      )
+
+      let twoFactorDisabled = null
+      try {
+        const disabled = await this.octokit.paginate(
+          `GET /orgs/${org}/members`,
+          {
+            per_page: 100,
+            filter: '2fa_disabled'
+          }
+        )
+        twoFactorDisabled = new Set(disabled.map(m => m.login))
+      } catch (error) {
+        core.warning(
+          `Unable to read two-factor authentication status in '${org}' org: ${error.message}`
+        )
+      }
+
+      return members.map(member => ({
+        login: member.login,
+        html_url: member.html_url,
+        role: adminLogins.has(member.login) ? 'admin' : 'member',
+        two_factor_auth: twoFactorDisabled
+          ? !twoFactorDisabled.has(member.login)
+          : null
+      }))
+    } catch (error) {
+      core.error(`Error fetching members of '${org}' org`)
+      throw error
+    }
+  }
+
+  /**
+   * Get the logins of all owners of an organization.
+   * @param {string} org The organization login.
+   * @returns {Promise<Array<string>>} The owner logins.
+   * @async
+   * @function
+   * @instance
+   * @memberof UserManager
+   * @name getOrganizationOwners
+   * @access public
+   * @throws {Error} Throws an error if there is an issue fetching the owners.
+   */
+  async getOrganizationOwners(org) {
+    await this.#init()
+
+    try {
+      const owners = await this.octokit.paginate(`GET /orgs/${org}/members`, {
+        per_page: 100,
+        role: 'admin'
+      })
+      return owners.map(owner => owner.login)
+    } catch (error) {
+      core.error(`Error fetching owners of '${org}' org`)
+      throw error
+    }
+  }
+
+  /**
+   * Get organization details: creation date, 2FA requirement, member, team and pending invitation counts.
+   * @param {string} org The organization login.
+   * @returns {Promise<{login: string, name: string, createdAt: string, requiresTwoFactorAuthentication: boolean?, membersWithRole: {totalCount: integer}, teams: {totalCount: integer}, pendingMembers: {totalCount: integer}}>} The organization details.
+   * @async
+   * @function
+   * @instance
+   * @memberof UserManager
+   * @name getOrganizationDetails
+   * @access public
+   * @throws {Error} Throws an error if there is an issue fetching the organization details.
+   */
+  async getOrganizationDetails(org) {
+    await this.#init()
+
+    const query = `
+    query($org: String!) {
+        organization(login: $org) {
+            login
+            name
+            createdAt
+            requiresTwoFactorAuthentication
+            membersWithRole {
+                totalCount
+            }
+            teams {
+                totalCount
+            }
+            pendingMembers {
+                totalCount
+            }
+        }
+    }`
+
+    try {
+      const result = await this.graphql(query, { org })
+      return result.organization
+    } catch (error) {
+      core.error(`Error fetching details of '${org}' org`)
+      throw error
+    }
+  }
+
+  /**
+   * Get all teams in an organization with their parent team, privacy and members.
+   * Members are returned with their team role, `MAINTAINER` or `MEMBER`.
+   * @param {string} org The organization login.
+   * @returns {Promise<Array<{name: string, slug: string, privacy: string, parentTeam: {slug: string}?, members: Array<{login: string, role: 'MAINTAINER'|'MEMBER'}>}>>} The teams in the organization.
+   * @async
+   * @function
+   * @instance
+   * @memberof UserManager
+   * @name getOrganizationTeams
+   * @access public
+   * @throws {Error} Throws an error if there is an issue fetching the teams.
+   */
+  async getOrganizationTeams(org) {
+    await this.#init()
+
+    const query = `
+    query($org: String!, $cursor: String) {
+        organization(login: $org) {
+            teams(first: 50, after: $cursor) {
+                nodes {
+                    name
+                    slug
+                    privacy
+                    parentTeam {
+                        slug
+                    }
+                    members(first: 100, membership: IMMEDIATE) {
+                        edges {
+                            role
+                            node {
+                                login
+                            }
+                        }
+                        pageInfo {
+                            endCursor
+                            hasNextPage
+                        }
+                    }
+                }
+                totalCount
+                pageInfo {
+                    endCursor
+                    hasNextPage
+                }
+            }
+        }
+    }`
+
+    try {
+      const all = []
+      const iterator = this.graphql.paginate.iterator(query, { org })
       let page_check_done = false
 
-      for await (const response of this.octokit.paginate.iterator(
-        `GET /enterprises/${ent}/copilot/billing/seats`,
-        {
-          per_page: page_size
+      for await (const result of iterator) {
+        for (const team of result.organization.teams.nodes) {
+          const members = team.members.edges.map(edge => ({
+            login: edge.node.login,
+            role: edge.role
+          }))
+
+          if (team.members.pageInfo.hasNextPage) {
+            members.push(
+              ...(await this.#getMoreTeamMembers(
+                org,
+                team.slug,
+                team.members.pageInfo.endCursor
+              ))
+            )
+          }
+
+          all.push({
+            name: team.name,
+            slug: team.slug,
+            privacy: team.privacy,
+            parentTeam: team.parentTeam,
+            members
+          })
         }
-      )) {
-        seats.push(...response.data.seats)
 
-        // perform a rate limit check after the first page
-        if (!page_check_done && response.data.total_seats > page_size) {
+        // perform a rate limit check if there are more pages
+        if (
+          !page_check_done &&
+          result.organization.teams.pageInfo.hasNextPage
+        ) {
+          const totalCount = result.organization.teams.totalCount
           core.info(
-            `${response.data.total_seats} total seats. Performing rate limit check...`
+            `${totalCount} total teams in ${org} org. Performing rate limit check...`
           )
 
-          const totalCalls = Math.ceil(response.data.total_seats / page_size)
+          const totalCalls = Math.ceil(totalCount / 50)
           await hold_until_rate_limit_success(
             totalCalls + 10,
-            this.token,
-            response.headers
+            this.octokit,
+            'graphql'
           )
           page_check_done = true
         }
       }
 
-      // convert seats to object
-      const map = new Map(seats.map(seat => [seat.assignee.login, seat]))
-      return map
+      return all
     } catch (error) {
-      core.error(`Error fetching copilot billing seats in '${ent}'`)
+      core.error(`Error fetching teams in '${org}' org`)
+      throw error
+    }
+  }
+
+  /**
+   * Get the remaining members of a team with more than 100 members.
+   * @param {string} org The organization login.
+   * @param {string} slug The team slug.
+   * @param {string} cursor The cursor after the first page of members.
+   * @returns {Promise<Array<{login: string, role: 'MAINTAINER'|'MEMBER'}>>} The team members.
+   */
+  async #getMoreTeamMembers(org, slug, cursor) {
+    const query = `
+    query($org: String!, $slug: String!, $cursor: String) {
+        organization(login: $org) {
+            team(slug: $slug) {
+                members(first: 100, after: $cursor, membership: IMMEDIATE) {
+                    edges {
+                        role
+                        node {
+                            login
+                        }
+                    }
+                    pageInfo {
+                        endCursor
+                        hasNextPage
+                    }
+                }
+            }
+        }
+    }`
+
+    const members = []
+    const iterator = this.graphql.paginate.iterator(query, {
+      org,
+      slug,
+      cursor
+    })
+    for await (const result of iterator) {
+      members.push(
+        ...result.organization.team.members.edges.map(edge => ({
+          login: edge.node.login,
+          role: edge.role
+        }))
+      )
+    }
+    return members
+  }
+
+  /**
+   * Get all teams for a user in an organization, in the same shape as `getTeamsForUser`.
+   * @param {string} username The GitHub username.
+   * @param {string} org The organization login.
+   * @returns {Promise<{orgs: Array<{org: {login: string}, teams: Array<{name: string, slug: string, description: string}>}>}>} The organization and teams for the user.
+   * @throws {Error} Throws an error if the teams can't be fetched after all retries.
+   * @async
+   * @function
+   * @instance
+   * @memberof UserManager
+   * @name getTeamsForUserInOrganization
+   * @access public
+   */
+  async getTeamsForUserInOrganization(username, org) {
+    await this.#init()
+
+    core.info(`Getting teams for ${username} in ${org} org`)
+    try {
+      const teams = await this.getMoreTeamsForUser(username, org, null)
+
+      core.info(`Found ${teams.length} teams for ${username}`)
+      return { orgs: [{ org: { login: org }, teams }] }
+    } catch (error) {
+      core.error(`Error fetching teams for a user : ${username}`)
+      core.error(error)
       throw error
     }
   }
@@ -0,0 +1,62 @@
+/**
+ * Default number of users processed at the same time.
+ * @type {integer}
+ */
+const DEFAULT_CONCURRENCY = 4
+
+/**
+ * Run an async function for every item with at most `concurrency` calls in flight.
+ * The results keep the order of the items, whatever order the calls finish in.
+ * When a call fails, no new calls are started and the first error is thrown once the running calls have finished.
+ * @template T, R
+ * @param {Array<T>} items The items.
+ * @param {integer} concurrency The maximum number of calls in flight.
+ * @param {function(T, integer): Promise<R>} worker Called with every item and its index.
+ * @returns {Promise<Array<R>>} The results in the order of the items.
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length)
+  let next = 0
+  let failure
+
+  const run = async () => {
+    while (next < items.length && !failure) {
+      const index = next++
+      try {
+        results[index] = await worker(items[index], index)
+      } catch (error) {
+        failure = failure ?? { error }
+      }
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, run)
+  )
+  if (failure) {
+    throw failure.error
+  }
+  return results
+}
+
+/**
+ * Parse the number of users processed at the same time.
+ * @param {string|integer|undefined} value The concurrency, empty for the default.
+ * @returns {integer} The concurrency.
+ * @throws {Error} Throws an error if the value is not a positive integer.
+ */
+function parseConcurrency(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_CONCURRENCY
+  }
+
+  const concurrency = Number(value)
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(
+      `Invalid concurrency '${value}'. It must be a positive integer.`
+    )
+  }
+  return concurrency
+}
+
+module.exports = { DEFAULT_CONCURRENCY, mapWithConcurrency, parseConcurrency }